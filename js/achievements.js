@@ -3,6 +3,8 @@
  * Tracks 10 unlockable badges across a session and queues toast notifications.
  */
 
+import { PLANT_TYPES } from './garden/constants.js';
+
 const ACHIEVEMENTS = [
     { id: 'first_harvest',     name: 'First Bloom',          icon: '🌱', description: 'Harvest your first plant' },
     { id: 'ten_harvests',      name: 'Green Thumb',           icon: '🌿', description: 'Harvest 10 plants in one session' },
@@ -16,8 +18,19 @@ const ACHIEVEMENTS = [
     { id: 'long_session',      name: 'Dedicated Gardener',    icon: '🌻', description: 'Play for 5 minutes' },
 ];
 
-class AchievementManager {
-    constructor() {
+export class AchievementManager {
+    /**
+     * @param {Object} [services] - { logger } (session log, optional)
+     */
+    constructor({ logger = null } = {}) {
+        this.logger = logger;
+        this.reset();
+    }
+
+    /**
+     * Forget everything unlocked so far (a new resident is starting)
+     */
+    reset() {
         // Achievements unlocked this browser session (persists across rounds)
         this.unlocked = new Set();
 
@@ -171,10 +184,8 @@ class AchievementManager {
             this._unlock('close_match');
         }
 
-        // all_plants — grown all 5 distinct plant types (uses PLANT_TYPES keys if available)
-        const requiredPlantCount = (typeof PLANT_TYPES !== 'undefined')
-            ? Object.keys(PLANT_TYPES).length
-            : 5;
+        // all_plants — grown every plant type in PLANT_TYPES
+        const requiredPlantCount = Object.keys(PLANT_TYPES).length;
         if (!this.unlocked.has('all_plants') && s.plantTypesGrown.size >= requiredPlantCount) {
             this._unlock('all_plants');
         }
@@ -227,9 +238,7 @@ class AchievementManager {
         if (def) {
             this.pendingToasts.push({ id: def.id, name: def.name, icon: def.icon, description: def.description });
             console.log(`[Achievement] Unlocked: ${def.icon} ${def.name} — ${def.description}`);
+            this.logger?.log('achievement', { achievementId: def.id, name: def.name });
         }
     }
 }
-
-// Global instance — available to game.js and any other module
-window.achievementManager = new AchievementManager();
@@ -0,0 +1,348 @@
+/**
+ * Attract Demo for Garden Grow Game
+ * When the welcome screen has been left alone for a while, a ghost glove
+ * plays through one round of gardening — pick up the seed, plant it, water
+ * it, harvest — so passers-by can see what the screen is for. Any real hand,
+ * touch or key press stops it straight away.
+ *
+ * Uses the real PlantPot / DraggableSeed / WateringCan drawing and the hand
+ * tracker's cartoon glove, on its own canvas (mirrored like the game canvas).
+ * Nothing here touches the game's garden, score or session log.
+ */
+
+import { PLANT_TYPES } from './garden/constants.js';
+import { PlantPot } from './garden/plant-pot.js';
+import { DraggableSeed, WateringCan } from './garden/tools.js';
+import { ConfettiParticle } from './garden/effects.js';
+import { handTracker } from './handTracking.js';
+
+// Seconds of no activity on the welcome screen before the demo starts
+const ATTRACT_IDLE_SECONDS = 20;
+
+// Open right hand, palm to camera (pixels, relative to the wrist; MediaPipe landmark order)
+const ATTRACT_HAND_TEMPLATE = [
+    { x: 0, y: 0 },                                                                     // 0 wrist
+    { x: -30, y: -15 }, { x: -50, y: -35 }, { x: -62, y: -55 }, { x: -70, y: -72 },     // 1-4 thumb
+    { x: -22, y: -70 }, { x: -26, y: -100 }, { x: -28, y: -120 }, { x: -30, y: -138 },  // 5-8 index
+    { x: 0, y: -74 }, { x: 0, y: -108 }, { x: 0, y: -130 }, { x: 0, y: -150 },          // 9-12 middle
+    { x: 20, y: -70 }, { x: 23, y: -100 }, { x: 25, y: -120 }, { x: 26, y: -136 },      // 13-16 ring
+    { x: 36, y: -60 }, { x: 42, y: -82 }, { x: 46, y: -98 }, { x: 49, y: -112 }         // 17-20 pinky
+];
+const ATTRACT_HAND_SCALE = 1.2;
+const ATTRACT_HAND_ALPHA = 0.8;
+
+// Soft white "ghost" glove
+const ATTRACT_GLOVE = { main: '#FFFFFF', shadow: '#E0E0E0', outline: '#4ade80', highlight: '#FFFFFF' };
+
+// Demo script, in order (seconds per step)
+const ATTRACT_STEPS = [
+    { name: 'reachSeed', duration: 1.8 },
+    { name: 'carrySeed', duration: 2.0 },
+    { name: 'reachCan', duration: 1.8 },
+    { name: 'carryCan', duration: 1.6 },
+    { name: 'water', duration: 4.5 },
+    { name: 'returnCan', duration: 1.6 },
+    { name: 'harvest', duration: 1.6 },
+    { name: 'celebrate', duration: 2.5 }
+];
+
+export class AttractDemo {
+    constructor() {
+        this.canvas = null;
+        this.ctx = null;
+        this.handLayer = null;
+        this.welcomeScreen = null;
+
+        // Welcome screen showing (demo may start) / demo running
+        this.isActive = false;
+        this.isPlaying = false;
+
+        // Idle tracking
+        this.lastActivityTime = Date.now();
+        this.idleCheckInterval = null;
+
+        // Animation
+        this.animationFrameId = null;
+        this.lastFrameTime = 0;
+
+        // Demo garden (its own objects — never the game's)
+        this.pot = null;
+        this.seed = null;
+        this.wateringCan = null;
+        this.confetti = [];
+        this.plantIndex = 0;
+
+        // Script position
+        this.stepIndex = 0;
+        this.stepTime = 0;
+        this.growthAdvances = 0;
+
+        // Ghost hand (index fingertip position) and where the current step started
+        this.hand = { x: 0, y: 0 };
+        this.handFrom = { x: 0, y: 0 };
+    }
+
+    /**
+     * Find the demo canvas and listen for anyone walking up to the screen
+     */
+    init() {
+        this.canvas = document.getElementById('attractCanvas');
+        this.welcomeScreen = document.getElementById('welcomeScreen');
+        if (!this.canvas) return;
+
+        this.ctx = this.canvas.getContext('2d');
+        this.handLayer = document.createElement('canvas');
+
+        ['pointerdown', 'pointermove', 'keydown'].forEach(type => {
+            window.addEventListener(type, () => this.recordActivity());
+        });
+        window.addEventListener('resize', () => {
+            if (this.isPlaying) this.restart();
+        });
+    }
+
+    /**
+     * Called on every state change: the demo only runs on the welcome screen
+     */
+    setActive(active) {
+        this.isActive = active;
+        this.recordActivity();
+
+        if (active && !this.idleCheckInterval) {
+            this.idleCheckInterval = setInterval(() => this.checkIdle(), 1000);
+        } else if (!active && this.idleCheckInterval) {
+            clearInterval(this.idleCheckInterval);
+            this.idleCheckInterval = null;
+        }
+    }
+
+    /**
+     * Someone is here — stop the demo and restart the idle clock
+     */
+    recordActivity() {
+        this.lastActivityTime = Date.now();
+        if (this.isPlaying) {
+            this.stop();
+        }
+    }
+
+    checkIdle() {
+        if (this.isActive && !this.isPlaying && this.canvas &&
+            Date.now() - this.lastActivityTime >= ATTRACT_IDLE_SECONDS * 1000) {
+            this.start();
+        }
+    }
+
+    // ── Playback ────────────────────────────────────────────────────
+
+    start() {
+        this.isPlaying = true;
+        this.welcomeScreen?.classList.add('demo-active');
+        this.restart();
+
+        this.lastFrameTime = performance.now();
+        this.animationFrameId = requestAnimationFrame(() => this.tick());
+    }
+
+    stop() {
+        this.isPlaying = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.welcomeScreen?.classList.remove('demo-active');
+        this.ctx?.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Lay out a fresh demo garden (same layout as a solo round) and rewind the script
+     */
+    restart() {
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+        this.handLayer.width = this.canvas.width;
+        this.handLayer.height = this.canvas.height;
+
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const plantTypes = Object.keys(PLANT_TYPES);
+
+        this.pot = new PlantPot(width / 2, height - 150, this.canvas);
+        this.seed = new DraggableSeed(width / 2, 140, plantTypes[this.plantIndex % plantTypes.length], this.canvas);
+        this.wateringCan = new WateringCan(width - 150, height - 150, this.canvas);
+        this.confetti = [];
+
+        this.stepIndex = 0;
+        this.stepTime = 0;
+        this.growthAdvances = 0;
+        this.hand = { x: width * 0.7, y: height * 0.45 };
+        this.handFrom = { ...this.hand };
+    }
+
+    tick() {
+        if (!this.isPlaying) return;
+
+        const now = performance.now();
+        const deltaTime = Math.min((now - this.lastFrameTime) / 1000, 0.1);
+        this.lastFrameTime = now;
+
+        this.update(deltaTime);
+        this.draw();
+
+        this.animationFrameId = requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * Where the ghost hand heads during a step
+     */
+    getStepTarget(name) {
+        const pot = this.pot;
+        const overPot = { x: pot.x - 45, y: pot.y - pot.potHeight - 30 };
+
+        switch (name) {
+            case 'reachSeed': return { x: this.seed.homeX, y: this.seed.homeY };
+            case 'carrySeed': return { x: pot.x, y: pot.y - pot.potHeight / 2 };
+            case 'reachCan': return { x: this.wateringCan.homeX, y: this.wateringCan.homeY };
+            case 'carryCan':
+            case 'water': return overPot;
+            case 'returnCan': return { x: this.wateringCan.homeX, y: this.wateringCan.homeY };
+            case 'harvest': return { x: pot.x, y: pot.y - pot.potHeight / 2 - 40 };
+            default: return { x: this.canvas.width * 0.7, y: this.canvas.height * 0.45 };
+        }
+    }
+
+    /**
+     * Advance the script by one frame
+     */
+    update(deltaTime) {
+        const step = ATTRACT_STEPS[this.stepIndex];
+        this.stepTime += deltaTime;
+        const t = Math.min(1, this.stepTime / step.duration);
+
+        // Glide the hand toward this step's target (ease in-out)
+        const target = this.getStepTarget(step.name);
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        this.hand.x = this.handFrom.x + (target.x - this.handFrom.x) * eased;
+        this.hand.y = this.handFrom.y + (target.y - this.handFrom.y) * eased;
+
+        if (step.name === 'water') {
+            this.updateWatering(t);
+        }
+
+        // Held items follow the index fingertip, as in the game
+        this.seed.moveTo(this.hand.x, this.hand.y);
+        this.wateringCan.moveTo(this.hand.x, this.hand.y);
+
+        if (t >= 1) {
+            this.finishStep(step.name);
+            this.stepIndex = (this.stepIndex + 1) % ATTRACT_STEPS.length;
+            this.stepTime = 0;
+            this.handFrom = { ...this.hand };
+        }
+
+        this.pot.update(deltaTime);
+        this.wateringCan.update(deltaTime);
+        this.confetti.forEach(p => p.update(deltaTime));
+        this.confetti = this.confetti.filter(p => p.alpha > 0);
+    }
+
+    /**
+     * Pour, fill the pot and grow the plant one stage at a time
+     */
+    updateWatering(t) {
+        this.wateringCan.isOverPot = true;
+        this.pot.isBeingWatered = true;
+        this.pot.waterPourProgress = (this.stepTime % 0.8) / 0.8;
+        this.pot.waterLevelTarget = Math.min(1, t * 1.2);
+
+        // Up to four stage changes take a planted seed to harvestable
+        while (this.growthAdvances < Math.floor(t * 4)) {
+            this.pot.advanceGrowthStage();
+            this.growthAdvances++;
+        }
+    }
+
+    /**
+     * What happens as each step completes
+     */
+    finishStep(name) {
+        switch (name) {
+            case 'reachSeed':
+                this.seed.pickup();
+                break;
+            case 'carrySeed':
+                this.pot.plantSeed(this.seed.plantType);
+                this.seed.drop();
+                this.seed.plant();
+                break;
+            case 'reachCan':
+                this.wateringCan.pickup();
+                break;
+            case 'water':
+                this.wateringCan.isOverPot = false;
+                this.pot.isBeingWatered = false;
+                this.pot.waterPourProgress = 0;
+                break;
+            case 'returnCan':
+                this.wateringCan.returnHome();
+                break;
+            case 'harvest':
+                this.pot.harvest();
+                this.pot.waterLevelTarget = 0;
+                for (let i = 0; i < 40; i++) {
+                    this.confetti.push(new ConfettiParticle(this.pot.x, this.pot.y - this.pot.potHeight));
+                }
+                break;
+            case 'celebrate':
+                // Next loop grows a different plant
+                this.plantIndex++;
+                this.restart();
+                break;
+        }
+    }
+
+    // ── Drawing ─────────────────────────────────────────────────────
+
+    draw() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.pot.draw(ctx);
+        this.wateringCan.draw(ctx);
+        this.seed.draw(ctx);
+        this.confetti.forEach(p => p.draw(ctx));
+
+        this.drawGhostHand(ctx);
+    }
+
+    /**
+     * Draw the cartoon glove (same drawing as real hands) at the ghost hand position
+     */
+    drawGhostHand(ctx) {
+        const tip = ATTRACT_HAND_TEMPLATE[8];
+        const points = ATTRACT_HAND_TEMPLATE.map(p => ({
+            x: this.hand.x + (p.x - tip.x) * ATTRACT_HAND_SCALE,
+            y: this.hand.y + (p.y - tip.y) * ATTRACT_HAND_SCALE
+        }));
+
+        // Draw opaque on its own layer, then fade the whole glove in one go
+        const layer = this.handLayer.getContext('2d');
+        layer.clearRect(0, 0, this.handLayer.width, this.handLayer.height);
+        layer.save();
+        layer.lineCap = 'round';
+        layer.lineJoin = 'round';
+        handTracker.drawCartoonPalm(layer, points, ATTRACT_GLOVE);
+        handTracker.drawCartoonFingers(layer, points, ATTRACT_GLOVE);
+        handTracker.drawCartoonFingertips(layer, points, ATTRACT_GLOVE);
+        handTracker.drawWristCuff(layer, points, ATTRACT_GLOVE);
+        layer.restore();
+
+        ctx.save();
+        ctx.globalAlpha = ATTRACT_HAND_ALPHA;
+        ctx.drawImage(this.handLayer, 0, 0);
+        ctx.restore();
+    }
+}
+
+// Shared attract demo instance
+export const attractDemo = new AttractDemo();
@@ -4,7 +4,7 @@
  * Sounds are gentle and therapeutic, suitable for dementia patients
  */
 
-class AudioManager {
+export class AudioManager {
     constructor() {
         this.audioContext = null;
         this.sounds = {};
@@ -21,6 +21,10 @@ class AudioManager {
         this.ambientNodes = [];
         this.isAmbientPlaying = false;
 
+        // Weather ambience (one weather's sound at a time)
+        this.weatherAmbience = null;
+        this.weatherNodes = [];
+
         // Per-player audio tracking
         this.lastPlayerSoundTime = { 1: 0, 2: 0 };
         this.harmonizeWindow = 200; // ms window for harmonized co-op sounds
@@ -62,6 +66,9 @@ class AudioManager {
         // Water droplet sound
         this.sounds.water = () => this.playWater();
 
+        // Wilting - soft falling sigh (never alarming)
+        this.sounds.wilt = () => this.playWilt();
+
         // Bird song - gentle chirp
         this.sounds.birdSong = () => this.playBirdSong();
 
@@ -189,6 +196,35 @@ class AudioManager {
         osc.stop(this.audioContext.currentTime + 0.15);
     }
 
+    /**
+     * Play wilt sound - a quiet two-note sigh that falls away
+     */
+    playWilt() {
+        if (!this.enabled || !this.audioContext) return;
+
+        const notes = [392, 329.63]; // G4, E4
+
+        notes.forEach((freq, index) => {
+            const osc = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+
+            const startTime = this.audioContext.currentTime + index * 0.25;
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(freq, startTime);
+            osc.frequency.exponentialRampToValueAtTime(freq * 0.94, startTime + 0.4);
+
+            gain.gain.setValueAtTime(0, startTime);
+            gain.gain.linearRampToValueAtTime(this.volume * 0.15, startTime + 0.08);
+            gain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.45);
+
+            osc.connect(gain);
+            gain.connect(this.masterGain);
+
+            osc.start(startTime);
+            osc.stop(startTime + 0.45);
+        });
+    }
+
     /**
      * Play gentle bird chirp
      */
@@ -381,36 +417,40 @@ class AudioManager {
     }
 
     /**
-     * Start ambient garden sounds
+     * Start a looping layer of filtered noise (wind, rain)
+     * @returns {Object} { noise, gain } for fading it out
      */
-    playAmbient() {
-        if (!this.enabled || !this.audioContext || this.isAmbientPlaying) return;
+    createNoiseLayer(filterType, frequency, q, level) {
+        const noise = this.createNoiseOscillator();
+        const filter = this.audioContext.createBiquadFilter();
+        const gain = this.audioContext.createGain();
 
-        this.isAmbientPlaying = true;
+        filter.type = filterType;
+        filter.frequency.value = frequency;
+        filter.Q.value = q;
 
-        // Gentle background hum (like wind through leaves)
-        const createWindLayer = () => {
-            const noise = this.createNoiseOscillator();
-            const filter = this.audioContext.createBiquadFilter();
-            const gain = this.audioContext.createGain();
+        gain.gain.value = this.volume * level;
 
-            filter.type = 'bandpass';
-            filter.frequency.value = 400;
-            filter.Q.value = 2;
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.masterGain);
 
-            gain.gain.value = this.volume * 0.05;
+        noise.loop = true;
+        noise.start();
 
-            noise.connect(filter);
-            filter.connect(gain);
-            gain.connect(this.masterGain);
+        return { noise, gain };
+    }
 
-            noise.loop = true;
-            noise.start();
+    /**
+     * Start ambient garden sounds
+     */
+    playAmbient() {
+        if (!this.enabled || !this.audioContext || this.isAmbientPlaying) return;
 
-            return { noise, gain };
-        };
+        this.isAmbientPlaying = true;
 
-        const windLayer = createWindLayer();
+        // Gentle background hum (like wind through leaves)
+        const windLayer = this.createNoiseLayer('bandpass', 400, 2, 0.05);
         this.ambientNodes.push(windLayer);
 
         // Occasional bird chirps
@@ -428,8 +468,56 @@ class AudioManager {
      */
     stopAmbient() {
         this.isAmbientPlaying = false;
+        this.stopLayers(this.ambientNodes);
+        this.ambientNodes = [];
+    }
 
-        this.ambientNodes.forEach(node => {
+    /**
+     * Play the ambience for the garden's weather (null for none). Safe to call every
+     * frame: nothing changes until the weather does.
+     */
+    setWeatherAmbience(weatherId) {
+        if (!this.enabled || !this.audioContext) weatherId = null;
+        if (weatherId === this.weatherAmbience) return;
+
+        this.stopLayers(this.weatherNodes);
+        this.weatherNodes = [];
+        this.weatherAmbience = weatherId;
+
+        switch (weatherId) {
+            case 'sunny':
+                // Birds sing more often on sunny days
+                this.weatherNodes.push({
+                    interval: setInterval(() => {
+                        if (Math.random() < 0.5) this.playBirdSong();
+                    }, 5000)
+                });
+                break;
+            case 'cloudy':
+                // Low, quiet hush
+                this.weatherNodes.push(this.createNoiseLayer('lowpass', 250, 0.7, 0.03));
+                break;
+            case 'rain':
+                // Soft patter of rain
+                this.weatherNodes.push(this.createNoiseLayer('highpass', 2500, 0.5, 0.04));
+                break;
+            case 'breezy':
+                // Wind through the leaves, with the odd chime
+                this.weatherNodes.push(this.createNoiseLayer('bandpass', 500, 1, 0.06));
+                this.weatherNodes.push({
+                    interval: setInterval(() => {
+                        if (Math.random() < 0.3) this.playWindChimes();
+                    }, 7000)
+                });
+                break;
+        }
+    }
+
+    /**
+     * Fade out noise layers and stop repeating sounds
+     */
+    stopLayers(nodes) {
+        nodes.forEach(node => {
             if (node.noise) {
                 node.gain.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.5);
                 setTimeout(() => node.noise.stop(), 500);
@@ -438,8 +526,6 @@ class AudioManager {
                 clearInterval(node.interval);
             }
         });
-
-        this.ambientNodes = [];
     }
 
     /**
@@ -477,6 +563,7 @@ class AudioManager {
         this.enabled = enabled;
         if (!enabled) {
             this.stopAmbient();
+            this.setWeatherAmbience(null);
         }
     }
 
@@ -637,5 +724,5 @@ class AudioManager {
     }
 }
 
-// Global audio manager instance
-const audioManager = new AudioManager();
+// Shared audio manager instance
+export const audioManager = new AudioManager();
@@ -3,6 +3,8 @@
  * Defines gardening challenges and tracks progress
  */
 
+import { PLANT_TYPES } from './garden/constants.js';
+
 // Challenge definitions - garden themed
 const CHALLENGE_TEMPLATES = [
     // Level 1: Simple - any plants
@@ -96,7 +98,7 @@ const CHALLENGE_TEMPLATES = [
     }
 ];
 
-class Challenge {
+export class Challenge {
     constructor(template) {
         this.level = template.level;
         this.type = template.type;
@@ -211,7 +213,7 @@ class Challenge {
     }
 }
 
-class ChallengeManager {
+export class ChallengeManager {
     constructor() {
         this.currentChallenge = null;
         this.currentLevel = 1;
@@ -335,6 +337,21 @@ class ChallengeManager {
         return this.startChallenge();
     }
 
+    /**
+     * Forget all progress and high scores (kiosk: next resident starts fresh)
+     */
+    reset() {
+        this.currentChallenge = null;
+        this.currentLevel = 1;
+        this.totalScore = 0;
+        this.highScore = 0;
+        try {
+            localStorage.removeItem('gardenGrow_progress');
+        } catch (e) {
+            console.warn('Could not clear progress:', e);
+        }
+    }
+
     /**
      * Get target plant types for current challenge (for spawn weighting)
      */
@@ -392,5 +409,5 @@ class ChallengeManager {
     }
 }
 
-// Global challenge manager instance
-const challengeManager = new ChallengeManager();
+// Shared challenge manager instance
+export const challengeManager = new ChallengeManager();
@@ -0,0 +1,629 @@
+/**
+ * Care Team Dashboard for Garden Grow Game
+ * Reads session records saved by the SessionLogger (IndexedDB on this device)
+ * and charts frequency, play time, harvest rate, idle time, DDA curves and co-play.
+ * Charts are drawn with plain canvas so the page works fully offline.
+ */
+
+import { sessionLogger } from './session-log.js';
+import { MotionHeatmap } from './heatmap.js';
+
+// DDA adjusts (and logs) every 5 seconds — see DDAEngine.adjustInterval
+const DDA_SAMPLE_SECONDS = 5;
+
+// Seconds without interaction before DDA treats a player as idle
+const IDLE_THRESHOLD_SECONDS = 3;
+
+const PLAYER_COLORS = {
+    1: '#FF8C42',
+    2: '#4A90D9'
+};
+
+class Dashboard {
+    constructor() {
+        this.summaries = [];
+        this.eventsBySession = new Map();
+    }
+
+    /**
+     * Load data and render everything
+     */
+    async init() {
+        document.getElementById('refreshBtn')?.addEventListener('click', () => this.load());
+        document.getElementById('sessionSelect')?.addEventListener('change', (e) => {
+            this.drawDDAChart(e.target.value);
+            this.drawHeatmaps(e.target.value);
+            this.renderMotionTable(e.target.value);
+        });
+        window.addEventListener('resize', () => this.render());
+
+        await sessionLogger.connect();
+        await this.load();
+    }
+
+    /**
+     * Read all sessions and events from storage
+     */
+    async load() {
+        const sessions = await sessionLogger.getSessions();
+        const events = await sessionLogger.getAllEvents();
+
+        this.eventsBySession = new Map();
+        events.forEach(event => {
+            if (!this.eventsBySession.has(event.sessionId)) {
+                this.eventsBySession.set(event.sessionId, []);
+            }
+            this.eventsBySession.get(event.sessionId).push(event);
+        });
+
+        // Sessions with no gameplay at all (e.g. page opened and closed) are left out
+        this.summaries = sessions
+            .map(session => this.summarizeSession(session, this.eventsBySession.get(session.id) || []))
+            .filter(summary => summary.playSeconds > 0 || summary.harvests > 0);
+
+        this.populateSessionSelect();
+        this.render();
+    }
+
+    /**
+     * Work out per-session metrics from its event list
+     */
+    summarizeSession(session, events) {
+        // Play time: sum of spans spent in the 'playing' state
+        let playMs = 0;
+        let playStart = null;
+        let playerCount = 1;
+        const modes = new Set();
+
+        events.filter(e => e.type === 'state').forEach(e => {
+            if (e.to === 'playing') {
+                if (playStart === null) playStart = e.timestamp;
+                playerCount = Math.max(playerCount, e.playerCount || 1);
+                if (e.mode) modes.add(e.mode);
+            } else if (e.from === 'playing' && playStart !== null) {
+                playMs += e.timestamp - playStart;
+                playStart = null;
+            }
+        });
+        if (playStart !== null) {
+            playMs += (session.lastEventAt || playStart) - playStart;
+        }
+        const playSeconds = playMs / 1000;
+
+        // Actions per player
+        const harvestsByPlayer = { 1: 0, 2: 0 };
+        const toolUsesByPlayer = { 1: 0, 2: 0 };
+        events.forEach(e => {
+            if (e.type === 'harvest') harvestsByPlayer[e.playerId === 2 ? 2 : 1]++;
+            if (e.type === 'toolUse') toolUsesByPlayer[e.playerId === 2 ? 2 : 1]++;
+        });
+        const harvests = harvestsByPlayer[1] + harvestsByPlayer[2];
+        const toolUses = toolUsesByPlayer[1] + toolUsesByPlayer[2];
+
+        // DDA samples, ignoring player 2's slot in single-player sessions
+        const dda = events.filter(e => e.type === 'dda' && e.playerId <= playerCount);
+        const idleSamples = dda.filter(e => e.idleTime > IDLE_THRESHOLD_SECONDS).length;
+
+        // Calibration
+        const calibrations = events.filter(e => e.type === 'calibration');
+        const calibrationSeconds = calibrations.length > 0
+            ? calibrations.reduce((sum, e) => sum + e.seconds, 0) / calibrations.length
+            : null;
+
+        // Co-play balance: 1 when both players did the same number of actions
+        const p1Actions = harvestsByPlayer[1] + toolUsesByPlayer[1];
+        const p2Actions = harvestsByPlayer[2] + toolUsesByPlayer[2];
+        const balance = Math.max(p1Actions, p2Actions) > 0
+            ? Math.min(p1Actions, p2Actions) / Math.max(p1Actions, p2Actions)
+            : 0;
+
+        // Reach: share of the screen each player touched (saved by the game at round end)
+        const heatmap = session.heatmap || null;
+        const coverage = {
+            1: heatmap ? heatmap.players[1].coverage : null,
+            2: heatmap ? heatmap.players[2].coverage : null
+        };
+
+        // Range of motion per hand (also saved by the game at round end)
+        const motion = session.motion ? session.motion.hands.filter(h => h.playerId <= playerCount) : [];
+
+        return {
+            id: session.id,
+            startedAt: session.startedAt,
+            heatmap: heatmap,
+            coverage: coverage,
+            motion: motion,
+            playSeconds: playSeconds,
+            playerCount: playerCount,
+            modes: Array.from(modes),
+            harvests: harvests,
+            toolUses: toolUses,
+            harvestRate: playSeconds > 0 ? harvests / (playSeconds / 60) : 0,
+            idleSeconds: idleSamples * DDA_SAMPLE_SECONDS,
+            calibrationSeconds: calibrationSeconds,
+            p1Actions: p1Actions,
+            p2Actions: p2Actions,
+            balance: balance,
+            magicPumpkins: events.filter(e => e.type === 'magicPumpkin').length
+        };
+    }
+
+    /**
+     * Render cards, charts and tables
+     */
+    render() {
+        const summaries = this.summaries;
+        document.getElementById('emptyMessage')?.classList.toggle('hidden', summaries.length > 0);
+
+        this.renderCards(summaries);
+
+        const labels = summaries.map(s => this.formatShortDate(s.startedAt));
+
+        this.drawBarChart(document.getElementById('frequencyChart'), this.getWeeklyCounts(summaries), '#4ade80');
+
+        this.drawLineChart(document.getElementById('durationChart'), labels, [
+            { label: 'Minutes', color: '#4ade80', values: summaries.map(s => s.playSeconds / 60) }
+        ]);
+
+        this.drawLineChart(document.getElementById('harvestRateChart'), labels, [
+            { label: 'Plants / min', color: '#FFD700', values: summaries.map(s => s.harvestRate) }
+        ]);
+
+        this.drawBarChart(document.getElementById('idleChart'), summaries.map(s => ({
+            label: this.formatShortDate(s.startedAt),
+            value: s.idleSeconds / 60
+        })), '#a8d5a8');
+
+        const reachSeries = [];
+        for (let id = 1; id <= 2; id++) {
+            const points = [];
+            summaries.forEach((s, i) => {
+                if (s.playerCount >= id && s.coverage[id] !== null) points.push({ x: i, y: s.coverage[id] * 100 });
+            });
+            if (points.length > 0) reachSeries.push({ label: `Player ${id}`, color: PLAYER_COLORS[id], points });
+        }
+        this.drawXYChart(document.getElementById('reachChart'), reachSeries, null, labels);
+
+        this.drawXYChart(document.getElementById('tremorChart'), this.getMotionSeries(summaries,
+            hand => hand.tremor !== null ? hand.tremor * 100 : null), null, labels);
+
+        const select = document.getElementById('sessionSelect');
+        this.drawDDAChart(select ? select.value : null);
+        this.drawHeatmaps(select ? select.value : null);
+        this.renderMotionTable(select ? select.value : null);
+
+        this.renderCoplayTable(summaries);
+        this.renderSessionTable(summaries);
+    }
+
+    /**
+     * Fill in the summary cards
+     */
+    renderCards(summaries) {
+        const totalPlay = summaries.reduce((sum, s) => sum + s.playSeconds, 0);
+        const totalHarvests = summaries.reduce((sum, s) => sum + s.harvests, 0);
+        const last = summaries[summaries.length - 1];
+
+        this.setText('statSessions', summaries.length);
+        this.setText('statAvgDuration', summaries.length > 0
+            ? `${(totalPlay / summaries.length / 60).toFixed(1)} min`
+            : '0 min');
+        this.setText('statHarvests', totalHarvests);
+        this.setText('statLastSession', last ? this.formatDate(last.startedAt) : '—');
+    }
+
+    /**
+     * Session picker for the DDA chart (newest first)
+     */
+    populateSessionSelect() {
+        const select = document.getElementById('sessionSelect');
+        if (!select) return;
+
+        const previous = select.value;
+        select.innerHTML = this.summaries.slice().reverse().map(s =>
+            `<option value="${s.id}">${this.formatDate(s.startedAt)} — ${s.playerCount}P</option>`
+        ).join('');
+
+        if (this.summaries.some(s => s.id === previous)) {
+            select.value = previous;
+        }
+    }
+
+    /**
+     * DDA seedSpeed / hitBoxMultiplier curves for one session, per player
+     */
+    drawDDAChart(sessionId) {
+        const canvas = document.getElementById('ddaChart');
+        const summary = this.summaries.find(s => s.id === sessionId);
+        const events = summary ? (this.eventsBySession.get(sessionId) || []) : [];
+        const dda = events.filter(e => e.type === 'dda' && e.playerId <= summary.playerCount);
+
+        const series = [];
+        for (let id = 1; id <= (summary ? summary.playerCount : 0); id++) {
+            const samples = dda.filter(e => e.playerId === id);
+            series.push({
+                label: `P${id} seed speed`,
+                color: PLAYER_COLORS[id],
+                points: samples.map(e => ({ x: e.elapsed / 60, y: e.seedSpeed }))
+            });
+            series.push({
+                label: `P${id} hit-box`,
+                color: PLAYER_COLORS[id],
+                dashed: true,
+                points: samples.map(e => ({ x: e.elapsed / 60, y: e.hitBoxMultiplier }))
+            });
+        }
+
+        this.drawXYChart(canvas, series, 'minutes into session');
+    }
+
+    /**
+     * Motion heatmaps for one session, per player
+     */
+    drawHeatmaps(sessionId) {
+        const summary = this.summaries.find(s => s.id === sessionId);
+        const heatmap = summary ? summary.heatmap : null;
+
+        document.querySelectorAll('.dash-heatmap').forEach(el => {
+            const playerId = Number(el.dataset.player);
+            const visible = heatmap && playerId <= summary.playerCount;
+            el.style.display = visible ? '' : 'none';
+            if (visible) {
+                MotionHeatmap.draw(el.querySelector('.dash-heatmap-canvas'),
+                    heatmap.players[playerId].grid, heatmap.cols, heatmap.rows);
+            }
+        });
+    }
+
+    /**
+     * One trend series per player hand, from a metric picked off each motion record
+     * @param {Array<Object>} summaries
+     * @param {Function} pick - (hand) => number|null
+     */
+    getMotionSeries(summaries, pick) {
+        const series = [];
+        for (let id = 1; id <= 2; id++) {
+            ['left', 'right'].forEach(side => {
+                const points = [];
+                summaries.forEach((s, i) => {
+                    const hand = s.motion.find(h => h.playerId === id && h.hand === side);
+                    const value = hand ? pick(hand) : null;
+                    if (value !== null) points.push({ x: i, y: value });
+                });
+                if (points.length > 0) {
+                    series.push({
+                        label: `P${id} ${side}`,
+                        color: PLAYER_COLORS[id],
+                        dashed: side === 'left',
+                        points
+                    });
+                }
+            });
+        }
+        return series;
+    }
+
+    /**
+     * Range-of-motion metrics for one session, per hand
+     */
+    renderMotionTable(sessionId) {
+        const body = document.getElementById('motionTableBody');
+        if (!body) return;
+
+        const summary = this.summaries.find(s => s.id === sessionId);
+        if (!summary || summary.motion.length === 0) {
+            body.innerHTML = '<tr><td colspan="8" class="dash-table-empty">No movement data for this session</td></tr>';
+            return;
+        }
+
+        body.innerHTML = summary.motion.map(h => `
+            <tr>
+                <td>P${h.playerId} ${h.hand}</td>
+                <td>${Math.round(h.trackedSeconds / 6) / 10} min</td>
+                <td>${Math.round(h.reachHorizontal * 100)}%</td>
+                <td>${Math.round(h.reachVertical * 100)}%</td>
+                <td>${h.pathLength.toFixed(1)}</td>
+                <td>${h.averageSpeed.toFixed(2)}</td>
+                <td>${h.jerk === null ? '—' : Math.round(h.jerk)}</td>
+                <td>${h.tremor === null ? '—' : (h.tremor * 100).toFixed(2) + '%'}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Two-player sessions: who did what
+     */
+    renderCoplayTable(summaries) {
+        const body = document.getElementById('coplayTableBody');
+        if (!body) return;
+
+        const coplay = summaries.filter(s => s.playerCount === 2).reverse();
+        if (coplay.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="dash-table-empty">No two-player sessions yet</td></tr>';
+            return;
+        }
+
+        body.innerHTML = coplay.map(s => `
+            <tr>
+                <td>${this.formatDate(s.startedAt)}</td>
+                <td>${s.modes.join(', ') || '—'}</td>
+                <td>${s.p1Actions}</td>
+                <td>${s.p2Actions}</td>
+                <td>${Math.round(s.balance * 100)}%</td>
+                <td>${s.magicPumpkins}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Every session, with a per-session report download
+     */
+    renderSessionTable(summaries) {
+        const body = document.getElementById('sessionTableBody');
+        if (!body) return;
+
+        if (summaries.length === 0) {
+            body.innerHTML = '<tr><td colspan="7" class="dash-table-empty">No sessions yet</td></tr>';
+            return;
+        }
+
+        body.innerHTML = summaries.slice().reverse().map(s => `
+            <tr>
+                <td>${this.formatDate(s.startedAt)}</td>
+                <td>${s.playerCount}</td>
+                <td>${(s.playSeconds / 60).toFixed(1)} min</td>
+                <td>${s.harvests}</td>
+                <td>${s.toolUses}</td>
+                <td>${s.calibrationSeconds !== null ? s.calibrationSeconds.toFixed(1) + ' s' : '—'}</td>
+                <td><button class="dash-button small" data-export="${s.id}">JSON + CSV</button></td>
+            </tr>
+        `).join('');
+
+        body.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => sessionLogger.exportSession(button.dataset.export));
+        });
+    }
+
+    /**
+     * Count sessions per calendar week (Monday start), including empty weeks in between
+     */
+    getWeeklyCounts(summaries) {
+        if (summaries.length === 0) return [];
+
+        const weekStart = (timestamp) => {
+            const d = new Date(timestamp);
+            d.setHours(0, 0, 0, 0);
+            d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+            return d.getTime();
+        };
+
+        const counts = new Map();
+        summaries.forEach(s => {
+            const week = weekStart(s.startedAt);
+            counts.set(week, (counts.get(week) || 0) + 1);
+        });
+
+        const weeks = [];
+        const first = weekStart(summaries[0].startedAt);
+        const last = weekStart(summaries[summaries.length - 1].startedAt);
+        for (let week = first; week <= last; week = weekStart(week + 8 * 24 * 3600 * 1000)) {
+            weeks.push({ label: this.formatShortDate(week), value: counts.get(week) || 0 });
+        }
+        return weeks;
+    }
+
+    // ── Charts ────────────────────────────────────────────────────────────────
+
+    /**
+     * Size a canvas to its CSS box (crisp on high-DPI screens) and return its context
+     */
+    prepareCanvas(canvas) {
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px sans-serif';
+        return { ctx, width, height };
+    }
+
+    /**
+     * Chart area inside the axis margins
+     */
+    getPlotArea(width, height) {
+        return { left: 44, top: 16, right: width - 16, bottom: height - 32 };
+    }
+
+    /**
+     * Horizontal grid lines and y-axis labels
+     */
+    drawYAxis(ctx, area, maxValue) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.fillStyle = '#a8d5a8';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1;
+
+        for (let i = 0; i <= 4; i++) {
+            const value = (maxValue / 4) * i;
+            const y = area.bottom - (area.bottom - area.top) * (i / 4);
+            ctx.beginPath();
+            ctx.moveTo(area.left, y);
+            ctx.lineTo(area.right, y);
+            ctx.stroke();
+            ctx.fillText(value >= 10 ? Math.round(value) : value.toFixed(1), area.left - 6, y);
+        }
+    }
+
+    /**
+     * Message shown in place of an empty chart
+     */
+    drawEmpty(ctx, width, height) {
+        ctx.fillStyle = '#a8d5a8';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('No data yet', width / 2, height / 2);
+    }
+
+    /**
+     * Simple bar chart of { label, value } items
+     */
+    drawBarChart(canvas, items, color) {
+        if (!canvas) return;
+        const { ctx, width, height } = this.prepareCanvas(canvas);
+        if (items.length === 0) {
+            this.drawEmpty(ctx, width, height);
+            return;
+        }
+
+        const area = this.getPlotArea(width, height);
+        const maxValue = Math.max(1, ...items.map(item => item.value));
+        this.drawYAxis(ctx, area, maxValue);
+
+        const slot = (area.right - area.left) / items.length;
+        const barWidth = Math.max(2, slot * 0.6);
+        const labelEvery = Math.ceil(items.length / 8);
+
+        items.forEach((item, i) => {
+            const x = area.left + slot * i + (slot - barWidth) / 2;
+            const barHeight = (area.bottom - area.top) * (item.value / maxValue);
+            ctx.fillStyle = color;
+            ctx.fillRect(x, area.bottom - barHeight, barWidth, barHeight);
+
+            if (i % labelEvery === 0) {
+                ctx.fillStyle = '#a8d5a8';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'top';
+                ctx.fillText(item.label, x + barWidth / 2, area.bottom + 8);
+            }
+        });
+    }
+
+    /**
+     * Line chart with one point per session (shared x labels)
+     */
+    drawLineChart(canvas, labels, series) {
+        if (!canvas) return;
+        this.drawXYChart(canvas, series.map(s => ({
+            label: s.label,
+            color: s.color,
+            points: s.values.map((value, i) => ({ x: i, y: value }))
+        })), null, labels);
+    }
+
+    /**
+     * Line chart over numeric x values, with optional category labels and a legend
+     */
+    drawXYChart(canvas, series, xAxisLabel, categoryLabels) {
+        if (!canvas) return;
+        const { ctx, width, height } = this.prepareCanvas(canvas);
+
+        const allPoints = series.flatMap(s => s.points);
+        if (allPoints.length === 0) {
+            this.drawEmpty(ctx, width, height);
+            return;
+        }
+
+        const area = this.getPlotArea(width, height);
+        const minX = Math.min(...allPoints.map(p => p.x));
+        const maxX = Math.max(minX + 1e-6, ...allPoints.map(p => p.x));
+        const maxY = Math.max(1, ...allPoints.map(p => p.y)) * 1.1;
+        this.drawYAxis(ctx, area, maxY);
+
+        const toX = (x) => area.left + (area.right - area.left) * ((x - minX) / (maxX - minX || 1));
+        const toY = (y) => area.bottom - (area.bottom - area.top) * (y / maxY);
+
+        // X axis labels
+        ctx.fillStyle = '#a8d5a8';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        if (categoryLabels) {
+            const labelEvery = Math.ceil(categoryLabels.length / 8);
+            categoryLabels.forEach((label, i) => {
+                if (i % labelEvery === 0) ctx.fillText(label, toX(i), area.bottom + 8);
+            });
+        } else {
+            for (let i = 0; i <= 4; i++) {
+                const x = minX + (maxX - minX) * (i / 4);
+                ctx.fillText(x.toFixed(1), toX(x), area.bottom + 8);
+            }
+            if (xAxisLabel) {
+                ctx.textAlign = 'right';
+                ctx.fillText(xAxisLabel, area.right, area.bottom + 20);
+            }
+        }
+
+        // Lines
+        series.forEach(s => {
+            if (s.points.length === 0) return;
+            ctx.strokeStyle = s.color;
+            ctx.fillStyle = s.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(s.dashed ? [6, 4] : []);
+            ctx.beginPath();
+            s.points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(toX(p.x), toY(p.y));
+                else ctx.lineTo(toX(p.x), toY(p.y));
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Dots when there are only a few points
+            if (s.points.length <= 30) {
+                s.points.forEach(p => {
+                    ctx.beginPath();
+                    ctx.arc(toX(p.x), toY(p.y), 3, 0, Math.PI * 2);
+                    ctx.fill();
+                });
+            }
+        });
+
+        // Legend (only when there's more than one line)
+        if (series.length > 1) {
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            let legendX = area.left + 8;
+            series.forEach(s => {
+                ctx.strokeStyle = s.color;
+                ctx.lineWidth = 2;
+                ctx.setLineDash(s.dashed ? [6, 4] : []);
+                ctx.beginPath();
+                ctx.moveTo(legendX, area.top);
+                ctx.lineTo(legendX + 20, area.top);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(s.label, legendX + 26, area.top);
+                legendX += 26 + ctx.measureText(s.label).width + 16;
+            });
+        }
+    }
+
+    // ── Helpers ───────────────────────────────────────────────────────────────
+
+    setText(id, text) {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, {
+            day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    formatShortDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    }
+}
+
+// Shared dashboard instance
+const dashboard = new Dashboard();
+
+document.addEventListener('DOMContentLoaded', () => {
+    dashboard.init().catch(error => console.error('Dashboard failed to load:', error));
+});
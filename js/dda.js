@@ -4,8 +4,13 @@
  * MVP: seed speed + hit-box size per player
  */
 
-class DDAEngine {
-    constructor() {
+export class DDAEngine {
+    /**
+     * @param {Object} [services] - { logger } (session log, optional)
+     */
+    constructor({ logger = null } = {}) {
+        this.logger = logger;
+
         // Per-player metrics
         this.players = {
             1: this.createPlayerMetrics(),
@@ -20,8 +25,8 @@ class DDAEngine {
         this.goldenWateringCanActive = { 1: false, 2: false };
         this.goldenWateringCanTimer = { 1: 0, 2: 0 };
 
-        // Garden bed reference — set externally after both are created
-        this.gardenBed = null;
+        // Active activity theme (GardenBed etc.) — set externally after both are created
+        this.activity = null;
     }
 
     createPlayerMetrics() {
@@ -118,17 +123,17 @@ class DDAEngine {
             }
         }
 
-        // Power-up spawning — competitive mode only
-        if (gameMode === 'competitive' && this.gardenBed) {
-            if (this.gardenBed.powerUpCooldown <= 0) {
+        // Power-up spawning — competitive mode only, for activities that have power-ups
+        if (gameMode === 'competitive' && this.activity && this.activity.showPowerUp) {
+            if (this.activity.powerUpCooldown <= 0) {
                 const now = performance.now();
                 const recentCutoff = now - 10000;
                 for (const pid of [1, 2]) {
                     const player = this.players[pid];
                     const harvestRate = player.recentHarvests.filter(t => t > recentCutoff).length;
-                    if (harvestRate < 2 && !this.gardenBed.activePowerUps.has(pid)) {
-                        this.gardenBed.showPowerUp(pid);
-                        this.gardenBed.powerUpCooldown = 15; // 15-second cooldown
+                    if (harvestRate < 2 && !this.activity.activePowerUps.has(pid)) {
+                        this.activity.showPowerUp(pid);
+                        this.activity.powerUpCooldown = 15; // 15-second cooldown
                         break; // one power-up spawn per frame cycle
                     }
                 }
@@ -179,6 +184,16 @@ class DDAEngine {
 
             player.targetSeedSpeed = speedTarget;
             player.targetHitBoxMultiplier = hitBoxTarget;
+
+            this.logger?.log('dda', {
+                playerId: id,
+                mode: gameMode,
+                harvestRate: harvestRate,
+                successRate: Math.round(successRate * 100) / 100,
+                idleTime: Math.round(player.idleTime * 10) / 10,
+                seedSpeed: Math.round(speedTarget * 100) / 100,
+                hitBoxMultiplier: Math.round(hitBoxTarget * 100) / 100
+            });
         }
     }
 
@@ -234,6 +249,3 @@ class DDAEngine {
         this.goldenWateringCanTimer = { 1: 0, 2: 0 };
     }
 }
-
-// Global DDA instance
-const ddaEngine = new DDAEngine();
@@ -3,8 +3,27 @@
  * Handles game state, loop, and coordination between systems
  */
 
+import { PLANT_TYPES, GrowthStage } from './garden/constants.js';
+import { saveGarden, loadSavedGarden, clearSavedGarden } from './garden/garden-save.js';
+import { getCalendarSeason } from './garden/weather.js';
+import { getRequestedTheme } from './themes.js';
+import { audioManager } from './audio.js';
+import { sessionLogger } from './session-log.js';
+import { MotionHeatmap } from './heatmap.js';
+import { MotionMetrics } from './motion-metrics.js';
+import { DDAEngine } from './dda.js';
+import { challengeManager } from './challenges.js';
+import { storyManager } from './story.js';
+import { AchievementManager } from './achievements.js';
+import { handTracker } from './handTracking.js';
+import { landmarkReplay } from './landmark-recorder.js';
+import { pointerInput } from './pointer-input.js';
+import { uiManager } from './ui.js';
+import { kioskMode } from './kiosk.js';
+import { attractDemo } from './attract-demo.js';
+
 // Game states
-const GameState = {
+export const GameState = {
     LOADING: 'loading',
     WELCOME: 'welcome',
     PLAYER_SELECT: 'playerSelect',
@@ -17,7 +36,7 @@ const GameState = {
     PAUSED: 'paused'
 };
 
-class Game {
+export class Game {
     constructor() {
         // Canvas elements
         this.canvas = null;
@@ -31,7 +50,7 @@ class Game {
 
         // Player configuration
         this.playerCount = 1; // 1 or 2
-        this.gameMode = 'solo'; // 'solo', 'coop', or 'competitive'
+        this.gameMode = 'solo'; // 'solo', 'coop', 'competitive', or 'freeplay'
         this.player1Score = 0;
         this.player2Score = 0;
 
@@ -40,11 +59,26 @@ class Game {
         this.timerInterval = null;
 
         // Systems (will be initialized)
-        this.gardenBed = null;
+        this.theme = null;      // Activity theme (?theme=, see js/themes.js)
+        this.activity = null;   // Active activity (a GardenBed in the garden theme)
+
+        // Active input source: handTracker (camera), or pointerInput when no camera is usable
+        this.input = handTracker;
+        this.cameraAvailable = false;
+
+        // Activities: challenge rounds reset theirs every round, while Free Play
+        // keeps its own so the garden persists for the whole session (and, saved
+        // in garden-save.js, between sessions)
+        this.challengeActivity = null;
+        this.freePlayActivity = null;
+        this.freePlayChapter = null;    // Story chapter the Free Play garden is laid out for
 
         // Current challenge reference
         this.currentChallenge = null;
 
+        // Someone has left the welcome screen since the last kiosk reset
+        this.residentActive = false;
+
         // Calibration
         this.calibrationWaveDetected = false;
         this.calibrationStartTime = 0;
@@ -59,8 +93,17 @@ class Game {
         // Pending chapter complete (shown after round end)
         this.pendingChapterComplete = null;
 
-        // Achievement tracking
-        this.achievementManager = new AchievementManager();
+        // Achievement tracking (shared with the activities, so reset rather than replaced)
+        this.achievementManager = new AchievementManager({ logger: sessionLogger });
+
+        // Dynamic difficulty
+        this.dda = new DDAEngine({ logger: sessionLogger });
+
+        // Where on screen hands move during play (per session, per player)
+        this.motionHeatmap = new MotionHeatmap();
+
+        // Range-of-motion metrics per hand (per session)
+        this.motionMetrics = new MotionMetrics();
 
         // Session leaderboard (persists across page reloads via localStorage)
         try {
@@ -85,11 +128,10 @@ class Game {
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
 
-        // Initialize garden bed (seed spawner)
-        this.gardenBed = new GardenBed(this.canvas);
-
-        // Wire DDA engine to garden bed so it can spawn power-ups
-        ddaEngine.gardenBed = this.gardenBed;
+        // Initialize the activity for the requested theme
+        this.theme = getRequestedTheme();
+        this.challengeActivity = this.createActivity();
+        this.useActivity(this.challengeActivity);
 
         // Initialize UI
         uiManager.init({
@@ -100,28 +142,44 @@ class Game {
             onSelectOnePlayer: () => this.onSelectOnePlayer(),
             onSelectTwoPlayers: () => this.onSelectTwoPlayers(),
             onSelectCoop: () => this.onSelectCoop(),
-            onSelectCompetitive: () => this.onSelectCompetitive()
+            onSelectCompetitive: () => this.onSelectCompetitive(),
+            onSelectFreePlay: () => this.onSelectFreePlay(),
+            onFinishFreePlay: () => this.onFinishFreePlay()
         });
 
+        // Start the session log (IndexedDB, falls back to memory)
+        await sessionLogger.init();
+
+        // Kiosk mode (URL parameter or setting): hand back to the welcome screen when idle
+        kioskMode.init(uiManager.settings.kioskMode);
+        kioskMode.onIdleTimeout = () => this.resetForNextResident();
+
+        // Attract demo plays on the welcome screen when nobody is around
+        attractDemo.init();
+
         // Initialize audio (will be activated on first user interaction)
         await audioManager.init();
 
-        // Initialize hand tracking
-        const handTrackingReady = await handTracker.init(this.videoElement, this.canvas);
+        // Initialize hand tracking (touch/mouse still work without it; a ?replay= recording needs no camera)
+        const hasCamera = !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia) ||
+            !!landmarkReplay.getRequestedUrl();
+        this.cameraAvailable = hasCamera && await handTracker.init(this.videoElement, this.canvas);
+        pointerInput.init(this.canvas);
 
-        if (!handTrackingReady) {
-            console.error('Hand tracking failed to initialize');
-            return false;
+        if (!this.cameraAvailable) {
+            console.warn('Hand tracking unavailable - using touch and mouse input');
         }
 
-        // Set up hand detection callback (with error boundary)
-        handTracker.onHandsDetected = (data) => {
+        // Set up hand detection callbacks (with error boundary) — both sources feed the same handler
+        const onHandsDetected = (data) => {
             try {
                 this.onHandsDetected(data);
             } catch (err) {
                 console.error('Error in onHandsDetected:', err);
             }
         };
+        handTracker.onHandsDetected = onHandsDetected;
+        pointerInput.onHandsDetected = onHandsDetected;
 
         // Hide loading, show welcome
         uiManager.setLoading(false);
@@ -130,10 +188,39 @@ class Game {
         // Update welcome screen based on story progress
         this.updateWelcomeScreen();
 
+        // Kiosk: no Start press needed
+        if (kioskMode.enabled) {
+            this.onStartClick();
+        }
+
         console.log('Garden Grow game initialized');
         return true;
     }
 
+    /**
+     * New activity for the current theme, wired to the page's sound, session log,
+     * achievements and challenges
+     */
+    createActivity() {
+        return this.theme.create(this.canvas, {
+            audio: audioManager,
+            logger: sessionLogger,
+            achievements: this.achievementManager,
+            challenges: challengeManager,
+            pickItemType: () => this.getWeightedRandomPlant(),
+            getSeason: () => (uiManager.settings.seasonalWeather ? getCalendarSeason() : null),
+            getChapter: () => storyManager.currentChapter
+        });
+    }
+
+    /**
+     * Make an activity the active one (and wire the DDA engine to it so it can spawn power-ups)
+     */
+    useActivity(activity) {
+        this.activity = activity;
+        this.dda.activity = activity;
+    }
+
     /**
      * Update welcome screen based on player progress
      */
@@ -207,21 +294,28 @@ class Game {
         ctx.fillStyle = '#654321';
         ctx.fillRect(0, height * 0.85, width, height * 0.15);
 
-        // Draw plants spread across the width
-        const plantIcons = ['🌱', '🍅', '🌻', '🥕', '🥬', '🫐', '🌷', '🌿'];
-        const completedCount = Math.min(storyManager.completedChapters.length * 2, 8);
-        const totalSlots = 8;
-        const spacing = width / (totalSlots + 1);
+        // Plants spread across the width: the resident's saved garden if there is one,
+        // otherwise two plants for every chapter completed
+        const savedGarden = loadSavedGarden();
+        let slots;
+        if (savedGarden && savedGarden.pots.some(pot => pot.growthStage !== GrowthStage.EMPTY)) {
+            slots = savedGarden.pots.map(pot => this.getPreviewIcon(pot));
+        } else {
+            const plantIcons = ['🌱', '🍅', '🌻', '🥕', '🥬', '🫐', '🌷', '🌿'];
+            const completedCount = Math.min(storyManager.completedChapters.length * 2, 8);
+            slots = plantIcons.map((icon, i) => (i < completedCount ? icon : null));
+        }
+        const spacing = width / (slots.length + 1);
 
         ctx.textAlign = 'center';
 
-        for (let i = 0; i < totalSlots; i++) {
+        slots.forEach((icon, i) => {
             const x = spacing * (i + 1);
 
-            if (i < completedCount) {
+            if (icon) {
                 // Grown plant
                 ctx.font = `${Math.min(36, height * 0.25)}px Arial`;
-                ctx.fillText(plantIcons[i % plantIcons.length], x, height * 0.48);
+                ctx.fillText(icon, x, height * 0.48);
             } else {
                 // Empty soil mound
                 ctx.fillStyle = '#654321';
@@ -229,7 +323,18 @@ class Game {
                 ctx.ellipse(x, height * 0.72, 20, 10, 0, 0, Math.PI * 2);
                 ctx.fill();
             }
+        });
+    }
+
+    /**
+     * Icon for a saved pot in the welcome preview (null for an empty pot)
+     */
+    getPreviewIcon(pot) {
+        if (pot.growthStage === GrowthStage.EMPTY) return null;
+        if (pot.growthStage === GrowthStage.MATURE || pot.growthStage === GrowthStage.HARVESTABLE) {
+            return PLANT_TYPES[pot.plantType]?.icon || '🌷';
         }
+        return pot.growthStage === GrowthStage.SEED_PLANTED ? '🌱' : '🌿';
     }
 
     /**
@@ -251,7 +356,17 @@ class Game {
         }
 
         console.log(`State change: ${this.state} -> ${newState}`);
+        sessionLogger.log('state', {
+            from: this.state,
+            to: newState,
+            mode: this.gameMode,
+            playerCount: this.playerCount
+        });
         this.state = newState;
+        if (newState !== GameState.WELCOME && newState !== GameState.LOADING) {
+            this.residentActive = true;
+        }
+        attractDemo.setActive(newState === GameState.WELCOME);
 
         switch (newState) {
             case GameState.WELCOME:
@@ -326,15 +441,37 @@ class Game {
         // Resume audio context (needed after user interaction)
         audioManager.resume();
 
-        // Start camera and hand tracking
-        const started = await handTracker.start();
-
-        if (started) {
+        // Already tracking (kiosk returned to the welcome screen) — just carry on
+        if (this.input.isRunning) {
             this.setState(GameState.PLAYER_SELECT);
-            this.startGameLoop();
-        } else {
-            alert('Could not access camera. Please allow camera access and try again.');
+            return;
+        }
+
+        // Start camera and hand tracking, falling back to touch/mouse if there's no camera
+        const cameraStarted = this.cameraAvailable && await handTracker.start();
+        this.input = cameraStarted ? handTracker : pointerInput;
+
+        if (!cameraStarted) {
+            pointerInput.start();
+            // Camera present but MediaPipe failed to load, vs. no (or no permitted) camera
+            const reason = !this.cameraAvailable && navigator.mediaDevices
+                ? 'Hand tracking could not load'
+                : 'The camera is unavailable';
+            uiManager.showNotice('👆', 'Touch to Play',
+                `${reason} - touch the screen or use the mouse to garden`);
         }
+
+        this.setState(GameState.PLAYER_SELECT);
+        this.startGameLoop();
+    }
+
+    /**
+     * Move on to calibration (pointer input has nothing to calibrate)
+     */
+    beginCalibration() {
+        // Track every player's hands from calibration on (sets the 2P divider)
+        this.input.setPlayerCount(this.playerCount);
+        this.setState(this.input === pointerInput ? this.getPostCalibrationState() : GameState.CALIBRATION);
     }
 
     /**
@@ -343,7 +480,7 @@ class Game {
     onSelectOnePlayer() {
         this.playerCount = 1;
         this.gameMode = 'solo';
-        this.setState(GameState.CALIBRATION);
+        this.beginCalibration();
     }
 
     /**
@@ -359,7 +496,7 @@ class Game {
      */
     onSelectCoop() {
         this.gameMode = 'coop';
-        this.setState(GameState.CALIBRATION);
+        this.beginCalibration();
     }
 
     /**
@@ -367,7 +504,38 @@ class Game {
      */
     onSelectCompetitive() {
         this.gameMode = 'competitive';
-        this.setState(GameState.CALIBRATION);
+        this.beginCalibration();
+    }
+
+    /**
+     * Handle Free Play selection (from player select: one gardener; from mode select: two)
+     */
+    onSelectFreePlay() {
+        if (this.state === GameState.PLAYER_SELECT) {
+            this.playerCount = 1;
+        }
+        this.gameMode = 'freeplay';
+        this.beginCalibration();
+    }
+
+    /**
+     * Leave Free Play — the garden is kept for the rest of the session, and saved for the next
+     */
+    onFinishFreePlay() {
+        if (this.state !== GameState.PLAYING || this.gameMode !== 'freeplay') return;
+
+        // Put down anything still held so it's back home next visit
+        this.activity.releaseItem();
+        this.saveGarden();
+        this.saveMotionData();
+        this.setState(GameState.PLAYER_SELECT);
+    }
+
+    /**
+     * State to enter once calibration finishes (Free Play skips the challenge intro)
+     */
+    getPostCalibrationState() {
+        return this.gameMode === 'freeplay' ? GameState.PLAYING : GameState.CHALLENGE_INTRO;
     }
 
     /**
@@ -377,6 +545,14 @@ class Game {
         // Always check for hand hover on UI elements (works on all screens)
         uiManager.checkHandHover(data.positions);
 
+        // Kiosk: hands keep the session alive (and can reveal settings)
+        kioskMode.recordHands(data.positions, this.canvas);
+
+        // A real hand stops the attract demo
+        if (data.positions.length > 0) {
+            attractDemo.recordActivity();
+        }
+
         // Update calibration screen indicators
         if (this.state === GameState.CALIBRATION) {
             uiManager.updateHandIndicators(data.leftDetected, data.rightDetected);
@@ -399,12 +575,13 @@ class Game {
 
                     if (progress >= 1) {
                         this.calibrationWaveDetected = true;
+                        this.logCalibration(1);
                         setTimeout(() => {
                             if (this.state === GameState.CALIBRATION) {
                                 if (this.playerCount === 2) {
                                     this.setState(GameState.CALIBRATION_P2);
                                 } else {
-                                    this.setState(GameState.CHALLENGE_INTRO);
+                                    this.setState(this.getPostCalibrationState());
                                 }
                             }
                         }, 300);
@@ -434,9 +611,10 @@ class Game {
 
                     if (progress >= 1) {
                         this.calibrationWaveDetected = true;
+                        this.logCalibration(2);
                         setTimeout(() => {
                             if (this.state === GameState.CALIBRATION_P2) {
-                                this.setState(GameState.CHALLENGE_INTRO);
+                                this.setState(this.getPostCalibrationState());
                             }
                         }, 300);
                     }
@@ -448,9 +626,14 @@ class Game {
         }
 
         // During gameplay, check for seed collisions
-        if (this.state === GameState.PLAYING && this.gardenBed) {
+        if (this.state === GameState.PLAYING && this.activity) {
+            // Motor engagement: accumulate where hands reach and how they move
+            this.motionHeatmap.record(data.positions, this.canvas.width, this.canvas.height);
+            this.motionMetrics.record(this.input.trackedHands, performance.now() / 1000,
+                this.canvas.height / this.canvas.width);
+
             // Check collisions returns harvested plant data with playerId
-            const harvestedPlants = this.gardenBed.checkCollisions(data.positions);
+            const harvestedPlants = this.activity.checkCollisions(data.positions);
 
             // Record harvests to challenge
             let roundEnded = false;
@@ -458,7 +641,25 @@ class Game {
                 const { plantKey, playerId, isTargetPlant } = harvestData;
 
                 // DDA: Record interaction on any collision
-                ddaEngine.recordInteraction(playerId);
+                this.dda.recordInteraction(playerId);
+
+                sessionLogger.log('harvest', {
+                    plant: plantKey,
+                    playerId: playerId,
+                    isTargetPlant: isTargetPlant,
+                    growTime: Math.round((harvestData.growTime || 30) * 10) / 10,
+                    mode: this.gameMode,
+                    level: this.gameMode === 'freeplay' ? null : (this.currentChallenge?.level ?? null)
+                });
+
+                // Free Play: celebrate the harvest, but there's no challenge or score to update
+                if (this.gameMode === 'freeplay') {
+                    storyManager.recordPlantGrown();
+                    this.dda.recordHarvest(playerId, isTargetPlant);
+                    this.achievementManager.recordHarvest(plantKey, harvestData.growTime || 30);
+                    audioManager.playForPlayer('harvest', playerId);
+                    continue;
+                }
 
                 if (this.currentChallenge && !roundEnded) {
                     this.currentChallenge.recordHarvest(plantKey);
@@ -469,7 +670,7 @@ class Game {
                         let points = isTargetPlant ? 100 : 50;
 
                         // Check for active DoublePoints power-up for this player
-                        const activePU = this.gardenBed?.activePowerUps?.get(playerId);
+                        const activePU = this.activity?.activePowerUps?.get(playerId);
                         if (activePU && activePU.type === 'doublePoints' && activePU.isActive()) {
                             points *= 2;
                         }
@@ -498,7 +699,7 @@ class Game {
                     );
 
                     // DDA: Record harvest
-                    ddaEngine.recordHarvest(playerId, isTargetPlant);
+                    this.dda.recordHarvest(playerId, isTargetPlant);
 
                     // Achievements: Record harvest (growTime not tracked in harvest data; default 30s)
                     this.achievementManager.recordHarvest(plantKey, harvestData.growTime || 30);
@@ -520,6 +721,17 @@ class Game {
         }
     }
 
+    /**
+     * Record how long a calibration step took (screen shown → hands held steady)
+     */
+    logCalibration(playerNumber) {
+        sessionLogger.log('calibration', {
+            playerId: playerNumber,
+            playerCount: this.playerCount,
+            seconds: Math.round((Date.now() - this.calibrationStartTime) / 100) / 10
+        });
+    }
+
     /**
      * Update calibration progress bar
      */
@@ -546,8 +758,11 @@ class Game {
             return;
         }
 
-        // Set garden bed difficulty
-        this.gardenBed.setDifficulty(this.currentChallenge.level);
+        // Challenge rounds always use the challenge activity (not the Free Play one)
+        this.useActivity(this.challengeActivity);
+
+        // Set activity difficulty
+        this.activity.setDifficulty(this.currentChallenge.level);
 
         // Calculate spawn weights (favor target plants)
         this.calculateSpawnWeights();
@@ -577,7 +792,8 @@ class Game {
      * Calculate spawn weights for plants
      */
     calculateSpawnWeights() {
-        const targetPlants = challengeManager.getTargetPlants();
+        // Free Play has no targets, so every plant is equally likely
+        const targetPlants = this.gameMode === 'freeplay' ? [] : challengeManager.getTargetPlants();
         const allPlants = Object.keys(PLANT_TYPES);
 
         this.spawnWeights = {};
@@ -611,6 +827,13 @@ class Game {
      * Start a game round
      */
     startRound() {
+        if (this.gameMode === 'freeplay') {
+            this.startFreePlay();
+            return;
+        }
+
+        uiManager.setFreePlayHUD(false);
+
         // Reset timer
         this.timeRemaining = this.currentChallenge.timeLimit;
         uiManager.updateTimer(this.timeRemaining);
@@ -620,7 +843,7 @@ class Game {
         this.player2Score = 0;
 
         // Reset DDA engine
-        ddaEngine.reset();
+        this.dda.reset();
 
         // Reset round-scoped achievement stats
         this.achievementManager.startSession();
@@ -636,18 +859,18 @@ class Game {
         }
         uiManager.updateProgress(0, this.currentChallenge.getProgressText());
 
-        // Configure garden bed for multi-player
-        this.gardenBed.configure({
+        // Configure activity for multi-player
+        this.activity.configure({
             playerCount: this.playerCount,
             gameMode: this.gameMode,
-            dividerX: handTracker.dividerX * this.canvas.width
+            dividerX: this.input.dividerX * this.canvas.width
         });
 
         // Update hand tracker player count
-        handTracker.setPlayerCount(this.playerCount);
+        this.input.setPlayerCount(this.playerCount);
 
         // Clear any existing seeds
-        this.gardenBed.clear();
+        this.activity.clear();
 
         // Start timer (clear any leaked interval first)
         if (this.timerInterval) {
@@ -674,6 +897,65 @@ class Game {
         }
     }
 
+    /**
+     * Start (or return to) Free Play: no challenge, no timer, no score.
+     * The Free Play garden is created once and keeps growing across visits this session.
+     */
+    startFreePlay() {
+        // Make sure no round timer is left running
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+
+        // Reset DDA engine and round-scoped achievement stats
+        this.dda.reset();
+        this.achievementManager.startSession();
+
+        // Even spawn weights (must be set before the first seed spawns)
+        this.calculateSpawnWeights();
+
+        // Update hand tracker player count
+        this.input.setPlayerCount(this.playerCount);
+
+        // Only lay the garden out on first visit, or if the number of gardeners
+        // or the story chapter (which picks the plot layout) changed
+        const existingActivity = this.freePlayActivity;
+        const needsLayout = !existingActivity ||
+            existingActivity.playerCount !== this.playerCount ||
+            this.freePlayChapter !== storyManager.currentChapter;
+        if (!existingActivity) {
+            this.freePlayActivity = this.createActivity();
+        }
+        this.useActivity(this.freePlayActivity);
+
+        if (needsLayout) {
+            // Keep what's growing before the pots are laid out again (a garden
+            // just created is still empty, and saving it would wipe the last visit's)
+            if (existingActivity) this.saveGarden();
+            this.activity.configure({
+                playerCount: this.playerCount,
+                gameMode: this.gameMode,
+                dividerX: this.input.dividerX * this.canvas.width
+            });
+            this.activity.clear();
+            this.freePlayChapter = storyManager.currentChapter;
+
+            // Bring back the resident's garden, grown a little since last time
+            const savedGarden = loadSavedGarden();
+            if (savedGarden) this.activity.restoreSnapshot?.(savedGarden);
+        }
+
+        // Update HUD
+        uiManager.setFreePlayHUD(true);
+        uiManager.updateChallengeText('Free Play — grow at your own pace 🌼');
+
+        // Make sure game loop is running
+        if (!this.isRunning) {
+            this.startGameLoop();
+        }
+    }
+
     /**
      * Stop the current round
      */
@@ -683,9 +965,14 @@ class Game {
             this.timerInterval = null;
         }
 
+        this.saveMotionData();
+
+        // Free Play has no round result to record
+        if (this.gameMode === 'freeplay') return;
+
         // Check rubber-band in competitive mode
         if (this.gameMode === 'competitive') {
-            const rubberBandApplied = ddaEngine.checkRubberBand(this.player1Score, this.player2Score);
+            const rubberBandApplied = this.dda.checkRubberBand(this.player1Score, this.player2Score);
             if (rubberBandApplied) {
                 console.log('Rubber-banding applied to balance competitive scores');
             }
@@ -734,6 +1021,25 @@ class Game {
         }
     }
 
+    /**
+     * Save the Free Play garden for the next visit (activities without a garden have nothing to save)
+     */
+    saveGarden() {
+        const snapshot = this.freePlayActivity?.getSnapshot?.();
+        if (snapshot) saveGarden(snapshot);
+    }
+
+    /**
+     * Store the session's motion data on the session record (for export and the dashboard)
+     */
+    saveMotionData() {
+        sessionLogger.setSessionData('heatmap', this.motionHeatmap.toJSON());
+        sessionLogger.setSessionData('motion', this.motionMetrics.toJSON());
+
+        // Also log session-to-date metrics as events so they appear in the CSV export
+        this.motionMetrics.getSummary().forEach(hand => sessionLogger.log('motion', hand));
+    }
+
     /**
      * Show round end screen
      */
@@ -809,9 +1115,13 @@ class Game {
         }
 
         // Update leaderboard display on round-end screen
-        if (typeof uiManager !== 'undefined' && uiManager.updateLeaderboard) {
+        if (uiManager.updateLeaderboard) {
             uiManager.updateLeaderboard(this.leaderboard);
         }
+
+        // Show where hands reached this session, and how they moved
+        uiManager.updateHeatmaps(this.motionHeatmap, this.playerCount);
+        uiManager.updateMotionMetrics(this.motionMetrics.getSummary(), this.playerCount);
     }
 
     /**
@@ -857,6 +1167,7 @@ class Game {
      */
     stopGameLoop() {
         this.isRunning = false;
+        audioManager.setWeatherAmbience(null);
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
@@ -881,54 +1192,105 @@ class Game {
             // Update achievement session timer and consume any pending toasts
             this.achievementManager.updateSessionTime();
             const toast = this.achievementManager.consumeToast();
-            if (toast && typeof uiManager !== 'undefined' && uiManager.showToast) {
+            if (toast && uiManager.showToast) {
                 uiManager.showToast(toast);
             }
 
             // Update DDA engine
-            ddaEngine.update(deltaTime, this.gameMode);
+            this.dda.update(deltaTime, this.gameMode);
 
-            // Apply DDA difficulty to garden bed
+            // Apply DDA difficulty to the activity
             for (const id of [1, 2]) {
-                const diff = ddaEngine.getPlayerDifficulty(id);
-                this.gardenBed.applyDDA(id, diff);
+                const diff = this.dda.getPlayerDifficulty(id);
+                this.activity.applyDDA(id, diff);
             }
 
             // In competitive mode, check rubber-band and spawn golden watering can
             if (this.gameMode === 'competitive') {
-                const trailingPlayer = ddaEngine.checkRubberBand(this.player1Score, this.player2Score);
+                const trailingPlayer = this.dda.checkRubberBand(this.player1Score, this.player2Score);
                 if (trailingPlayer) {
-                    this.gardenBed.showGoldenWateringCan(trailingPlayer);
+                    this.activity.showGoldenWateringCan?.(trailingPlayer);
                 }
             }
 
-            // Pass idle times to garden for hint arrows
-            this.gardenBed.setPlayerIdleTime(1, ddaEngine.players[1].idleTime);
+            // Pass idle times to the activity for hint arrows
+            this.activity.setPlayerIdleTime(1, this.dda.players[1].idleTime);
             if (this.playerCount === 2) {
-                this.gardenBed.setPlayerIdleTime(2, ddaEngine.players[2].idleTime);
+                this.activity.setPlayerIdleTime(2, this.dda.players[2].idleTime);
             }
 
-            // Update garden (handles needs, growth, etc.)
-            this.gardenBed.update(deltaTime);
+            // Update the activity (garden: needs, growth, etc.)
+            this.activity.update(deltaTime);
 
-            // Draw garden scene
-            this.gardenBed.draw(this.ctx);
+            // Draw the activity scene
+            this.activity.draw(this.ctx);
         }
 
+        // Weather sounds only while playing (activities without weather stay quiet)
+        audioManager.setWeatherAmbience(this.state === GameState.PLAYING ? this.activity.weather?.current.id ?? null : null);
+
         // Draw hand indicators (always when tracking is active)
         if (this.state !== GameState.LOADING) {
-            handTracker.drawHands(this.ctx);
+            this.input.drawHands(this.ctx);
         }
 
         // Continue loop
         this.animationFrameId = requestAnimationFrame(() => this.gameLoop());
     }
 
+    /**
+     * Kiosk idle timeout: abandon any round, forget this resident's progress
+     * and start a fresh session on the welcome screen
+     */
+    async resetForNextResident() {
+        if (!this.residentActive) return;
+        this.residentActive = false;
+        console.log('Kiosk: no one playing - resetting for the next resident');
+
+        // Abandon the round without recording a result
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+        this.activity?.releaseItem();
+        this.saveMotionData();
+        uiManager.closeSettings();
+
+        // Forget progress
+        storyManager.reset();
+        challengeManager.reset();
+        this.currentChallenge = null;
+        this.achievementManager.reset();
+        this.leaderboard = [];
+        try {
+            localStorage.removeItem('gardenGrow_leaderboard');
+        } catch (e) {
+            // localStorage may be unavailable
+        }
+        clearSavedGarden();
+        this.freePlayActivity = null;
+        this.freePlayChapter = null;
+        this.useActivity(this.challengeActivity);
+        this.activity.clear();
+        this.dda.reset();
+        this.motionHeatmap.reset();
+        this.motionMetrics.reset();
+
+        // New resident, new session record
+        await sessionLogger.flush();
+        sessionLogger.startSession();
+
+        this.setState(GameState.WELCOME);
+        this.updateWelcomeScreen();
+    }
+
     /**
      * Pause the game
      */
     pause() {
         if (this.state === GameState.PLAYING) {
+            // The tab may never come back: keep the garden as it is now
+            if (this.gameMode === 'freeplay') this.saveGarden();
             this.setState(GameState.PAUSED);
         }
     }
@@ -941,6 +1303,12 @@ class Game {
             // Resume without going through setState(PLAYING) which calls startRound()
             this.state = GameState.PLAYING;
             console.log('State change: paused -> playing (resume)');
+            sessionLogger.log('state', {
+                from: GameState.PAUSED,
+                to: GameState.PLAYING,
+                mode: this.gameMode,
+                playerCount: this.playerCount
+            });
 
             // Restore HUD
             if (this.playerCount === 2 && (this.gameMode === 'competitive' || this.gameMode === 'coop')) {
@@ -948,11 +1316,12 @@ class Game {
             } else {
                 uiManager.showHUD(true);
             }
+            uiManager.setFreePlayHUD(this.gameMode === 'freeplay');
             uiManager.hideAllScreens();
 
-            // Restart game loop and timer
+            // Restart game loop and timer (Free Play has no timer)
             this.startGameLoop();
-            if (!this.timerInterval) {
+            if (!this.timerInterval && this.gameMode !== 'freeplay') {
                 this.timerInterval = setInterval(() => {
                     this.timeRemaining -= 1;
                     if (this.gameMode === 'competitive') {
@@ -972,12 +1341,13 @@ class Game {
      * Cleanup
      */
     destroy() {
+        if (this.gameMode === 'freeplay' && this.state === GameState.PLAYING) this.saveGarden();
         this.stopGameLoop();
         this.stopRound();
-        handTracker.stop();
+        this.input.stop();
         uiManager.destroy();
     }
 }
 
-// Global game instance
-const game = new Game();
+// Shared game instance
+export const game = new Game();
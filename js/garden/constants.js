@@ -9,7 +9,7 @@
  */
 
 /** Counter-mirror text so it reads correctly on the CSS-mirrored canvas */
-function drawUnmirroredText(ctx, text, x, y, stroke) {
+export function drawUnmirroredText(ctx, text, x, y, stroke) {
     ctx.save();
     // Swap left/right alignment for the flipped context
     if (ctx.textAlign === 'left') ctx.textAlign = 'right';
@@ -21,47 +21,82 @@ function drawUnmirroredText(ctx, text, x, y, stroke) {
     ctx.restore();
 }
 
-// Plant type definitions
-const PLANT_TYPES = {
+// Growth and drawing profile for anything a catalogue entry leaves out
+export const DEFAULT_PLANT_PROFILE = {
+    fruit: 'round',   // 'round' or 'flower'
+    height: 120,      // full-grown stem height (px)
+    growTime: 16,     // seconds from seed to harvest with every need met
+    stages: 4,        // stages before harvest, seed included (2-4)
+    needs: { water: 0.03, sun: 0.02, food: 0.025 } // depletion per second
+};
+
+// Plant type definitions — the built-in catalogue, replaced at startup by
+// data/plants.json when it loads (see plant-catalogue.js for the fields)
+export const PLANT_TYPES = {
     tomato: {
         name: 'TOMATO',
         seedColor: '#8B0000',
         plantColor: '#FF6347',
         stemColor: '#228B22',
-        icon: '🍅'
+        icon: '🍅',
+        fruit: 'round',
+        height: 120,
+        growTime: 16,
+        stages: 4,
+        needs: { water: 0.03, sun: 0.02, food: 0.025 }
     },
     sunflower: {
         name: 'SUNFLOWER',
         seedColor: '#8B4513',
         plantColor: '#FFD700',
         stemColor: '#228B22',
-        icon: '🌻'
+        icon: '🌻',
+        fruit: 'flower',
+        height: 140,
+        growTime: 20,
+        stages: 4,
+        needs: { water: 0.02, sun: 0.035, food: 0.02 }
     },
     carrot: {
         name: 'CARROT',
         seedColor: '#D2691E',
         plantColor: '#FF8C00',
         stemColor: '#228B22',
-        icon: '🥕'
+        icon: '🥕',
+        fruit: 'round',
+        height: 100,
+        growTime: 16,
+        stages: 4,
+        needs: { water: 0.025, sun: 0.02, food: 0.03 }
     },
     lettuce: {
         name: 'LETTUCE',
         seedColor: '#556B2F',
         plantColor: '#90EE90',
         stemColor: '#228B22',
-        icon: '🥬'
+        icon: '🥬',
+        fruit: 'round',
+        height: 80,
+        growTime: 12,
+        stages: 3,
+        needs: { water: 0.04, sun: 0.015, food: 0.02 }
     },
     blueberry: {
         name: 'BLUEBERRY',
         seedColor: '#483D8B',
         plantColor: '#4169E1',
         stemColor: '#228B22',
-        icon: '🫐'
+        icon: '🫐',
+        fruit: 'round',
+        height: 120,
+        growTime: 20,
+        stages: 4,
+        needs: { water: 0.03, sun: 0.02, food: 0.03 }
     }
 };
 
 // Growth stages
-const GrowthStage = {
+export const GrowthStage = {
     EMPTY: 'empty',
     SEED_PLANTED: 'seedPlanted',
     SPROUTING: 'sprouting',
@@ -69,3 +104,19 @@ const GrowthStage = {
     MATURE: 'mature',
     HARVESTABLE: 'harvestable'
 };
+
+// Stages between planting and harvest, in order; a plant with fewer
+// stages skips the later ones (see getGrowthStages)
+const GROWING_STAGES = [GrowthStage.SPROUTING, GrowthStage.GROWING, GrowthStage.MATURE];
+
+/**
+ * A plant's growth stages from planted seed to harvestable
+ * @param {number} stageCount - Stages before harvest, seed included (2-4)
+ */
+export function getGrowthStages(stageCount = 4) {
+    return [
+        GrowthStage.SEED_PLANTED,
+        ...GROWING_STAGES.slice(0, Math.max(2, Math.min(4, stageCount)) - 1),
+        GrowthStage.HARVESTABLE
+    ];
+}
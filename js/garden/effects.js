@@ -3,11 +3,12 @@
  * MagicPumpkin, HintArrow, and ConfettiParticle classes
  */
 
+import { drawUnmirroredText } from './constants.js';
 
 /**
  * Magic Pumpkin - Co-op only special item
  */
-class MagicPumpkin {
+export class MagicPumpkin {
     constructor(canvas) {
         this.canvas = canvas;
         this.x = canvas.width * (0.45 + Math.random() * 0.1); // 45-55% width
@@ -163,8 +164,11 @@ class MagicPumpkin {
  * Animated hint arrow for idle players
  * Shows contextual guidance (e.g. seed→pot, water→plant)
  */
-class HintArrow {
-    constructor() {
+export class HintArrow {
+    /**
+     * @param {Object} [hints] - Extra { colors, tooltips } by hint type (other themes' hints)
+     */
+    constructor({ colors = {}, tooltips = {} } = {}) {
         this.fromX = 0;
         this.fromY = 0;
         this.toX = 0;
@@ -185,7 +189,8 @@ class HintArrow {
             water_to_pot: '#87CEEB',  // light blue
             sun_to_pot: '#FFD700',    // soft gold
             food_to_pot: '#90EE90',   // light green
-            harvest: '#FFDAB9'        // soft peach
+            harvest: '#FFDAB9',       // soft peach
+            ...colors
         };
 
         // Tooltip messages by hint type
@@ -194,7 +199,8 @@ class HintArrow {
             water_to_pot: 'Your plant is thirsty! Use the watering can!',
             sun_to_pot: 'Your plant needs sunlight! Touch the sun!',
             food_to_pot: 'Feed your plant! Grab the fertilizer!',
-            harvest: 'Your plant is ready! Touch it to harvest!'
+            harvest: 'Your plant is ready! Touch it to harvest!',
+            ...tooltips
         };
 
         // Tooltip bounce phase
@@ -439,7 +445,7 @@ class HintArrow {
 /**
  * Confetti particle system
  */
-class ConfettiParticle {
+export class ConfettiParticle {
     constructor(x, y) {
         this.x = x;
         this.y = y;
@@ -3,14 +3,49 @@
  * Main Garden manager that coordinates all garden elements
  */
 
+import { PLANT_TYPES, GrowthStage, drawUnmirroredText } from './constants.js';
+import { PlantPot } from './plant-pot.js';
+import { DraggableSeed, WateringCan, FertilizerBag } from './tools.js';
+import { SunArea, NEEDS_PANEL_WIDTH, NEEDS_PANEL_HEIGHT } from './plant-needs.js';
+import { MagicPumpkin, HintArrow, ConfettiParticle } from './effects.js';
+import { Weather } from './weather.js';
+import { PlotArea, getPlotLayout } from './plot-layouts.js';
+import { InstantGrowth, DoublePoints, RainShower, waterPots } from '../power-ups.js';
+
+// Seed packets on offer in each zone's tray, and the gap between them
+const SEED_TRAY_SIZE = 3;
+const SEED_TRAY_SPACING = 110;
+
+// Tries at a plant not already in the tray before a repeat is allowed
+const SEED_PICK_ATTEMPTS = 6;
 
 /**
  * Main Garden manager - coordinates all garden elements
+ * The garden activity theme: implements the interface in js/themes.js.
+ *
+ * Page services are passed in rather than read from globals, and every one is
+ * optional so a garden can run on its own (tests, other themes):
+ * - audio: { play(soundName) }
+ * - logger: { log(type, data) } (session log)
+ * - achievements: { recordToolUse(tool), recordMagicPumpkin(), recordPowerUp() }
+ * - challenges: { currentChallenge, getTargetPlants() } (marks target harvests)
+ * - pickItemType: () => plant key for each seed packet in the tray (default: cycle PLANT_TYPES)
+ * - getSeason: () => season the weather follows ('spring', 'summer', 'autumn', 'winter'; null for the plain cycle)
+ * - getChapter: () => story chapter the shared garden's layout follows (default 1, see plot-layouts.js)
  */
-class GardenBed {
-    constructor(canvas) {
+export class GardenBed {
+    constructor(canvas, { audio = null, logger = null, achievements = null, challenges = null, pickItemType = null, getSeason = null, getChapter = null } = {}) {
         this.canvas = canvas;
 
+        // Injected page services (see above)
+        this.audio = audio;
+        this.logger = logger;
+        this.achievements = achievements;
+        this.challenges = challenges;
+        this.pickItemType = pickItemType;
+        this.getSeason = getSeason;
+        this.getChapter = getChapter;
+
         // Round generation counter — prevents stale setTimeout callbacks after round ends
         this.roundGeneration = 0;
 
@@ -26,50 +61,47 @@ class GardenBed {
         const centerX = canvas.width / 2;
         const centerY = canvas.height - 150; // Bottom toolbar row
 
-        // Plant pots (will be configured based on mode)
+        // Plant pots (will be configured based on mode); each keeps its own needs (pot.needs)
         this.plantPots = [];
         this.plantPot = new PlantPot(centerX, centerY, canvas); // Default for single player
         this.plantPots.push(this.plantPot);
 
-        // Plant needs (per player in competitive, shared in co-op)
-        this.plantNeedsMap = new Map();
-        this.plantNeeds = new PlantNeeds(); // Default for single player
-        this.plantNeedsMap.set('shared', this.plantNeeds);
+        // Beds, planters and greenhouse behind the pots (from the chapter's plot layout)
+        this.plotAreas = [];
+
+        // Suns (one per pot, shining on that pot only)
+        this.sunAreasMap = new Map(); // pot → SunArea
+        this.sunAreasMap.set(this.plantPot, new SunArea(canvas.width - 150, 200)); // Just below progress bar
 
-        // Tools and seeds (per zone in competitive, shared in co-op)
-        this.seedsMap = new Map();
+        // Tools and seed trays (per zone in competitive, shared in co-op)
+        this.seedTraysMap = new Map(); // zone → tray slots (DraggableSeed, or null while refilling)
         this.wateringCansMap = new Map();
         this.fertilizerBagsMap = new Map();
-        this.sunAreasMap = new Map();
 
         // Default shared tools
-        this.seed = null;
         this.wateringCan = new WateringCan(canvas.width - 150, canvas.height - 150, canvas);
         this.fertilizerBag = new FertilizerBag(150, canvas.height - 150, canvas);
-        this.sunArea = new SunArea(canvas.width - 150, 200); // Just below progress bar
 
         this.wateringCansMap.set('shared', this.wateringCan);
         this.fertilizerBagsMap.set('shared', this.fertilizerBag);
-        this.sunAreasMap.set('shared', this.sunArea);
 
         // Currently held items (per player)
         this.heldItemsMap = new Map();
         this.heldItem = null; // Default for single player
         this.heldItemHand = null; // Track which physical hand holds the item
+        this.heldItemHandsMap = new Map(); // Competitive: zone → hand holding that zone's item
 
-        // Available seeds
-        this.availableSeeds = [];
+        // Next plant when cycling without pickItemType
         this.currentSeedIndex = 0;
 
-        // Spawn initial seed
-        this.spawnNewSeed('shared');
+        // Fill the initial seed tray
+        this.fillSeedTray('shared');
 
-        // Interaction timers (per player)
+        // Interaction timers (tools per player; sun per pot)
         this.sunInteractionTimeMap = new Map();
         this.waterInteractionTimeMap = new Map();
         this.foodInteractionTimeMap = new Map();
 
-        this.sunInteractionTime = 0;
         this.waterInteractionTime = 0;
         this.foodInteractionTime = 0;
 
@@ -94,6 +126,9 @@ class GardenBed {
         // Confetti particles
         this.confettiParticles = [];
 
+        // Weather (restarts its cycle whenever the garden is laid out)
+        this.weather = new Weather(canvas);
+
         // Timer pause state
         this.timerPaused = false;
         this.timerPauseDuration = 0;
@@ -117,20 +152,26 @@ class GardenBed {
         return this.gameMode === 'competitive' ? [1, 2] : ['shared'];
     }
 
-    /** Get plant needs for a zone */
-    getZoneNeeds(zoneKey) {
-        return this.plantNeedsMap.get(zoneKey) || this.plantNeeds;
+    /** Get every plant pot in a zone (competitive: the player's own; co-op: all) */
+    getZonePots(zoneKey) {
+        if (this.gameMode === 'competitive') return this.plantPots.slice(zoneKey - 1, zoneKey);
+        return this.plantPots;
     }
 
-    /** Get plant pot for a zone */
-    getZonePot(zoneKey) {
-        if (this.gameMode === 'competitive') return this.plantPots[zoneKey - 1];
-        return this.plantPots[0];
+    /** Get the zone a pot belongs to */
+    getPotZone(pot) {
+        return this.gameMode === 'competitive' ? this.plantPots.indexOf(pot) + 1 : 'shared';
     }
 
-    /** Get seed for a zone */
-    getZoneSeed(zoneKey) {
-        return this.seedsMap.get(zoneKey) || this.seed;
+    /** Get the sun shining on a pot */
+    getPotSunArea(pot) {
+        return this.sunAreasMap.get(pot) || null;
+    }
+
+    /** Get the seed packets waiting in a zone's tray */
+    getZoneSeeds(zoneKey) {
+        const tray = this.seedTraysMap.get(zoneKey) || [];
+        return tray.filter(seed => seed && !seed.isPlanted);
     }
 
     /** Get watering can for a zone */
@@ -143,11 +184,6 @@ class GardenBed {
         return this.fertilizerBagsMap.get(zoneKey) || this.fertilizerBag;
     }
 
-    /** Get sun area for a zone */
-    getZoneSunArea(zoneKey) {
-        return this.sunAreasMap.get(zoneKey) || this.sunArea;
-    }
-
     // ── Configuration ──────────────────────────────────────────
 
     /**
@@ -159,15 +195,37 @@ class GardenBed {
         this.gameMode = gameMode || 'coop';
         this.dividerX = dividerX || null;
 
+        this.layOutGarden();
+
+        // Setup magic pumpkin for co-op mode
+        if (this.gameMode === 'coop' && this.playerCount === 2) {
+            this.magicPumpkin = new MagicPumpkin(this.canvas);
+            this.pumpkinSpawnTimer = 0;
+        } else {
+            this.magicPumpkin = null;
+        }
+    }
+
+    /**
+     * Fresh pots, suns, seeds and tools in the configured layout
+     */
+    layOutGarden() {
         // Clear existing setup
         this.plantPots = [];
-        this.plantNeedsMap.clear();
-        this.seedsMap.clear();
+        this.heldItem = null;
+        this.heldItemHand = null;
+        this.seedTraysMap.clear();
         this.wateringCansMap.clear();
         this.fertilizerBagsMap.clear();
         this.sunAreasMap.clear();
+        this.plotAreas = [];
         this.heldItemsMap.clear();
+        this.heldItemHandsMap.clear();
         this.goldenWateringCans.clear();
+        this.sunInteractionTimeMap.clear();
+        this.waterInteractionTimeMap.clear();
+        this.foodInteractionTimeMap.clear();
+        this.weather.reset(this.getSeason?.() ?? null);
 
         if (this.gameMode === 'competitive' && this.dividerX) {
             // Competitive mode - split zones
@@ -176,58 +234,40 @@ class GardenBed {
             // Co-op or single player - shared garden
             this.setupCoopMode();
         }
-
-        // Setup magic pumpkin for co-op mode
-        if (this.gameMode === 'coop' && this.playerCount === 2) {
-            this.magicPumpkin = new MagicPumpkin(this.canvas);
-            this.pumpkinSpawnTimer = 0;
-        } else {
-            this.magicPumpkin = null;
-        }
     }
 
     /**
-     * Setup co-op mode (shared garden)
+     * Setup co-op mode (shared garden, laid out for the current story chapter)
      */
     setupCoopMode() {
-        const canvasWidth = this.canvas.width;
-        const canvasHeight = this.canvas.height;
+        const { width, height } = this.canvas;
+        const layout = getPlotLayout(this.getChapter?.() ?? 1);
 
-        // 2-3 plant pots spread across width, on bottom toolbar row
-        const potCount = this.playerCount === 2 ? 2 : 3;
-        const spacing = canvasWidth / (potCount + 1);
-        const potY = canvasHeight - 150;
-
-        for (let i = 0; i < potCount; i++) {
-            const pot = new PlantPot(
-                spacing * (i + 1),
-                potY,
-                this.canvas
-            );
+        this.plotAreas = layout.areas.map(area => new PlotArea(area, this.canvas));
+
+        for (const spot of layout.pots) {
+            const pot = new PlantPot(spot.x * width, spot.y * height, this.canvas);
+            pot.sheltered = Boolean(spot.sheltered);
             this.plantPots.push(pot);
+
+            // Its own sun, above it (clear of the seed tray)
+            this.sunAreasMap.set(pot, new SunArea(pot.x, layout.sunY * height, layout.sunRadius));
         }
 
         // Default to first pot for backwards compatibility
         this.plantPot = this.plantPots[0];
 
-        // Shared plant needs
-        this.plantNeeds = new PlantNeeds();
-        this.plantNeedsMap.set('shared', this.plantNeeds);
-
         // Shared tools
-        this.wateringCan = new WateringCan(canvasWidth - 150, canvasHeight - 150, this.canvas);
-        this.fertilizerBag = new FertilizerBag(150, canvasHeight - 150, this.canvas);
-        this.sunArea = new SunArea(canvasWidth - 150, 200); // Just below progress bar
+        this.wateringCan = new WateringCan(layout.wateringCan.x * width, layout.wateringCan.y * height, this.canvas);
+        this.fertilizerBag = new FertilizerBag(layout.fertilizer.x * width, layout.fertilizer.y * height, this.canvas);
 
         this.wateringCansMap.set('shared', this.wateringCan);
         this.fertilizerBagsMap.set('shared', this.fertilizerBag);
-        this.sunAreasMap.set('shared', this.sunArea);
 
-        // Spawn seed
-        this.spawnNewSeed('shared');
+        // Fill the seed tray
+        this.fillSeedTray('shared');
 
         // Initialize interaction timers
-        this.sunInteractionTime = 0;
         this.waterInteractionTime = 0;
         this.foodInteractionTime = 0;
     }
@@ -243,9 +283,6 @@ class GardenBed {
         const p1Pot = new PlantPot(p1CenterX, canvasHeight - 150, this.canvas);
         this.plantPots.push(p1Pot);
 
-        const p1Needs = new PlantNeeds();
-        this.plantNeedsMap.set(1, p1Needs);
-
         const p1WateringCan = new WateringCan(
             this.canvas.width - 100,
             canvasHeight - 150,
@@ -260,16 +297,13 @@ class GardenBed {
 
         this.wateringCansMap.set(1, p1WateringCan);
         this.fertilizerBagsMap.set(1, p1Fertilizer);
-        this.sunAreasMap.set(1, p1Sun);
+        this.sunAreasMap.set(p1Pot, p1Sun);
 
         // Player 2 zone (left side, mirrored)
         const p2CenterX = this.dividerX / 2;
         const p2Pot = new PlantPot(p2CenterX, canvasHeight - 150, this.canvas);
         this.plantPots.push(p2Pot);
 
-        const p2Needs = new PlantNeeds();
-        this.plantNeedsMap.set(2, p2Needs);
-
         const p2WateringCan = new WateringCan(
             100,
             canvasHeight - 150,
@@ -284,15 +318,13 @@ class GardenBed {
 
         this.wateringCansMap.set(2, p2WateringCan);
         this.fertilizerBagsMap.set(2, p2Fertilizer);
-        this.sunAreasMap.set(2, p2Sun);
+        this.sunAreasMap.set(p2Pot, p2Sun);
 
-        // Spawn seeds for both players
-        this.spawnNewSeed(1);
-        this.spawnNewSeed(2);
+        // Fill a seed tray for each player
+        this.fillSeedTray(1);
+        this.fillSeedTray(2);
 
         // Initialize interaction timers for both players
-        this.sunInteractionTimeMap.set(1, 0);
-        this.sunInteractionTimeMap.set(2, 0);
         this.waterInteractionTimeMap.set(1, 0);
         this.waterInteractionTimeMap.set(2, 0);
         this.foodInteractionTimeMap.set(1, 0);
@@ -300,39 +332,54 @@ class GardenBed {
     }
 
     /**
-     * Spawn a new seed packet
+     * Put a fresh seed packet in every empty slot of a zone's tray
+     * (packets still waiting, or in a hand, stay where they are)
      */
-    spawnNewSeed(zoneKey = 'shared') {
-        // Use weighted random plant selection if available (challenge-aware)
-        let plantType;
-        if (typeof game !== 'undefined' && game.getWeightedRandomPlant) {
-            plantType = game.getWeightedRandomPlant();
+    fillSeedTray(zoneKey = 'shared') {
+        let trayX;
+        if (this.gameMode === 'competitive') {
+            trayX = zoneKey === 1
+                ? this.dividerX + (this.canvas.width - this.dividerX) / 2
+                : this.dividerX / 2;
         } else {
-            const plantTypes = Object.keys(PLANT_TYPES);
-            plantType = plantTypes[this.currentSeedIndex % plantTypes.length];
-            this.currentSeedIndex++;
+            trayX = this.canvas.width / 2;
         }
+        const trayY = 100;
 
-        let seedX, seedY;
+        // New packets get the zone's DDA hit box, like the ones already there
+        const dda = this.ddaModifiers?.get(this.gameMode === 'competitive' ? zoneKey : 1);
+        const hitBoxMultiplier = dda ? dda.hitBoxMultiplier : 1;
 
-        if (this.gameMode === 'competitive') {
-            if (zoneKey === 1) {
-                seedX = this.dividerX + (this.canvas.width - this.dividerX) / 2;
-            } else if (zoneKey === 2) {
-                seedX = this.dividerX / 2;
-            }
-            seedY = 100;
-        } else {
-            seedX = this.canvas.width / 2;
-            seedY = 100;
-        }
+        const tray = this.seedTraysMap.get(zoneKey) || new Array(SEED_TRAY_SIZE).fill(null);
+        for (let i = 0; i < tray.length; i++) {
+            if (tray[i] && !tray[i].isPlanted) continue;
 
-        const newSeed = new DraggableSeed(seedX, seedY, plantType, this.canvas);
+            const seedX = trayX + (i - (tray.length - 1) / 2) * SEED_TRAY_SPACING;
+            const taken = tray.filter(seed => seed && !seed.isPlanted).map(seed => seed.plantType);
+            tray[i] = new DraggableSeed(seedX, trayY, this.pickSeedType(taken), this.canvas);
+            tray[i].hitRadius = 50 * hitBoxMultiplier;
+        }
+        this.seedTraysMap.set(zoneKey, tray);
+    }
 
-        if (zoneKey === 'shared') {
-            this.seed = newSeed;
+    /**
+     * Plant for a new seed packet: weighted by the game's pick (challenge targets
+     * come up more often), but a different plant from the rest of the tray if one turns up
+     * @param {string[]} taken - Plants already in the tray
+     */
+    pickSeedType(taken) {
+        let plantType;
+        for (let attempt = 0; attempt < SEED_PICK_ATTEMPTS; attempt++) {
+            if (this.pickItemType) {
+                plantType = this.pickItemType();
+            } else {
+                const plantTypes = Object.keys(PLANT_TYPES);
+                plantType = plantTypes[this.currentSeedIndex % plantTypes.length];
+                this.currentSeedIndex++;
+            }
+            if (!taken.includes(plantType)) break;
         }
-        this.seedsMap.set(zoneKey, newSeed);
+        return plantType;
     }
 
     /**
@@ -346,8 +393,14 @@ class GardenBed {
         // In co-op/solo, only apply DDA from player 1 (avoid double-applying)
         if (this.gameMode !== 'competitive' && playerId !== 1) return;
 
-        const pot = this.getZonePot(zoneKey);
-        if (pot) pot.hitRadius = 80 * hitBoxMultiplier;
+        // Every pot in the zone, with its needs and its sun
+        for (const pot of this.getZonePots(zoneKey)) {
+            pot.hitRadius = 80 * hitBoxMultiplier;
+            pot.needs.scaleDepletion(seedSpeed);
+
+            const sunArea = this.getPotSunArea(pot);
+            if (sunArea) sunArea.radius = sunArea.baseRadius * hitBoxMultiplier;
+        }
 
         const wateringCan = this.getZoneWateringCan(zoneKey);
         if (wateringCan) wateringCan.hitRadius = 60 * hitBoxMultiplier;
@@ -355,18 +408,7 @@ class GardenBed {
         const fertilizer = this.getZoneFertilizer(zoneKey);
         if (fertilizer) fertilizer.hitRadius = 50 * hitBoxMultiplier;
 
-        const sunArea = this.getZoneSunArea(zoneKey);
-        if (sunArea) sunArea.radius = 120 * hitBoxMultiplier;
-
-        const seed = this.getZoneSeed(zoneKey);
-        if (seed) seed.hitRadius = 50 * hitBoxMultiplier;
-
-        const needs = this.getZoneNeeds(zoneKey);
-        if (needs) {
-            needs.waterDepleteRate = 0.03 * seedSpeed;
-            needs.sunDepleteRate = 0.02 * seedSpeed;
-            needs.foodDepleteRate = 0.025 * seedSpeed;
-        }
+        this.getZoneSeeds(zoneKey).forEach(seed => { seed.hitRadius = 50 * hitBoxMultiplier; });
     }
 
     /**
@@ -377,59 +419,60 @@ class GardenBed {
     }
 
     /**
-     * Determine what hint to show for a given zone
+     * Determine what hint to show for a given zone ('shared', or a player in competitive)
      * Returns { fromX, fromY, toX, toY, hintType } or null
      */
-    determineHintForZone(zoneKey) {
-        const pot = this.getZonePot(zoneKey);
-        if (!pot) return null;
+    determineHint(zoneKey) {
+        const pots = this.getZonePots(zoneKey);
+        if (pots.length === 0) return null;
 
-        const seed = this.getZoneSeed(zoneKey);
+        const seeds = this.getZoneSeeds(zoneKey);
+        const seed = seeds.find(s => this.isTargetPlant(s.plantType)) || seeds[0];
         const wateringCan = this.getZoneWateringCan(zoneKey);
         const fertilizerBag = this.getZoneFertilizer(zoneKey);
-        const sunArea = this.getZoneSunArea(zoneKey);
-        const needs = this.getZoneNeeds(zoneKey);
 
-        // Phase 1: Empty pot + seed exists → arrow from seed to pot
-        if (pot.growthStage === GrowthStage.EMPTY && seed && !seed.isPlanted) {
+        // Phase 1: Empty pot + seed exists → arrow from seed (a challenge target's, if there is one) to pot
+        const emptyPot = pots.find(pot => pot.growthStage === GrowthStage.EMPTY);
+        if (emptyPot && seed) {
             return {
                 fromX: seed.homeX, fromY: seed.homeY,
-                toX: pot.x, toY: pot.y,
+                toX: emptyPot.x, toY: emptyPot.y,
                 hintType: 'seed_to_pot'
             };
         }
 
         // Phase 2: Harvestable → pulsing ring on pot
-        if (pot.growthStage === GrowthStage.HARVESTABLE) {
+        const readyPot = pots.find(pot => pot.growthStage === GrowthStage.HARVESTABLE);
+        if (readyPot) {
             return {
-                fromX: pot.x, fromY: pot.y,
-                toX: pot.x, toY: pot.y,
+                fromX: readyPot.x, fromY: readyPot.y,
+                toX: readyPot.x, toY: readyPot.y,
                 hintType: 'harvest'
             };
         }
 
-        // Phase 3: Growing plant with needs → arrow from lowest-need tool to pot
-        if (pot.growthStage !== GrowthStage.EMPTY && needs) {
-            const needLevels = [
-                { type: 'water_to_pot', value: needs.water, tool: wateringCan },
-                { type: 'food_to_pot', value: needs.food, tool: fertilizerBag },
-                { type: 'sun_to_pot', value: needs.sun, tool: sunArea }
-            ];
-
-            // Find lowest need below 50%
-            const critical = needLevels
-                .filter(n => n.value < 0.5 && n.tool)
-                .sort((a, b) => a.value - b.value)[0];
-
-            if (critical) {
-                const toolX = critical.tool.homeX != null ? critical.tool.homeX : critical.tool.x;
-                const toolY = critical.tool.homeY != null ? critical.tool.homeY : critical.tool.y;
-                return {
-                    fromX: toolX, fromY: toolY,
-                    toX: pot.x, toY: pot.y,
-                    hintType: critical.type
-                };
-            }
+        // Phase 3: Growing plants with needs → arrow from the lowest need's tool to its pot
+        const needLevels = pots
+            .filter(pot => pot.growthStage !== GrowthStage.EMPTY)
+            .flatMap(pot => [
+                { pot, type: 'water_to_pot', value: pot.needs.water, tool: wateringCan },
+                { pot, type: 'food_to_pot', value: pot.needs.food, tool: fertilizerBag },
+                { pot, type: 'sun_to_pot', value: pot.needs.sun, tool: this.getPotSunArea(pot) }
+            ]);
+
+        // Find lowest need below 50%
+        const critical = needLevels
+            .filter(n => n.value < 0.5 && n.tool)
+            .sort((a, b) => a.value - b.value)[0];
+
+        if (critical) {
+            const toolX = critical.tool.homeX != null ? critical.tool.homeX : critical.tool.x;
+            const toolY = critical.tool.homeY != null ? critical.tool.homeY : critical.tool.y;
+            return {
+                fromX: toolX, fromY: toolY,
+                toX: critical.pot.x, toY: critical.pot.y,
+                hintType: critical.type
+            };
         }
 
         return null;
@@ -456,7 +499,7 @@ class GardenBed {
             }
 
             if (idleTime >= this.hintIdleThreshold) {
-                const hint = this.determineHintForZone(zone);
+                const hint = this.determineHint(zone);
                 if (hint) {
                     arrow.show(hint.fromX, hint.fromY, hint.toX, hint.toY, hint.hintType);
                 } else {
@@ -534,43 +577,33 @@ class GardenBed {
             // Continue other updates even when timer is paused
         }
 
-        // Update needs and plant growth
-        if (this.gameMode === 'competitive') {
-            for (let i = 0; i < this.plantPots.length; i++) {
-                const pot = this.plantPots[i];
-                const playerId = i + 1;
-                const needs = this.plantNeedsMap.get(playerId);
-
-                if (pot.growthStage !== GrowthStage.EMPTY && needs) {
-                    needs.update(deltaTime);
-                    const satisfaction = needs.getAverageSatisfaction();
-                    pot.updateGrowth(satisfaction, deltaTime);
-                    // Sync water level to pot
-                    pot.waterLevelTarget = needs.water;
-                }
-                pot.update(deltaTime);
-            }
-        } else {
-            // Co-op/single player — update needs once, then apply to all pots
-            let needsUpdated = false;
-            for (const pot of this.plantPots) {
-                if (pot.growthStage !== GrowthStage.EMPTY) {
-                    if (!needsUpdated) {
-                        this.plantNeeds.update(deltaTime);
-                        needsUpdated = true;
-                    }
-                    const satisfaction = this.plantNeeds.getAverageSatisfaction();
-                    pot.updateGrowth(satisfaction, deltaTime);
-                    // Sync water level to pot
-                    pot.waterLevelTarget = this.plantNeeds.water;
-                }
-                pot.update(deltaTime);
+        // Update the weather (it changes how fast needs run down, and rain waters every pot
+        // out in the open; pots in the greenhouse are sheltered from it)
+        const weatherBefore = this.weather.current;
+        const rainWater = this.weather.update(deltaTime);
+        const depletion = this.weather.getDepletion();
+        if (this.weather.current !== weatherBefore) {
+            this.logger?.log('weather', { weather: this.weather.current.id, season: this.weather.season, mode: this.gameMode });
+        }
+
+        // Update each pot's own needs and plant growth
+        for (const pot of this.plantPots) {
+            if (pot.growthStage !== GrowthStage.EMPTY) {
+                pot.needs.update(deltaTime, pot.sheltered ? undefined : depletion);
+                if (rainWater && !pot.sheltered) waterPots([pot], rainWater);
+                const satisfaction = pot.needs.getAverageSatisfaction();
+                const wasWilting = pot.isWilting;
+                pot.updateGrowth(satisfaction, deltaTime);
+                this.trackWilting(pot, wasWilting, this.getPotZone(pot));
+                // Sync water level to pot
+                pot.waterLevelTarget = pot.needs.water;
             }
+            pot.update(deltaTime);
         }
 
-        // Update sun areas and watering cans (per zone)
+        // Update sun areas (per pot) and watering cans (per zone)
+        this.sunAreasMap.forEach(sun => sun.update(deltaTime));
         for (const zk of this.getZoneKeys()) {
-            this.getZoneSunArea(zk).update(deltaTime);
             this.getZoneWateringCan(zk).update(deltaTime);
         }
 
@@ -610,6 +643,22 @@ class GardenBed {
         this.returnBeaconPulse += deltaTime * 3;
     }
 
+    /**
+     * A gentle sigh when a plant wilts and a happy rustle when care brings it back,
+     * so residents can link the drooping to its needs
+     */
+    trackWilting(pot, wasWilting, zoneKey) {
+        if (pot.isWilting === wasWilting) return;
+
+        this.audio?.play(pot.isWilting ? 'wilt' : 'plant');
+        this.logger?.log('wilt', {
+            plant: pot.plantType,
+            recovered: !pot.isWilting,
+            zone: zoneKey,
+            mode: this.gameMode
+        });
+    }
+
     /**
      * Handle hand interactions with per-player routing
      */
@@ -638,43 +687,52 @@ class GardenBed {
             return harvestedPlants;
         }
 
-        // Group hands by player
-        const handsByPlayer = new Map();
-        handPositions.forEach(hand => {
-            const playerId = hand.playerId || 1;
-            if (!handsByPlayer.has(playerId)) {
-                handsByPlayer.set(playerId, []);
+        // Group collision points by physical hand (up to two hands per player)
+        const handGroups = new Map();
+        handPositions.forEach(pos => {
+            const handKey = this.getHandKey(pos);
+            if (!handGroups.has(handKey)) {
+                handGroups.set(handKey, []);
             }
-            handsByPlayer.get(playerId).push(hand);
+            handGroups.get(handKey).push(pos);
         });
 
         if (this.gameMode === 'competitive') {
-            // Process each player's hands in their zone
-            handsByPlayer.forEach((hands, playerId) => {
-                hands.forEach(hand => {
+            // Release a zone's item if the hand holding it disappeared
+            this.heldItemHandsMap.forEach((handKey, zoneKey) => {
+                if (!handGroups.has(handKey)) {
+                    this.releaseItem(zoneKey);
+                }
+            });
+
+            // Process each hand in the zone it's in
+            handGroups.forEach((points, handKey) => {
+                points.forEach(hand => {
                     const zoneOwner = this.getZoneOwner(hand.x);
                     const effectivePlayerId = zoneOwner; // Cross-zone assist
+                    const holdingHand = this.heldItemHandsMap.get(effectivePlayerId);
+
+                    // Another hand holds this zone's item: sun and harvest only
+                    const result = holdingHand != null && holdingHand !== handKey
+                        ? this.processFreeHandInteraction(hand, effectivePlayerId)
+                        : this.processHandInteraction(hand, effectivePlayerId);
+
+                    // Track which hand grabbed the zone's item
+                    if (!this.heldItemsMap.get(effectivePlayerId)) {
+                        this.heldItemHandsMap.delete(effectivePlayerId);
+                    } else if (holdingHand == null) {
+                        this.heldItemHandsMap.set(effectivePlayerId, handKey);
+                    }
 
-                    const result = this.processHandInteraction(hand, effectivePlayerId);
                     if (result) {
-                        const isTargetPlant = typeof challengeManager !== 'undefined' &&
-                            challengeManager.currentChallenge &&
-                            challengeManager.getTargetPlants().includes(result);
+                        const isTargetPlant = this.isTargetPlant(result);
                         const targetPotComp = this.plantPots[effectivePlayerId - 1];
                         harvestedPlants.push({ plantKey: result, playerId: effectivePlayerId, isTargetPlant, growTime: targetPotComp && targetPotComp.plantedAt ? (Date.now() - targetPotComp.plantedAt) / 1000 : 30 });
                     }
                 });
             });
         } else {
-            // Solo/co-op - group all collision points by hand
-            const handGroups = new Map();
-            handPositions.forEach(pos => {
-                const handKey = pos.isLeft ? 'left' : 'right';
-                if (!handGroups.has(handKey)) {
-                    handGroups.set(handKey, []);
-                }
-                handGroups.get(handKey).push(pos);
-            });
+            // Solo/co-op - one shared held item
 
             // Release held item if the holding hand disappeared
             if (this.heldItem && this.heldItemHand && !handGroups.has(this.heldItemHand)) {
@@ -687,9 +745,7 @@ class GardenBed {
                     points.forEach(hand => {
                         const result = this.processFreeHandInteraction(hand);
                         if (result) {
-                            const isTargetPlant = typeof challengeManager !== 'undefined' &&
-                                challengeManager.currentChallenge &&
-                                challengeManager.getTargetPlants().includes(result);
+                            const isTargetPlant = this.isTargetPlant(result);
                             let closestPotFH = null, minDistFH = Infinity;
                             this.plantPots.forEach(p => { const d = Math.hypot(hand.x - p.x, hand.y - p.y); if (d < minDistFH) { minDistFH = d; closestPotFH = p; } });
                             harvestedPlants.push({ plantKey: result, playerId: hand.playerId || 1, isTargetPlant, growTime: closestPotFH && closestPotFH.plantedAt ? (Date.now() - closestPotFH.plantedAt) / 1000 : 30 });
@@ -701,9 +757,7 @@ class GardenBed {
                 points.forEach(hand => {
                     const result = this.processHandInteraction(hand, 'shared');
                     if (result) {
-                        const isTargetPlant = typeof challengeManager !== 'undefined' &&
-                            challengeManager.currentChallenge &&
-                            challengeManager.getTargetPlants().includes(result);
+                        const isTargetPlant = this.isTargetPlant(result);
                         let closestPotSH = null, minDistSH = Infinity;
                         this.plantPots.forEach(p => { const d = Math.hypot(hand.x - p.x, hand.y - p.y); if (d < minDistSH) { minDistSH = d; closestPotSH = p; } });
                         harvestedPlants.push({ plantKey: result, playerId: hand.playerId || 1, isTargetPlant, growTime: closestPotSH && closestPotSH.plantedAt ? (Date.now() - closestPotSH.plantedAt) / 1000 : 30 });
@@ -733,7 +787,8 @@ class GardenBed {
                     this.timerPaused = true;
                     this.timerPauseDuration = 3; // 3 seconds
                     this.spawnConfetti(this.magicPumpkin.x, this.magicPumpkin.y, 80);
-                    if (typeof achievementManager !== 'undefined') achievementManager.recordMagicPumpkin();
+                    this.achievements?.recordMagicPumpkin();
+                    this.logger?.log('magicPumpkin', { mode: this.gameMode });
                 }
             }
         }
@@ -741,6 +796,31 @@ class GardenBed {
         return harvestedPlants;
     }
 
+    /**
+     * Key identifying the physical hand a collision point belongs to
+     */
+    getHandKey(handPos) {
+        if (handPos.handId != null) return handPos.handId;
+        return `${handPos.playerId || 1}-${handPos.isLeft ? 'left' : 'right'}`;
+    }
+
+    /**
+     * The seed packet a hand point is over (the nearest, where hit boxes overlap)
+     */
+    findSeedAt(seeds, handPos) {
+        let found = null;
+        let minDist = Infinity;
+        for (const seed of seeds) {
+            if (!seed.isPointOver(handPos.x, handPos.y, handPos.depthScale)) continue;
+            const dist = Math.hypot(handPos.x - seed.x, handPos.y - seed.y);
+            if (dist < minDist) {
+                minDist = dist;
+                found = seed;
+            }
+        }
+        return found;
+    }
+
     /**
      * Get zone owner based on x position (competitive mode)
      */
@@ -756,12 +836,9 @@ class GardenBed {
         let harvested = null;
 
         // Get zone-specific items via helpers
-        const seed = this.getZoneSeed(zoneKey);
+        const seeds = this.getZoneSeeds(zoneKey);
         const wateringCan = this.getZoneWateringCan(zoneKey);
         const fertilizerBag = this.getZoneFertilizer(zoneKey);
-        const sunArea = this.getZoneSunArea(zoneKey);
-        // Read plantNeeds fresh each time via getter to avoid stale reference after seed planting
-        const getPlantNeeds = () => this.getZoneNeeds(zoneKey);
 
         let heldItem = this.gameMode === 'competitive'
             ? this.heldItemsMap.get(zoneKey)
@@ -810,11 +887,8 @@ class GardenBed {
                     if (!powerUp.active) {
                         this.activePowerUps.delete(zoneKey);
                     }
-                    if (typeof audioManager !== 'undefined') audioManager.play('harvest');
-                    // Notify achievement manager if present
-                    if (typeof game !== 'undefined' && game.achievementManager) {
-                        game.achievementManager.recordPowerUp();
-                    }
+                    this.audio?.play('harvest');
+                    this.achievements?.recordPowerUp();
                     return harvested;
                 }
             }
@@ -829,7 +903,7 @@ class GardenBed {
 
             // Reset watering can state if held but not yet confirmed over pot
             if (heldItem === wateringCan) {
-                const overPot = targetPot && targetPot.isPointOver(handPos.x, handPos.y);
+                const overPot = targetPot && targetPot.isPointOver(handPos.x, handPos.y, handPos.depthScale);
                 if (!overPot) {
                     wateringCan.isOverPot = false;
                     wateringCan.pourProgress = 0;
@@ -847,8 +921,9 @@ class GardenBed {
             }
 
             // Check for drop interactions
-            if (heldItem === seed && targetPot && targetPot.isPointOver(handPos.x, handPos.y)) {
-                // Drop seed in pot
+            if (seeds.includes(heldItem) && targetPot && targetPot.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
+                // Drop the chosen seed in the pot
+                const seed = heldItem;
                 if (targetPot.plantSeed(seed.plantType)) {
                     seed.plant();
                     if (this.gameMode === 'competitive') {
@@ -857,23 +932,26 @@ class GardenBed {
                         this.heldItem = null;
                         this.heldItemHand = null;
                     }
-                    if (typeof audioManager !== 'undefined') {
-                        audioManager.play('plant');
-                    }
-
-                    // Reset needs for new plant
-                    if (this.gameMode === 'competitive') {
-                        this.plantNeedsMap.set(zoneKey, new PlantNeeds());
-                    } else {
-                        this.plantNeeds = new PlantNeeds();
-                        this.plantNeedsMap.set('shared', this.plantNeeds);
-                    }
+                    this.audio?.play('plant');
+
+                    // The new plant's needs run down at its own rates, scaled by the zone's DDA
+                    const dda = this.ddaModifiers.get(this.gameMode === 'competitive' ? zoneKey : 1);
+                    if (dda) targetPot.needs.scaleDepletion(dda.seedSpeed);
+
+                    this.logger?.log('seedChoice', {
+                        plantType: seed.plantType,
+                        choices: seeds.map(s => s.plantType),
+                        isTargetPlant: this.isTargetPlant(seed.plantType),
+                        playerId: handPos.playerId || 1,
+                        zone: zoneKey,
+                        mode: this.gameMode
+                    });
 
-                    // Spawn new seed after delay (guarded by generation counter)
+                    // Refill the tray after delay (guarded by generation counter)
                     const gen = this.roundGeneration;
-                    setTimeout(() => { if (this.roundGeneration === gen) this.spawnNewSeed(zoneKey); }, 1000);
+                    setTimeout(() => { if (this.roundGeneration === gen) this.fillSeedTray(zoneKey); }, 1000);
                 }
-            } else if (heldItem === wateringCan && targetPot && targetPot.isPointOver(handPos.x, handPos.y)) {
+            } else if (heldItem === wateringCan && targetPot && targetPot.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
                 // Water the plant — set tilt state
                 wateringCan.isOverPot = true;
                 wateringCan.targetPotRef = targetPot;
@@ -891,7 +969,7 @@ class GardenBed {
                 targetPot.waterPourProgress = progress;
 
                 if (newWaterTime > 0.3) {
-                    getPlantNeeds().addWater();
+                    targetPot.needs.addWater();
                     wateringCan.water();
                     wateringCan.pourProgress = 0;
                     targetPot.waterPourProgress = 0;
@@ -902,10 +980,8 @@ class GardenBed {
                         this.waterInteractionTime = 0;
                     }
 
-                    if (typeof audioManager !== 'undefined') {
-                        audioManager.play('water');
-                    }
-                    if (typeof achievementManager !== 'undefined') achievementManager.recordToolUse('watering_can');
+                    this.audio?.play('water');
+                    this.recordToolUse('watering_can', handPos, zoneKey);
                 } else {
                     if (this.gameMode === 'competitive') {
                         this.waterInteractionTimeMap.set(zoneKey, newWaterTime);
@@ -913,7 +989,7 @@ class GardenBed {
                         this.waterInteractionTime = newWaterTime;
                     }
                 }
-            } else if (heldItem === fertilizerBag && targetPot && targetPot.isPointOver(handPos.x, handPos.y)) {
+            } else if (heldItem === fertilizerBag && targetPot && targetPot.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
                 // Feed the plant
                 const foodTime = this.gameMode === 'competitive'
                     ? (this.foodInteractionTimeMap.get(zoneKey) || 0)
@@ -922,7 +998,7 @@ class GardenBed {
                 const newFoodTime = foodTime + this.lastDeltaTime;
 
                 if (newFoodTime > 0.5) {
-                    getPlantNeeds().addFood();
+                    targetPot.needs.addFood();
 
                     if (this.gameMode === 'competitive') {
                         this.foodInteractionTimeMap.set(zoneKey, 0);
@@ -930,10 +1006,8 @@ class GardenBed {
                         this.foodInteractionTime = 0;
                     }
 
-                    if (typeof audioManager !== 'undefined') {
-                        audioManager.play('plant');
-                    }
-                    if (typeof achievementManager !== 'undefined') achievementManager.recordToolUse('fertilizer');
+                    this.audio?.play('plant');
+                    this.recordToolUse('fertilizer', handPos, zoneKey);
                 } else {
                     if (this.gameMode === 'competitive') {
                         this.foodInteractionTimeMap.set(zoneKey, newFoodTime);
@@ -941,34 +1015,34 @@ class GardenBed {
                         this.foodInteractionTime = newFoodTime;
                     }
                 }
-            } else if (heldItem.isGolden && targetPot && targetPot.isPointOver(handPos.x, handPos.y)) {
+            } else if (heldItem.isGolden && targetPot && targetPot.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
                 // Golden watering can - max all needs instantly
-                getPlantNeeds().maxAll();
+                targetPot.needs.maxAll();
                 this.goldenWateringCans.delete(zoneKey);
                 this.heldItemsMap.set(zoneKey, null);
 
-                if (typeof audioManager !== 'undefined') {
-                    audioManager.play('water');
-                }
+                this.audio?.play('water');
             } else if (heldItem.homeX != null && heldItem.homeY != null) {
                 // Return-to-home drop: move item back near its home position to put it down
+                // (only once it has been carried away, so lifting it slowly doesn't drop it)
                 const distToHome = Math.sqrt(
                     Math.pow(handPos.x - heldItem.homeX, 2) +
                     Math.pow(handPos.y - heldItem.homeY, 2)
                 );
-                if (distToHome < 80) {
+                if (distToHome >= 80) {
+                    heldItem.hasLeftHome = true;
+                } else if (heldItem.hasLeftHome) {
                     this.releaseItem(zoneKey);
                     heldItem = null;
-                    if (typeof audioManager !== 'undefined') {
-                        audioManager.play('plant');
-                    }
+                    this.audio?.play('plant');
                 }
             }
         }
 
         if (!heldItem) {
             // Try to pick something up (any collision point can trigger pickup)
-            if (seed && !seed.isPlanted && seed.isPointOver(handPos.x, handPos.y)) {
+            const seed = this.findSeedAt(seeds, handPos);
+            if (seed) {
                 seed.pickup();
                 heldItem = seed;
                 if (this.gameMode === 'competitive') {
@@ -976,7 +1050,7 @@ class GardenBed {
                 } else {
                     this.heldItem = heldItem;
                 }
-            } else if (wateringCan && wateringCan.isPointOver(handPos.x, handPos.y)) {
+            } else if (wateringCan && wateringCan.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
                 wateringCan.pickup();
                 heldItem = wateringCan;
                 if (this.gameMode === 'competitive') {
@@ -984,7 +1058,7 @@ class GardenBed {
                 } else {
                     this.heldItem = heldItem;
                 }
-            } else if (fertilizerBag && fertilizerBag.isPointOver(handPos.x, handPos.y)) {
+            } else if (fertilizerBag && fertilizerBag.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
                 fertilizerBag.pickup();
                 heldItem = fertilizerBag;
                 if (this.gameMode === 'competitive') {
@@ -995,44 +1069,19 @@ class GardenBed {
             }
 
             // Sun interaction (just hover)
-            if (sunArea && sunArea.isPointOver(handPos.x, handPos.y)) {
-                const sunTime = this.gameMode === 'competitive'
-                    ? (this.sunInteractionTimeMap.get(zoneKey) || 0)
-                    : this.sunInteractionTime;
-
-                const newSunTime = sunTime + this.lastDeltaTime;
-
-                if (newSunTime > 0.2) {
-                    getPlantNeeds().addSun();
-
-                    if (this.gameMode === 'competitive') {
-                        this.sunInteractionTimeMap.set(zoneKey, 0);
-                    } else {
-                        this.sunInteractionTime = 0;
-                    }
-                    if (typeof achievementManager !== 'undefined') achievementManager.recordToolUse('sun');
-                } else {
-                    if (this.gameMode === 'competitive') {
-                        this.sunInteractionTimeMap.set(zoneKey, newSunTime);
-                    } else {
-                        this.sunInteractionTime = newSunTime;
-                    }
-                }
-            }
+            this.processSunInteraction(handPos, zoneKey);
 
             // Check for harvest
             if (targetPot && targetPot.growthStage === GrowthStage.HARVESTABLE &&
-                targetPot.isPointOver(handPos.x, handPos.y)) {
+                targetPot.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
                 const harvestedPlant = targetPot.harvest();
                 if (harvestedPlant) {
                     harvested = harvestedPlant;
-                    if (typeof audioManager !== 'undefined') {
-                        audioManager.play('harvest');
-                    }
+                    this.audio?.play('harvest');
 
-                    // Spawn new seed (guarded by generation counter)
+                    // Top up the seed tray (guarded by generation counter)
                     const gen = this.roundGeneration;
-                    setTimeout(() => { if (this.roundGeneration === gen) this.spawnNewSeed(zoneKey); }, 500);
+                    setTimeout(() => { if (this.roundGeneration === gen) this.fillSeedTray(zoneKey); }, 500);
                 }
             }
         }
@@ -1040,6 +1089,48 @@ class GardenBed {
         return harvested;
     }
 
+    /**
+     * Hovering over a pot's sun gives that pot's plant sunlight
+     */
+    processSunInteraction(handPos, zoneKey) {
+        for (const pot of this.getZonePots(zoneKey)) {
+            const sunArea = this.getPotSunArea(pot);
+            if (!sunArea || !sunArea.isPointOver(handPos.x, handPos.y, handPos.depthScale)) continue;
+
+            const newSunTime = (this.sunInteractionTimeMap.get(pot) || 0) + this.lastDeltaTime;
+
+            if (newSunTime > 0.2) {
+                pot.needs.addSun();
+                this.sunInteractionTimeMap.set(pot, 0);
+                this.recordToolUse('sun', handPos, zoneKey);
+            } else {
+                this.sunInteractionTimeMap.set(pot, newSunTime);
+            }
+        }
+    }
+
+    /**
+     * Whether a harvested plant counts toward the current challenge
+     */
+    isTargetPlant(plantKey) {
+        const challenges = this.challenges;
+        return Boolean(challenges && challenges.currentChallenge && challenges.getTargetPlants().includes(plantKey));
+    }
+
+    /**
+     * Report a completed tool use to achievements and the session log
+     */
+    recordToolUse(toolType, handPos, zoneKey) {
+        this.achievements?.recordToolUse(toolType);
+        this.logger?.log('toolUse', {
+            tool: toolType,
+            playerId: handPos.playerId || 1,
+            hand: handPos.isLeft ? 'left' : 'right',
+            zone: zoneKey,
+            mode: this.gameMode
+        });
+    }
+
     /**
      * Release currently held item
      */
@@ -1057,16 +1148,13 @@ class GardenBed {
             }
 
             heldItem.drop();
+            heldItem.hasLeftHome = false;
 
-            // Return tools to home position
+            // Return tools (and an unplanted seed packet) to home position
             const wateringCan = this.getZoneWateringCan(zoneKey);
             const fertilizerBag = this.getZoneFertilizer(zoneKey);
-            const seed = this.getZoneSeed(zoneKey);
-
-            if (heldItem === wateringCan || heldItem === fertilizerBag) {
+            if (heldItem === wateringCan || heldItem === fertilizerBag || this.getZoneSeeds(zoneKey).includes(heldItem)) {
                 heldItem.returnHome();
-            } else if (heldItem === seed && !seed.isPlanted) {
-                seed.returnHome();
             }
 
             // Check if it's a golden can
@@ -1076,6 +1164,7 @@ class GardenBed {
 
             if (this.gameMode === 'competitive') {
                 this.heldItemsMap.set(zoneKey, null);
+                this.heldItemHandsMap.delete(zoneKey);
             } else {
                 this.heldItem = null;
                 this.heldItemHand = null;
@@ -1085,43 +1174,37 @@ class GardenBed {
 
     /**
      * Process free-hand interactions (sun hover + harvest only, no pickup/movement)
+     * for a hand whose partner is holding the zone's item
      */
-    processFreeHandInteraction(handPos) {
+    processFreeHandInteraction(handPos, zoneKey = 'shared') {
         // Sun interaction
-        const sunArea = this.sunAreasMap.get('shared') || this.sunArea;
-        if (sunArea && sunArea.isPointOver(handPos.x, handPos.y)) {
-            this.sunInteractionTime += this.lastDeltaTime;
-            if (this.sunInteractionTime > 0.2) {
-                const plantNeeds = this.plantNeedsMap.get('shared') || this.plantNeeds;
-                if (plantNeeds) plantNeeds.addSun();
-                this.sunInteractionTime = 0;
-                if (typeof achievementManager !== 'undefined') achievementManager.recordToolUse('sun');
-            }
-        }
+        this.processSunInteraction(handPos, zoneKey);
 
-        // Harvest interaction
+        // Harvest interaction (competitive: own zone's pot, otherwise the closest)
         let targetPot = null;
-        let minDist = Infinity;
-        this.plantPots.forEach(pot => {
-            const dist = Math.sqrt(
-                Math.pow(handPos.x - pot.x, 2) +
-                Math.pow(handPos.y - pot.y, 2)
-            );
-            if (dist < minDist) {
-                minDist = dist;
-                targetPot = pot;
-            }
-        });
+        if (this.gameMode === 'competitive') {
+            targetPot = this.plantPots[zoneKey - 1] || null;
+        } else {
+            let minDist = Infinity;
+            this.plantPots.forEach(pot => {
+                const dist = Math.sqrt(
+                    Math.pow(handPos.x - pot.x, 2) +
+                    Math.pow(handPos.y - pot.y, 2)
+                );
+                if (dist < minDist) {
+                    minDist = dist;
+                    targetPot = pot;
+                }
+            });
+        }
 
         if (targetPot && targetPot.growthStage === GrowthStage.HARVESTABLE &&
-            targetPot.isPointOver(handPos.x, handPos.y)) {
+            targetPot.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
             const harvestedPlant = targetPot.harvest();
             if (harvestedPlant) {
-                if (typeof audioManager !== 'undefined') {
-                    audioManager.play('harvest');
-                }
+                this.audio?.play('harvest');
                 const gen = this.roundGeneration;
-                setTimeout(() => { if (this.roundGeneration === gen) this.spawnNewSeed('shared'); }, 500);
+                setTimeout(() => { if (this.roundGeneration === gen) this.fillSeedTray(zoneKey); }, 500);
                 return harvestedPlant;
             }
         }
@@ -1133,23 +1216,26 @@ class GardenBed {
      * Draw the entire garden scene
      */
     draw(ctx) {
+        // Draw the weather's sky (light, tint and clouds) behind everything
+        this.weather.drawSky(ctx);
+
         // Draw divider if competitive mode
         if (this.gameMode === 'competitive' && this.dividerX) {
             this.drawDivider(ctx);
         }
 
-        // Draw sun areas, seeds, and tools (per zone)
-        for (const zk of this.getZoneKeys()) {
-            this.getZoneSunArea(zk).draw(ctx);
-        }
+        // Draw beds, planters and greenhouse
+        this.plotAreas.forEach(area => area.draw(ctx));
+
+        // Draw sun areas (one per pot)
+        this.sunAreasMap.forEach(sun => sun.draw(ctx));
 
         // Draw plant pots
         this.plantPots.forEach(pot => pot.draw(ctx));
 
         // Draw seeds and tools (per zone)
         for (const zk of this.getZoneKeys()) {
-            const seed = this.getZoneSeed(zk);
-            if (seed) seed.draw(ctx);
+            this.drawSeedTray(ctx, zk);
             this.getZoneWateringCan(zk).draw(ctx);
             this.getZoneFertilizer(zk).draw(ctx);
         }
@@ -1160,26 +1246,18 @@ class GardenBed {
         // Draw active power-ups
         this.activePowerUps.forEach(pu => pu.draw(ctx));
 
-        // Draw needs panels (vertically centered, per zone)
-        const needsPanelHeight = 150; // spacing(40) * 3 + 30
-        const needsY = Math.round(this.canvas.height / 2 - needsPanelHeight / 2 + 20);
-        const needsXPositions = this.gameMode === 'competitive'
-            ? { 1: this.canvas.width - 250, 2: 30 }
-            : { shared: 30 };
-
-        for (const zk of this.getZoneKeys()) {
-            const pot = this.getZonePot(zk);
-            const needs = this.getZoneNeeds(zk);
-            if (!pot || !needs) continue;
-
-            // For coop/solo, check if any pot is growing
-            const isGrowing = this.gameMode === 'competitive'
-                ? pot.growthStage !== GrowthStage.EMPTY
-                : this.plantPots.some(p => p.growthStage !== GrowthStage.EMPTY);
-
-            if (isGrowing) {
-                needs.draw(ctx, needsXPositions[zk], needsY);
-            }
+        // Draw falling rain and blowing leaves over the garden
+        this.weather.draw(ctx);
+
+        // Draw each growing pot's needs panel beside it (on its right, unless that's off screen)
+        for (const pot of this.plantPots) {
+            if (pot.growthStage === GrowthStage.EMPTY) continue;
+            const rightX = pot.x + pot.potWidth / 2 + 12;
+            const panelX = rightX + NEEDS_PANEL_WIDTH > this.canvas.width
+                ? pot.x - pot.potWidth / 2 - 12 - NEEDS_PANEL_WIDTH
+                : rightX;
+            const panelY = pot.y - pot.potHeight - pot.rimHeight - NEEDS_PANEL_HEIGHT;
+            pot.needs.draw(ctx, panelX, panelY);
         }
 
         // Draw return-to-home beacons when holding items
@@ -1198,6 +1276,34 @@ class GardenBed {
 
         // Draw instructions
         this.drawInstructions(ctx);
+        this.weather.drawBadge(ctx);
+    }
+
+    /**
+     * Draw a zone's seed tray: a wooden board with the packets on it
+     */
+    drawSeedTray(ctx, zoneKey) {
+        const tray = (this.seedTraysMap.get(zoneKey) || []).filter(Boolean);
+        if (tray.length === 0) return;
+
+        const left = Math.min(...tray.map(seed => seed.homeX)) - SEED_TRAY_SPACING / 2;
+        const right = Math.max(...tray.map(seed => seed.homeX)) + SEED_TRAY_SPACING / 2;
+        const y = tray[0].homeY;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(122, 82, 48, 0.6)';
+        ctx.strokeStyle = 'rgba(78, 49, 24, 0.8)';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.roundRect(left, y - 46, right - left, 92, 12);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+
+        // Packets waiting in the tray, then the one in a hand on top
+        const seeds = this.getZoneSeeds(zoneKey);
+        seeds.filter(seed => !seed.isBeingHeld).forEach(seed => seed.draw(ctx));
+        seeds.filter(seed => seed.isBeingHeld).forEach(seed => seed.draw(ctx));
     }
 
     /**
@@ -1251,14 +1357,17 @@ class GardenBed {
         ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
         ctx.textAlign = 'center';
 
+        const anyPotWilting = this.plantPots.some(pot => pot.isWilting);
         const anyPotEmpty = this.plantPots.some(pot => pot.growthStage === GrowthStage.EMPTY);
         const anyPotHarvestable = this.plantPots.some(pot => pot.growthStage === GrowthStage.HARVESTABLE);
 
         // Position at bottom of screen, inline with toolbar row
         const instructionY = this.canvas.height - 60;
 
-        if (anyPotEmpty) {
-            drawUnmirroredText(ctx, 'Pick up the seed and drop it in the pot!', this.canvas.width / 2, instructionY);
+        if (anyPotWilting) {
+            drawUnmirroredText(ctx, 'Your plant is drooping - water it, give it sun and food to perk it up!', this.canvas.width / 2, instructionY);
+        } else if (anyPotEmpty) {
+            drawUnmirroredText(ctx, 'Choose a seed and drop it in a pot!', this.canvas.width / 2, instructionY);
         } else if (anyPotHarvestable) {
             drawUnmirroredText(ctx, 'Your plant is ready! Touch it to harvest!', this.canvas.width / 2, instructionY);
         } else {
@@ -1322,37 +1431,18 @@ class GardenBed {
      */
     clear() {
         this.roundGeneration++; // Invalidate any pending setTimeout callbacks
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height - 150; // Bottom toolbar row
 
-        this.plantPots = [];
-        this.plantPot = new PlantPot(centerX, centerY, this.canvas);
-        this.plantPots.push(this.plantPot);
-
-        this.plantNeeds = new PlantNeeds();
-        this.plantNeedsMap.clear();
-        this.plantNeedsMap.set('shared', this.plantNeeds);
-
-        this.seed = null;
-        this.heldItem = null;
-        this.heldItemHand = null;
-        this.seedsMap.clear();
-        this.heldItemsMap.clear();
-
-        this.spawnNewSeed('shared');
+        // Fresh pots (with fresh needs), tools and seeds for the current mode
+        this.layOutGarden();
 
         this.confettiParticles = [];
         this.pumpkinActivated = false;
         this.timerPaused = false;
         this.timerPauseDuration = 0;
 
-        // Clear interaction time maps to prevent stale progress carrying over
-        this.sunInteractionTime = 0;
+        // Clear interaction times to prevent stale progress carrying over
         this.waterInteractionTime = 0;
         this.foodInteractionTime = 0;
-        this.sunInteractionTimeMap.clear();
-        this.waterInteractionTimeMap.clear();
-        this.foodInteractionTimeMap.clear();
 
         if (this.magicPumpkin) {
             this.magicPumpkin.hide();
@@ -1367,18 +1457,37 @@ class GardenBed {
         this.powerUpCooldown = 0;
     }
 
+    /**
+     * What each pot holds, for saving the garden between visits (see garden-save.js)
+     */
+    getSnapshot() {
+        return {
+            pots: this.plantPots.map(pot => ({
+                plantType: pot.plantType,
+                growthStage: pot.growthStage,
+                growthProgress: pot.growthProgress,
+                needs: { water: pot.needs.water, sun: pot.needs.sun, food: pot.needs.food }
+            }))
+        };
+    }
+
+    /**
+     * Replant a saved garden into the current pots, in order (extra saved pots are left out)
+     */
+    restoreSnapshot(snapshot) {
+        const saved = (snapshot && snapshot.pots) || [];
+        this.plantPots.forEach((pot, i) => {
+            if (saved[i] && saved[i].growthStage !== GrowthStage.EMPTY) pot.restorePlant(saved[i]);
+        });
+    }
+
     // Compatibility methods
     setDifficulty(level) {
-        // Adjust depletion rates based on level (per zone)
+        // Adjust depletion rates based on level (every pot's own needs)
         const modifier = 1 + (level - 1) * 0.1;
 
-        for (const zk of this.getZoneKeys()) {
-            const needs = this.getZoneNeeds(zk);
-            if (needs) {
-                needs.waterDepleteRate = 0.03 * modifier;
-                needs.sunDepleteRate = 0.02 * modifier;
-                needs.foodDepleteRate = 0.025 * modifier;
-            }
+        for (const pot of this.plantPots) {
+            pot.needs.scaleDepletion(modifier);
         }
     }
 
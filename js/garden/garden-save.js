@@ -0,0 +1,94 @@
+/**
+ * Garden System - Saved Garden
+ * Keeps the resident's Free Play garden between visits. What each pot holds is
+ * saved when a session ends; on the next visit the garden comes back, having
+ * grown a little while they were away.
+ *
+ * Saved format (localStorage 'gardenGrow_garden'):
+ *   { savedAt, pots: [{ plantType, growthStage, growthProgress, needs: { water, sun, food } }] }
+ */
+
+import { PLANT_TYPES, GrowthStage, getGrowthStages } from './constants.js';
+
+const GARDEN_SAVE_KEY = 'gardenGrow_garden';
+
+// Time away for a plant to move up one stage (stops at harvestable)
+const OFFLINE_SECONDS_PER_STAGE = 30 * 60;
+
+// Needs run down while away, but never so far that the plant wilts (wilting starts at 40%)
+const OFFLINE_NEEDS_FLOOR = 0.5;
+
+/**
+ * A saved pot after some time away: a little further grown, never wilted
+ * @param {Object} pot - Saved pot state
+ * @param {number} seconds - Time since the garden was saved
+ * @returns {Object} Grown pot state (an empty pot, for a plant no longer in the catalogue)
+ */
+export function growWhileAway(pot, seconds) {
+    const plant = PLANT_TYPES[pot.plantType];
+    const stages = plant ? getGrowthStages(plant.stages) : [];
+    const index = stages.indexOf(pot.growthStage);
+    if (index < 0) {
+        return { plantType: null, growthStage: GrowthStage.EMPTY, growthProgress: 0 };
+    }
+
+    const away = Math.max(0, seconds);
+    const lastIndex = stages.length - 1;
+    const grown = index + Math.min(1, Math.max(0, pot.growthProgress || 0)) + away / OFFLINE_SECONDS_PER_STAGE;
+    const grownIndex = Math.min(lastIndex, Math.floor(grown));
+
+    const needs = {};
+    for (const need of ['water', 'sun', 'food']) {
+        const level = Number.isFinite(pot.needs?.[need]) ? pot.needs[need] : 1;
+        needs[need] = Math.min(1, Math.max(OFFLINE_NEEDS_FLOOR, level - plant.needs[need] * away));
+    }
+
+    return {
+        plantType: pot.plantType,
+        growthStage: stages[grownIndex],
+        growthProgress: grownIndex === lastIndex ? 1 : grown - grownIndex,
+        needs
+    };
+}
+
+/**
+ * Save a garden snapshot (GardenBed.getSnapshot())
+ */
+export function saveGarden(snapshot) {
+    try {
+        localStorage.setItem(GARDEN_SAVE_KEY, JSON.stringify({ ...snapshot, savedAt: Date.now() }));
+    } catch (e) {
+        console.warn('Could not save the garden:', e);
+    }
+}
+
+/**
+ * Load the saved garden, grown for the time since it was saved
+ * @returns {Object|null} { savedAt, pots }, or null if there is no saved garden
+ */
+export function loadSavedGarden(now = Date.now()) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(GARDEN_SAVE_KEY));
+        if (!saved || !Array.isArray(saved.pots)) return null;
+
+        const seconds = Number.isFinite(saved.savedAt) ? (now - saved.savedAt) / 1000 : 0;
+        return {
+            savedAt: saved.savedAt,
+            pots: saved.pots.map(pot => growWhileAway(pot || {}, seconds))
+        };
+    } catch (e) {
+        console.warn('Could not load the saved garden:', e);
+        return null;
+    }
+}
+
+/**
+ * Forget the saved garden (progress reset)
+ */
+export function clearSavedGarden() {
+    try {
+        localStorage.removeItem(GARDEN_SAVE_KEY);
+    } catch (e) {
+        // localStorage may be unavailable
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Garden System - Plant Catalogue
+ * Loads data/plants.json over the built-in PLANT_TYPES, so therapists can add
+ * seasonal plants or retune existing ones without code changes.
+ *
+ * Catalogue format: { "plants": { "<key>": { ...fields } } }
+ *   name, icon                        - Shown on seed packets and in challenges (required)
+ *   seedColor, plantColor, stemColor  - Drawing colours (required)
+ *   fruit     - 'round' or 'flower'
+ *   height    - Full-grown stem height in px
+ *   growTime  - Seconds from seed to harvest with every need met
+ *   stages    - Stages before harvest, seed included (2-4)
+ *   needs     - Depletion per second: { water, sun, food }
+ * Anything optional that is left out comes from DEFAULT_PLANT_PROFILE.
+ */
+
+import { PLANT_TYPES, DEFAULT_PLANT_PROFILE } from './constants.js';
+
+export const PLANT_CATALOGUE_URL = 'data/plants.json';
+
+const REQUIRED_FIELDS = ['name', 'icon', 'seedColor', 'plantColor', 'stemColor'];
+const FRUIT_SHAPES = ['round', 'flower'];
+
+/**
+ * Validate one catalogue entry and fill in defaults
+ * @returns {Object|null} Complete plant definition, or null if unusable
+ */
+export function normalizePlant(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    if (REQUIRED_FIELDS.some(field => typeof entry[field] !== 'string' || !entry[field])) return null;
+
+    const positive = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+    const needs = entry.needs || {};
+    const defaultNeeds = DEFAULT_PLANT_PROFILE.needs;
+
+    return {
+        name: entry.name,
+        icon: entry.icon,
+        seedColor: entry.seedColor,
+        plantColor: entry.plantColor,
+        stemColor: entry.stemColor,
+        fruit: FRUIT_SHAPES.includes(entry.fruit) ? entry.fruit : DEFAULT_PLANT_PROFILE.fruit,
+        height: positive(entry.height, DEFAULT_PLANT_PROFILE.height),
+        growTime: positive(entry.growTime, DEFAULT_PLANT_PROFILE.growTime),
+        stages: Number.isInteger(entry.stages) && entry.stages >= 2 && entry.stages <= 4
+            ? entry.stages
+            : DEFAULT_PLANT_PROFILE.stages,
+        needs: {
+            water: positive(needs.water, defaultNeeds.water),
+            sun: positive(needs.sun, defaultNeeds.sun),
+            food: positive(needs.food, defaultNeeds.food)
+        }
+    };
+}
+
+/**
+ * Replace PLANT_TYPES with a parsed catalogue (unusable entries are skipped;
+ * a catalogue with no usable plants leaves the built-ins in place)
+ * @returns {boolean} Whether the catalogue was applied
+ */
+export function applyPlantCatalogue(catalogue) {
+    const entries = Object.entries((catalogue && catalogue.plants) || {});
+    const plants = {};
+
+    for (const [key, entry] of entries) {
+        const plant = normalizePlant(entry);
+        if (plant) {
+            plants[key] = plant;
+        } else {
+            console.warn(`Plant catalogue: skipping "${key}" (needs ${REQUIRED_FIELDS.join(', ')})`);
+        }
+    }
+
+    if (Object.keys(plants).length === 0) {
+        console.warn('Plant catalogue has no usable plants, keeping the built-in ones');
+        return false;
+    }
+
+    // Update in place: every module holds the same PLANT_TYPES object
+    for (const key of Object.keys(PLANT_TYPES)) delete PLANT_TYPES[key];
+    Object.assign(PLANT_TYPES, plants);
+    return true;
+}
+
+/**
+ * Fetch the catalogue and apply it (keeps the built-in plants if it can't be loaded)
+ */
+export async function loadPlantCatalogue(url = PLANT_CATALOGUE_URL) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return applyPlantCatalogue(await response.json());
+    } catch (error) {
+        console.warn(`Could not load plant catalogue ${url}, using built-in plants:`, error);
+        return false;
+    }
+}
@@ -3,11 +3,26 @@
  * Plant needs management system and sun interaction area
  */
 
+import { DEFAULT_PLANT_PROFILE, drawUnmirroredText } from './constants.js';
+
+// Compact needs panel drawn beside each growing pot: three upright bars
+const BAR_WIDTH = 14;
+const BAR_HEIGHT = 80;
+const COLUMN_SPACING = 24;
+export const NEEDS_PANEL_WIDTH = COLUMN_SPACING * 3 + 4;
+export const NEEDS_PANEL_HEIGHT = BAR_HEIGHT + 36;
+
+// Depletion multipliers with no weather about
+const NO_WEATHER = { water: 1, sun: 1, food: 1 };
+
 /**
- * Plant needs management system
+ * Plant needs management system (each pot owns one)
  */
-class PlantNeeds {
-    constructor() {
+export class PlantNeeds {
+    /**
+     * @param {Object} [depletion] - The plant's { water, sun, food } depletion per second
+     */
+    constructor(depletion = DEFAULT_PLANT_PROFILE.needs) {
         // Need levels (0 to 1)
         this.water = 0.7;
         this.sun = 0.8;
@@ -18,10 +33,11 @@ class PlantNeeds {
         this.displaySun = 0.8;
         this.displayFood = 0.6;
 
-        // Depletion rates per second
-        this.waterDepleteRate = 0.03;
-        this.sunDepleteRate = 0.02;
-        this.foodDepleteRate = 0.025;
+        // Depletion rates per second (the plant's own, scaled by difficulty)
+        this.baseDepleteRates = { ...depletion };
+        this.waterDepleteRate = depletion.water;
+        this.sunDepleteRate = depletion.sun;
+        this.foodDepleteRate = depletion.food;
 
         // Pulse phase for critical needs
         this.pulsePhase = 0;
@@ -32,11 +48,12 @@ class PlantNeeds {
 
     /**
      * Update needs (deplete over time)
+     * @param {Object} [weather] - Weather multipliers for each rate: { water, sun, food }
      */
-    update(deltaTime) {
-        this.water = Math.max(0, this.water - this.waterDepleteRate * deltaTime);
-        this.sun = Math.max(0, this.sun - this.sunDepleteRate * deltaTime);
-        this.food = Math.max(0, this.food - this.foodDepleteRate * deltaTime);
+    update(deltaTime, weather = NO_WEATHER) {
+        this.water = Math.max(0, this.water - this.waterDepleteRate * weather.water * deltaTime);
+        this.sun = Math.max(0, this.sun - this.sunDepleteRate * weather.sun * deltaTime);
+        this.food = Math.max(0, this.food - this.foodDepleteRate * weather.food * deltaTime);
 
         // Smooth lerp display values
         const lerpSpeed = 5;
@@ -56,6 +73,15 @@ class PlantNeeds {
         this.feedbackEffects = this.feedbackEffects.filter(e => e.alpha > 0);
     }
 
+    /**
+     * Scale the plant's depletion rates (difficulty level or DDA)
+     */
+    scaleDepletion(modifier) {
+        this.waterDepleteRate = this.baseDepleteRates.water * modifier;
+        this.sunDepleteRate = this.baseDepleteRates.sun * modifier;
+        this.foodDepleteRate = this.baseDepleteRates.food * modifier;
+    }
+
     /**
      * Add water
      */
@@ -106,62 +132,54 @@ class PlantNeeds {
     }
 
     /**
-     * Draw needs bars
+     * Draw the compact needs panel (one upright bar per need) with its top-left corner at x, y
      */
     draw(ctx, x, y) {
-        const barWidth = 150;
-        const barHeight = 25;
-        const spacing = 40;
-
         ctx.save();
 
-        // Background panel — sized to contain icon (35px) + bar + padding
-        const panelWidth = 35 + barWidth + 40; // icon offset + bar + right padding
-        const panelHeight = spacing * 3 + 30;
+        // Background panel
         ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
         ctx.beginPath();
-        ctx.roundRect(x - 15, y - 15, panelWidth, panelHeight, 15);
+        ctx.roundRect(x, y, NEEDS_PANEL_WIDTH, NEEDS_PANEL_HEIGHT, 10);
         ctx.fill();
 
-        // Title
-        ctx.font = 'bold 16px Arial';
-        ctx.fillStyle = '#fff';
-        ctx.textAlign = 'left';
-        drawUnmirroredText(ctx, 'Plant Needs', x + 5, y + 5);
-
-        // Water bar
-        this.drawBar(ctx, x, y + spacing, barWidth, barHeight, this.displayWater, this.water, '💧', 'Water');
-
-        // Sun bar
-        this.drawBar(ctx, x, y + spacing * 2, barWidth, barHeight, this.displaySun, this.sun, '☀️', 'Sun');
-
-        // Food bar
-        this.drawBar(ctx, x, y + spacing * 3, barWidth, barHeight, this.displayFood, this.food, '🌱', 'Food');
+        // One column per need: water, sun, food
+        const columns = [
+            { type: 'water', display: this.displayWater, level: this.water, icon: '💧' },
+            { type: 'sun', display: this.displaySun, level: this.sun, icon: '☀️' },
+            { type: 'food', display: this.displayFood, level: this.food, icon: '🌱' }
+        ];
+        const columnX = {};
+        columns.forEach((column, i) => {
+            const centerX = x + COLUMN_SPACING / 2 + 2 + i * COLUMN_SPACING;
+            columnX[column.type] = centerX;
+            this.drawBar(ctx, centerX, y + 28, BAR_WIDTH, BAR_HEIGHT, column.display, column.level, column.icon);
+        });
 
-        // Feedback effects
+        // Feedback effects (float up above the bar they belong to)
         this.feedbackEffects.forEach(e => {
             ctx.save();
             ctx.globalAlpha = e.alpha;
-            ctx.font = 'bold 18px Arial';
+            ctx.font = 'bold 16px Arial';
             ctx.textAlign = 'center';
             ctx.fillStyle = '#fff';
-            // Position relative to the bar it belongs to
-            let effectY = y;
-            if (e.type === 'water') effectY = y + spacing;
-            else if (e.type === 'sun') effectY = y + spacing * 2;
-            else if (e.type === 'food') effectY = y + spacing * 3;
-            drawUnmirroredText(ctx, e.icon, x + barWidth + 40, effectY + e.y);
+            drawUnmirroredText(ctx, e.icon, columnX[e.type] ?? x + NEEDS_PANEL_WIDTH / 2, y - 6 + e.y);
             ctx.restore();
         });
 
         ctx.restore();
     }
 
-    drawBar(ctx, x, y, width, height, displayLevel, actualLevel, icon, label) {
+    /**
+     * Draw one upright bar, filling from the bottom, with its icon above (centerX is the bar's middle)
+     */
+    drawBar(ctx, centerX, y, width, height, displayLevel, actualLevel, icon) {
+        const left = centerX - width / 2;
+
         // Icon
-        ctx.font = '18px Arial';
-        ctx.textAlign = 'left';
-        drawUnmirroredText(ctx, icon, x, y + height / 2 + 6);
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        drawUnmirroredText(ctx, icon, centerX, y - 8);
 
         // Bar background — pulse red if critical
         if (actualLevel < 0.3) {
@@ -171,15 +189,15 @@ class PlantNeeds {
             ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
         }
         ctx.beginPath();
-        ctx.roundRect(x + 30, y, width, height, 5);
+        ctx.roundRect(left, y, width, height, 4);
         ctx.fill();
 
-        // Bar fill (smooth)
-        const fillWidth = Math.max(0, width * displayLevel);
-        if (fillWidth > 0) {
+        // Bar fill (smooth, from the bottom up)
+        const fillHeight = Math.max(0, height * displayLevel);
+        if (fillHeight > 0) {
             ctx.fillStyle = this.getBarColor(actualLevel);
             ctx.beginPath();
-            ctx.roundRect(x + 30, y, fillWidth, height, 5);
+            ctx.roundRect(left, y + height - fillHeight, width, fillHeight, 4);
             ctx.fill();
         }
 
@@ -187,32 +205,30 @@ class PlantNeeds {
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
         ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.roundRect(x + 30, y, width, height, 5);
+        ctx.roundRect(left, y, width, height, 4);
         ctx.stroke();
-
-        // Label
-        ctx.font = 'bold 12px Arial';
-        ctx.fillStyle = '#fff';
-        ctx.textAlign = 'center';
-        drawUnmirroredText(ctx, label, x + 30 + width / 2, y + height / 2 + 4);
     }
 }
 
 /**
  * Sun interaction area
  */
-class SunArea {
-    constructor(x, y) {
+export class SunArea {
+    /**
+     * @param {number} [radius=120] - Unscaled size (DDA scales from this)
+     */
+    constructor(x, y, radius = 120) {
         this.x = x;
         this.y = y;
-        this.radius = 120;
+        this.baseRadius = radius;
+        this.radius = radius;
         this.pulsePhase = 0;
     }
 
-    isPointOver(x, y) {
+    isPointOver(x, y, depthScale = 1) {
         const dx = x - this.x;
         const dy = y - this.y;
-        return Math.sqrt(dx * dx + dy * dy) < this.radius;
+        return Math.sqrt(dx * dx + dy * dy) < this.radius * depthScale;
     }
 
     update(deltaTime) {
@@ -235,8 +251,8 @@ class SunArea {
         ctx.fillStyle = gradient;
         ctx.fill();
 
-        // Sun icon (doubled size)
-        ctx.font = '100px Arial';
+        // Sun icon (fills most of the glow)
+        ctx.font = `${Math.round(this.baseRadius * 0.83)}px Arial`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         drawUnmirroredText(ctx, '☀️', this.x, this.y);
@@ -3,10 +3,43 @@
  * Represents the plant pot where seeds are planted and grown
  */
 
+import { PLANT_TYPES, DEFAULT_PLANT_PROFILE, GrowthStage, getGrowthStages, drawUnmirroredText } from './constants.js';
+import { PlantNeeds } from './plant-needs.js';
+
+// Growth ring icon for each stage
+const STAGE_ICONS = {
+    [GrowthStage.SEED_PLANTED]: '🌱',
+    [GrowthStage.SPROUTING]: '🌿',
+    [GrowthStage.GROWING]: '🌳',
+    [GrowthStage.MATURE]: '🌸',
+    [GrowthStage.HARVESTABLE]: '✨'
+};
+
+// Below this average need satisfaction a plant stops growing and starts to wilt
+const WILT_THRESHOLD = 0.4;
+
+// Seconds to droop fully with needs too low, and to perk back up with care
+const WILT_SECONDS = 2;
+const RECOVER_SECONDS = 1.5;
+
+// Dry colour a wilting plant fades toward, and how far it gets when fully wilted
+const WILT_COLOR = '#A68A64';
+const WILT_FADE = 0.6;
+
+/**
+ * Blend two #rrggbb colours (t = 0 gives a, 1 gives b; other colour formats pass through)
+ */
+function mixColor(a, b, t) {
+    if (t <= 0 || !/^#[0-9a-f]{6}$/i.test(a)) return a;
+    const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+    const mixed = [0, 1, 2].map(i => Math.round(channel(a, i) + (channel(b, i) - channel(a, i)) * t));
+    return `rgb(${mixed.join(', ')})`;
+}
+
 /**
  * Represents the plant pot where seeds are planted
  */
-class PlantPot {
+export class PlantPot {
     constructor(x, y, canvas) {
         this.x = x;
         this.y = y;
@@ -22,7 +55,17 @@ class PlantPot {
         this.growthStage = GrowthStage.EMPTY;
         this.growthProgress = 0; // 0 to 1
 
-        // Hit detection
+        // Growth profile of the planted seed (from PLANT_TYPES)
+        this.growthStages = getGrowthStages(DEFAULT_PLANT_PROFILE.stages);
+        this.growTime = DEFAULT_PLANT_PROFILE.growTime;
+
+        // This pot's own water, sun and food (reset for each seed planted)
+        this.needs = new PlantNeeds();
+
+        // Under glass (the chapter 3 greenhouse): weather doesn't reach it
+        this.sheltered = false;
+
+        // Hit detection (DDA scales this; 80 is the unscaled size)
         this.hitRadius = 80;
 
         // Water level visual
@@ -38,15 +81,24 @@ class PlantPot {
 
         // Growth stage pulse effect (1 = full pulse, decays to 0)
         this.growthPulse = 0;
+
+        // Wilting (0 = healthy, 1 = fully drooped). Plants never die: care always
+        // brings them back. isWilting turns on once fully drooped and off once
+        // fully recovered, so the garden can react to each change once.
+        this.wilt = 0;
+        this.isWilting = false;
     }
 
     /**
      * Check if a point is over the pot
+     * @param {number} [depthScale=1] - Target enlargement for a hand far from the camera
      */
-    isPointOver(x, y) {
+    isPointOver(x, y, depthScale = 1) {
         const dx = x - this.x;
         const dy = y - (this.y - this.potHeight / 2);
-        return Math.abs(dx) < this.potWidth / 2 + 20 && Math.abs(dy) < this.potHeight / 2 + 20;
+        const scale = (this.hitRadius / 80) * depthScale;
+        return Math.abs(dx) < (this.potWidth / 2 + 20) * scale &&
+               Math.abs(dy) < (this.potHeight / 2 + 20) * scale;
     }
 
     /**
@@ -54,15 +106,44 @@ class PlantPot {
      */
     plantSeed(plantType) {
         if (this.growthStage === GrowthStage.EMPTY) {
+            const plant = PLANT_TYPES[plantType] || DEFAULT_PLANT_PROFILE;
             this.plantType = plantType;
+            this.growthStages = getGrowthStages(plant.stages);
+            this.growTime = plant.growTime;
+            this.needs = new PlantNeeds(plant.needs);
             this.growthStage = GrowthStage.SEED_PLANTED;
             this.growthProgress = 0;
             this.plantedAt = Date.now();
+            this.wilt = 0;
+            this.isWilting = false;
             return true;
         }
         return false;
     }
 
+    /**
+     * Put back a saved plant (see garden-save.js), or leave the pot empty if it can't grow here
+     */
+    restorePlant({ plantType, growthStage, growthProgress, needs }) {
+        const plant = PLANT_TYPES[plantType];
+        const stages = plant ? getGrowthStages(plant.stages) : [];
+        if (!stages.includes(growthStage)) return false;
+
+        this.plantSeed(plantType);
+        this.growthStage = growthStage;
+        this.growthProgress = growthProgress;
+        for (const need of ['water', 'sun', 'food']) {
+            if (!Number.isFinite(needs?.[need])) continue;
+            this.needs[need] = needs[need];
+        }
+        this.needs.displayWater = this.needs.water;
+        this.needs.displaySun = this.needs.sun;
+        this.needs.displayFood = this.needs.food;
+        this.waterLevel = this.needs.water;
+        this.waterLevelTarget = this.needs.water;
+        return true;
+    }
+
     /**
      * Update plant growth based on needs satisfaction
      */
@@ -71,9 +152,13 @@ class PlantPot {
             return;
         }
 
-        // Only grow if needs are satisfied (average > 40%)
-        if (needsSatisfied > 0.4) {
-            const growthRate = 0.25 * needsSatisfied; // ~8s per stage at full satisfaction, 4 stages = ~32s
+        // Only grow if needs are satisfied (average > 40%), otherwise wilt
+        if (needsSatisfied > WILT_THRESHOLD) {
+            this.wilt = Math.max(0, this.wilt - deltaTime / RECOVER_SECONDS);
+
+            // The plant's growTime at full satisfaction, split evenly over its stages
+            const stageCount = this.growthStages.length - 1;
+            const growthRate = (stageCount / this.growTime) * needsSatisfied;
             this.growthProgress += growthRate * deltaTime;
 
             // Update growth stage
@@ -81,6 +166,14 @@ class PlantPot {
                 this.growthProgress = 1;
                 this.advanceGrowthStage();
             }
+        } else {
+            this.wilt = Math.min(1, this.wilt + deltaTime / WILT_SECONDS);
+        }
+
+        if (this.wilt >= 1) {
+            this.isWilting = true;
+        } else if (this.wilt <= 0) {
+            this.isWilting = false;
         }
     }
 
@@ -88,24 +181,16 @@ class PlantPot {
      * Advance to next growth stage
      */
     advanceGrowthStage() {
-        switch (this.growthStage) {
-            case GrowthStage.SEED_PLANTED:
-                this.growthStage = GrowthStage.SPROUTING;
-                this.growthProgress = 0;
-                break;
-            case GrowthStage.SPROUTING:
-                this.growthStage = GrowthStage.GROWING;
-                this.growthProgress = 0;
-                break;
-            case GrowthStage.GROWING:
-                this.growthStage = GrowthStage.MATURE;
-                this.growthProgress = 0;
-                break;
-            case GrowthStage.MATURE:
-                this.growthStage = GrowthStage.HARVESTABLE;
-                this.growthProgress = 1;
-                break;
+        const index = this.growthStages.indexOf(this.growthStage);
+        if (index < 0 || this.growthStage === GrowthStage.HARVESTABLE) return;
+
+        this.growthStage = this.growthStages[index + 1];
+        this.growthProgress = this.growthStage === GrowthStage.HARVESTABLE ? 1 : 0;
+        if (this.growthStage === GrowthStage.HARVESTABLE) {
+            this.wilt = 0;
+            this.isWilting = false;
         }
+
         // Trigger visual pulse on every stage transition
         this.growthPulse = 1;
     }
@@ -119,6 +204,8 @@ class PlantPot {
             this.plantType = null;
             this.growthStage = GrowthStage.EMPTY;
             this.growthProgress = 0;
+            this.wilt = 0;
+            this.isWilting = false;
             return harvested;
         }
         return null;
@@ -296,14 +383,7 @@ class PlantPot {
         const cx = this.x;
         const cy = this.y + 20;
         const radius = 50;
-        const stages = [
-            GrowthStage.SEED_PLANTED,
-            GrowthStage.SPROUTING,
-            GrowthStage.GROWING,
-            GrowthStage.MATURE,
-            GrowthStage.HARVESTABLE
-        ];
-        const icons = ['🌱', '🌿', '🌳', '🌸', '✨'];
+        const stages = this.growthStages;
         const segmentCount = stages.length;
         const totalArc = Math.PI; // semicircle below pot
         const segmentArc = totalArc / segmentCount;
@@ -348,7 +428,7 @@ class PlantPot {
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.globalAlpha = i <= currentIdx ? 1 : 0.4;
-            drawUnmirroredText(ctx, icons[i], iconX, iconY);
+            drawUnmirroredText(ctx, STAGE_ICONS[stages[i]], iconX, iconY);
             ctx.globalAlpha = 1;
         }
         ctx.restore();
@@ -403,19 +483,36 @@ class PlantPot {
     drawPlant(ctx) {
         const x = this.x;
         const baseY = this.y - this.potHeight - 10;
-        const plant = PLANT_TYPES[this.plantType];
+        const catalogued = PLANT_TYPES[this.plantType];
+
+        if (!catalogued) return;
+
+        // A wilting plant fades toward a dry colour
+        const fade = this.wilt * WILT_FADE;
+        const plant = fade > 0 ? {
+            ...catalogued,
+            seedColor: mixColor(catalogued.seedColor, WILT_COLOR, fade),
+            plantColor: mixColor(catalogued.plantColor, WILT_COLOR, fade),
+            stemColor: mixColor(catalogued.stemColor, WILT_COLOR, fade)
+        } : catalogued;
 
-        if (!plant) return;
+        ctx.save();
 
         // Apply growth pulse scale effect (centered on plant base)
         if (this.growthPulse > 0) {
             const pulseScale = 1 + this.growthPulse * 0.15; // max 15% larger
-            ctx.save();
             ctx.translate(x, baseY);
             ctx.scale(pulseScale, pulseScale);
             ctx.translate(-x, -baseY);
         }
 
+        // Wilting: lean over and sag from the base
+        if (this.wilt > 0) {
+            ctx.translate(x, baseY);
+            ctx.transform(1, 0, -0.45 * this.wilt, 1 - 0.2 * this.wilt, 0, 0);
+            ctx.translate(-x, -baseY);
+        }
+
         switch (this.growthStage) {
             case GrowthStage.SEED_PLANTED:
                 // Show seed in soil
@@ -431,7 +528,7 @@ class PlantPot {
                 ctx.beginPath();
                 ctx.moveTo(x, baseY);
                 ctx.quadraticCurveTo(x + 5, baseY - sproutHeight / 2, x, baseY - sproutHeight);
-                ctx.strokeStyle = '#90EE90';
+                ctx.strokeStyle = mixColor('#90EE90', WILT_COLOR, fade);
                 ctx.lineWidth = 4;
                 ctx.lineCap = 'round';
                 ctx.stroke();
@@ -467,7 +564,7 @@ class PlantPot {
             case GrowthStage.MATURE:
             case GrowthStage.HARVESTABLE:
                 // Full plant with fruit/flower
-                const fullHeight = 120;
+                const fullHeight = plant.height || DEFAULT_PLANT_PROFILE.height;
 
                 // Stem
                 ctx.beginPath();
@@ -497,20 +594,17 @@ class PlantPot {
                 break;
         }
 
-        // Close growth pulse transform
-        if (this.growthPulse > 0) {
-            ctx.restore();
-        }
+        ctx.restore();
     }
 
     drawSmallLeaf(ctx, x, y, angle, size) {
         ctx.save();
         ctx.translate(x, y);
-        ctx.rotate(angle);
+        ctx.rotate(angle + Math.sign(angle) * this.wilt * 0.9); // Wilting leaves hang down
 
         ctx.beginPath();
         ctx.ellipse(size / 2, 0, size, size / 2, 0, 0, Math.PI * 2);
-        ctx.fillStyle = '#90EE90';
+        ctx.fillStyle = mixColor('#90EE90', WILT_COLOR, this.wilt * WILT_FADE);
         ctx.fill();
 
         ctx.restore();
@@ -519,7 +613,7 @@ class PlantPot {
     drawLeaf(ctx, x, y, angle, width, height) {
         ctx.save();
         ctx.translate(x, y);
-        ctx.rotate(angle);
+        ctx.rotate(angle + Math.sign(angle) * this.wilt * 0.9); // Wilting leaves hang down
 
         ctx.beginPath();
         ctx.moveTo(0, 0);
@@ -527,8 +621,8 @@ class PlantPot {
         ctx.quadraticCurveTo(0, -height * 0.7, 0, 0);
 
         const gradient = ctx.createLinearGradient(0, 0, width, -height);
-        gradient.addColorStop(0, '#228B22');
-        gradient.addColorStop(1, '#90EE90');
+        gradient.addColorStop(0, mixColor('#228B22', WILT_COLOR, this.wilt * WILT_FADE));
+        gradient.addColorStop(1, mixColor('#90EE90', WILT_COLOR, this.wilt * WILT_FADE));
         ctx.fillStyle = gradient;
         ctx.fill();
 
@@ -536,8 +630,8 @@ class PlantPot {
     }
 
     drawFruit(ctx, x, y, plant) {
-        if (this.plantType === 'sunflower') {
-            // Sunflower head
+        if (plant.fruit === 'flower') {
+            // Flower head (sunflower)
             const petalCount = 12;
             for (let i = 0; i < petalCount; i++) {
                 const angle = (i / petalCount) * Math.PI * 2;
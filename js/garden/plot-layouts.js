@@ -0,0 +1,187 @@
+/**
+ * Garden System - Plot Layouts
+ * The shared garden grows with the story: each chapter lays out its own beds,
+ * planters and (in chapter 3) a greenhouse. Layouts are plain data, with every
+ * position a fraction of the canvas size so they fit any screen.
+ *
+ * Layout format:
+ *   chapter     - First chapter that uses it (later chapters keep it until they have their own)
+ *   areas       - Scenery drawn behind the pots: { type: 'bed' | 'planter' | 'greenhouse', x, y, width, height }
+ *   pots        - { x, y } of each pot's base; sheltered pots (in the greenhouse) are out of the weather
+ *   sunY, sunRadius - Each pot's sun sits above it at this height
+ *   wateringCan, fertilizer - Where the shared tools live
+ */
+
+// Wood and glass colours for the scenery
+const SOIL_COLOR = '#6B4423';
+const SOIL_DARK = '#4E3118';
+const WOOD_COLOR = '#A0703C';
+const WOOD_DARK = '#7A5230';
+const GLASS_COLOR = 'rgba(200, 235, 255, 0.18)';
+const FRAME_COLOR = 'rgba(255, 255, 255, 0.75)';
+
+export const PLOT_LAYOUTS = [
+    {
+        // The Forgotten Garden: one old bed
+        chapter: 1,
+        areas: [
+            { type: 'bed', x: 0.15, y: 0.74, width: 0.7, height: 0.1 }
+        ],
+        pots: [{ x: 0.25, y: 0.79 }, { x: 0.5, y: 0.79 }, { x: 0.75, y: 0.79 }],
+        sunY: 0.35,
+        sunRadius: 80,
+        wateringCan: { x: 0.88, y: 0.79 },
+        fertilizer: { x: 0.12, y: 0.79 }
+    },
+    {
+        // Spring Awakening: the bed is tidied and two raised planters join it
+        chapter: 2,
+        areas: [
+            { type: 'bed', x: 0.3, y: 0.74, width: 0.4, height: 0.1 },
+            { type: 'planter', x: 0.13, y: 0.7, width: 0.14, height: 0.14 },
+            { type: 'planter', x: 0.73, y: 0.7, width: 0.14, height: 0.14 }
+        ],
+        pots: [{ x: 0.2, y: 0.79 }, { x: 0.4, y: 0.79 }, { x: 0.6, y: 0.79 }, { x: 0.8, y: 0.79 }],
+        sunY: 0.35,
+        sunRadius: 70,
+        wateringCan: { x: 0.93, y: 0.79 },
+        fertilizer: { x: 0.07, y: 0.79 }
+    },
+    {
+        // The Greenhouse: the middle bed is under glass
+        chapter: 3,
+        areas: [
+            { type: 'planter', x: 0.13, y: 0.7, width: 0.14, height: 0.14 },
+            { type: 'planter', x: 0.73, y: 0.7, width: 0.14, height: 0.14 },
+            { type: 'greenhouse', x: 0.3, y: 0.24, width: 0.4, height: 0.6 },
+            { type: 'bed', x: 0.31, y: 0.74, width: 0.38, height: 0.1 }
+        ],
+        pots: [
+            { x: 0.2, y: 0.79 },
+            { x: 0.4, y: 0.79, sheltered: true },
+            { x: 0.6, y: 0.79, sheltered: true },
+            { x: 0.8, y: 0.79 }
+        ],
+        sunY: 0.35,
+        sunRadius: 70,
+        wateringCan: { x: 0.93, y: 0.79 },
+        fertilizer: { x: 0.07, y: 0.79 }
+    }
+];
+
+/**
+ * Layout for a chapter: the latest one unlocked by it
+ */
+export function getPlotLayout(chapter = 1) {
+    let layout = PLOT_LAYOUTS[0];
+    for (const candidate of PLOT_LAYOUTS) {
+        if (candidate.chapter <= chapter) layout = candidate;
+    }
+    return layout;
+}
+
+/**
+ * A piece of garden scenery (bed, planter or greenhouse) placed on the canvas
+ */
+export class PlotArea {
+    /**
+     * @param {Object} area - Layout area (fractions of the canvas)
+     */
+    constructor(area, canvas) {
+        this.type = area.type;
+        this.x = area.x * canvas.width;
+        this.y = area.y * canvas.height;
+        this.width = area.width * canvas.width;
+        this.height = area.height * canvas.height;
+    }
+
+    draw(ctx) {
+        ctx.save();
+        if (this.type === 'greenhouse') {
+            this.drawGreenhouse(ctx);
+        } else if (this.type === 'planter') {
+            this.drawPlanter(ctx);
+        } else {
+            this.drawBed(ctx);
+        }
+        ctx.restore();
+    }
+
+    /** Low mound of soil with a board edge along the front */
+    drawBed(ctx) {
+        const { x, y, width, height } = this;
+
+        ctx.fillStyle = SOIL_COLOR;
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, height, height / 2);
+        ctx.fill();
+
+        ctx.fillStyle = SOIL_DARK;
+        ctx.beginPath();
+        ctx.roundRect(x, y + height * 0.55, width, height * 0.45, height / 4);
+        ctx.fill();
+
+        ctx.fillStyle = WOOD_COLOR;
+        ctx.fillRect(x, y + height * 0.8, width, height * 0.2);
+    }
+
+    /** Raised wooden box the pot stands in */
+    drawPlanter(ctx) {
+        const { x, y, width, height } = this;
+
+        ctx.fillStyle = WOOD_COLOR;
+        ctx.fillRect(x, y, width, height);
+
+        // Planks
+        ctx.strokeStyle = WOOD_DARK;
+        ctx.lineWidth = 2;
+        for (let i = 1; i < 3; i++) {
+            ctx.beginPath();
+            ctx.moveTo(x, y + (height * i) / 3);
+            ctx.lineTo(x + width, y + (height * i) / 3);
+            ctx.stroke();
+        }
+        ctx.strokeRect(x, y, width, height);
+
+        // Soil on top
+        ctx.fillStyle = SOIL_COLOR;
+        ctx.fillRect(x + 4, y - 6, width - 8, 8);
+    }
+
+    /** Glass house with a pitched roof */
+    drawGreenhouse(ctx) {
+        const { x, y, width, height } = this;
+        const roofHeight = height * 0.2;
+        const wallTop = y + roofHeight;
+
+        ctx.fillStyle = GLASS_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(x, y + height);
+        ctx.lineTo(x, wallTop);
+        ctx.lineTo(x + width / 2, y);
+        ctx.lineTo(x + width, wallTop);
+        ctx.lineTo(x + width, y + height);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.strokeStyle = FRAME_COLOR;
+        ctx.lineWidth = 4;
+        ctx.stroke();
+
+        // Glazing bars
+        ctx.lineWidth = 2;
+        const panes = 4;
+        for (let i = 1; i < panes; i++) {
+            const barX = x + (width * i) / panes;
+            const barTop = wallTop - roofHeight * (1 - Math.abs(barX - (x + width / 2)) / (width / 2));
+            ctx.beginPath();
+            ctx.moveTo(barX, barTop);
+            ctx.lineTo(barX, y + height);
+            ctx.stroke();
+        }
+        ctx.beginPath();
+        ctx.moveTo(x, wallTop);
+        ctx.lineTo(x + width, wallTop);
+        ctx.stroke();
+    }
+}
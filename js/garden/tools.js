@@ -3,11 +3,12 @@
  * DraggableSeed, WateringCan, and FertilizerBag classes
  */
 
+import { PLANT_TYPES, drawUnmirroredText } from './constants.js';
 
 /**
  * Represents a draggable seed
  */
-class DraggableSeed {
+export class DraggableSeed {
     constructor(x, y, plantType, canvas) {
         this.x = x;
         this.y = y;
@@ -25,12 +26,13 @@ class DraggableSeed {
 
     /**
      * Check if point is over the seed
+     * @param {number} [depthScale=1] - Target enlargement for a hand far from the camera
      */
-    isPointOver(x, y) {
+    isPointOver(x, y, depthScale = 1) {
         if (this.isPlanted) return false;
         const dx = x - this.x;
         const dy = y - this.y;
-        return Math.sqrt(dx * dx + dy * dy) < this.hitRadius;
+        return Math.sqrt(dx * dx + dy * dy) < this.hitRadius * depthScale;
     }
 
     /**
@@ -117,7 +119,7 @@ class DraggableSeed {
 /**
  * Represents the watering can tool
  */
-class WateringCan {
+export class WateringCan {
     constructor(x, y, canvas, isGolden = false) {
         this.x = x;
         this.y = y;
@@ -150,10 +152,10 @@ class WateringCan {
     /**
      * Check if point is over the watering can
      */
-    isPointOver(x, y) {
+    isPointOver(x, y, depthScale = 1) {
         const dx = x - this.x;
         const dy = y - this.y;
-        return Math.sqrt(dx * dx + dy * dy) < this.hitRadius;
+        return Math.sqrt(dx * dx + dy * dy) < this.hitRadius * depthScale;
     }
 
     pickup() {
@@ -356,7 +358,7 @@ class WateringCan {
 /**
  * Fertilizer/Food bag
  */
-class FertilizerBag {
+export class FertilizerBag {
     constructor(x, y, canvas) {
         this.x = x;
         this.y = y;
@@ -370,10 +372,10 @@ class FertilizerBag {
         this.isBeingHeld = false;
     }
 
-    isPointOver(x, y) {
+    isPointOver(x, y, depthScale = 1) {
         const dx = x - this.x;
         const dy = y - this.y;
-        return Math.sqrt(dx * dx + dy * dy) < this.hitRadius;
+        return Math.sqrt(dx * dx + dy * dy) < this.hitRadius * depthScale;
     }
 
     pickup() {
@@ -0,0 +1,280 @@
+/**
+ * Garden System - Weather
+ * Gentle weather that drifts through a round (sunny, cloudy, gentle rain,
+ * breezy), nudging how fast plant needs run down and drawn over the scene.
+ * It never adds pressure: what one weather takes, another gives back, so over
+ * a whole cycle (any season's) no need runs down faster than with no weather.
+ */
+
+import { drawUnmirroredText } from './constants.js';
+
+/**
+ * Weather kinds
+ * - depletion: multiplies each need's run-down rate
+ * - rainWater: water given to every growing pot each RAIN_INTERVAL (with waterPots(), like a small RainShower)
+ */
+export const WEATHER_TYPES = {
+    sunny: {
+        id: 'sunny', label: 'Sunny', icon: '☀️',
+        depletion: { water: 1.2, sun: 0.6, food: 1 }
+    },
+    cloudy: {
+        id: 'cloudy', label: 'Cloudy', icon: '☁️',
+        depletion: { water: 0.8, sun: 1.2, food: 1 }
+    },
+    rain: {
+        id: 'rain', label: 'Gentle rain', icon: '🌦️',
+        depletion: { water: 0, sun: 1.2, food: 1 },
+        rainWater: 0.05
+    },
+    breezy: {
+        id: 'breezy', label: 'Breezy', icon: '🍃',
+        depletion: { water: 1.1, sun: 0.9, food: 1 }
+    }
+};
+
+// Order weather comes in for each season (the calendar option), or with no season.
+// Each cycle averages out to no more than the plant's own rates for every need.
+const SEASON_WEATHER = {
+    spring: ['sunny', 'rain', 'breezy', 'cloudy'],
+    summer: ['sunny', 'breezy', 'sunny', 'rain'],
+    autumn: ['breezy', 'cloudy', 'rain', 'sunny'],
+    winter: ['cloudy', 'sunny', 'breezy', 'cloudy']
+};
+const DEFAULT_WEATHER = ['sunny', 'cloudy', 'rain', 'breezy'];
+
+// Seconds each spell of weather lasts, and how long it takes to fade into the next
+const WEATHER_SECONDS = 20;
+const FADE_SECONDS = 3;
+
+// Seconds between each top-up of rain water
+const RAIN_INTERVAL = 3;
+
+const RAINDROP_COUNT = 80;
+const LEAF_COUNT = 10;
+const CLOUD_COUNT = 3;
+
+/**
+ * Season for a date (northern hemisphere, by month)
+ */
+export function getCalendarSeason(date = new Date()) {
+    const month = date.getMonth();
+    if (month >= 2 && month <= 4) return 'spring';
+    if (month >= 5 && month <= 7) return 'summer';
+    if (month >= 8 && month <= 10) return 'autumn';
+    return 'winter';
+}
+
+/**
+ * The garden's weather: cycles through a season's spells and draws them
+ */
+export class Weather {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.reset();
+    }
+
+    /**
+     * Start the cycle again from its first spell
+     * @param {string|null} [season] - 'spring', 'summer', 'autumn' or 'winter'; null for the plain cycle
+     */
+    reset(season = null) {
+        this.season = SEASON_WEATHER[season] ? season : null;
+        this.cycle = SEASON_WEATHER[this.season] || DEFAULT_WEATHER;
+        this.cycleIndex = 0;
+        this.current = WEATHER_TYPES[this.cycle[0]];
+        this.spellTime = 0;
+        this.rainTimer = 0;
+
+        // How strongly each weather shows (cross-fades between spells)
+        this.intensity = {};
+        for (const id of Object.keys(WEATHER_TYPES)) {
+            this.intensity[id] = id === this.current.id ? 1 : 0;
+        }
+
+        this.raindrops = Array.from({ length: RAINDROP_COUNT }, () => this.createRaindrop(true));
+        this.leaves = Array.from({ length: LEAF_COUNT }, () => this.createLeaf(true));
+        this.clouds = Array.from({ length: CLOUD_COUNT }, (_, i) => ({
+            x: (i + 0.5) * this.canvas.width / CLOUD_COUNT,
+            y: 70 + (i % 2) * 60,
+            scale: 0.8 + Math.random() * 0.4,
+            speed: 8 + Math.random() * 6
+        }));
+    }
+
+    /** A raindrop at the top of the screen (or anywhere on it, to start) */
+    createRaindrop(anywhere = false) {
+        return {
+            x: Math.random() * this.canvas.width,
+            y: anywhere ? Math.random() * this.canvas.height : -20,
+            speed: 380 + Math.random() * 140,
+            length: 12 + Math.random() * 10
+        };
+    }
+
+    /** A leaf blowing in from the side (or anywhere, to start) */
+    createLeaf(anywhere = false) {
+        return {
+            x: anywhere ? Math.random() * this.canvas.width : -30,
+            y: 80 + Math.random() * (this.canvas.height * 0.6),
+            speed: 50 + Math.random() * 40,
+            phase: Math.random() * Math.PI * 2,
+            icon: Math.random() < 0.5 ? '🍃' : '🍂'
+        };
+    }
+
+    /**
+     * Each need's run-down multiplier right now (blended while spells fade)
+     */
+    getDepletion() {
+        const depletion = { water: 0, sun: 0, food: 0 };
+        let total = 0;
+        for (const [id, strength] of Object.entries(this.intensity)) {
+            if (strength <= 0) continue;
+            total += strength;
+            for (const need of Object.keys(depletion)) {
+                depletion[need] += WEATHER_TYPES[id].depletion[need] * strength;
+            }
+        }
+        for (const need of Object.keys(depletion)) {
+            depletion[need] = total > 0 ? depletion[need] / total : 1;
+        }
+        return depletion;
+    }
+
+    /**
+     * Advance the weather
+     * @returns {number} Rain water to give each growing pot this frame (0 most frames)
+     */
+    update(deltaTime) {
+        this.spellTime += deltaTime;
+        if (this.spellTime >= WEATHER_SECONDS) {
+            this.spellTime = 0;
+            this.cycleIndex = (this.cycleIndex + 1) % this.cycle.length;
+            this.current = WEATHER_TYPES[this.cycle[this.cycleIndex]];
+        }
+
+        for (const id of Object.keys(this.intensity)) {
+            const target = id === this.current.id ? 1 : 0;
+            const step = deltaTime / FADE_SECONDS;
+            this.intensity[id] = target > this.intensity[id]
+                ? Math.min(target, this.intensity[id] + step)
+                : Math.max(target, this.intensity[id] - step);
+        }
+
+        // Particles
+        const { width, height } = this.canvas;
+        this.raindrops.forEach((drop, i) => {
+            drop.y += drop.speed * deltaTime;
+            drop.x -= drop.speed * 0.1 * deltaTime;
+            if (drop.y > height) this.raindrops[i] = this.createRaindrop();
+        });
+        this.leaves.forEach((leaf, i) => {
+            leaf.x += leaf.speed * deltaTime;
+            leaf.phase += deltaTime * 2;
+            if (leaf.x > width + 30) this.leaves[i] = this.createLeaf();
+        });
+        this.clouds.forEach(cloud => {
+            cloud.x += cloud.speed * deltaTime;
+            if (cloud.x > width + 150) cloud.x = -150;
+        });
+
+        // Rain tops up water now and then
+        if (this.current.rainWater) {
+            this.rainTimer += deltaTime;
+            if (this.rainTimer >= RAIN_INTERVAL) {
+                this.rainTimer = 0;
+                return this.current.rainWater;
+            }
+        } else {
+            this.rainTimer = 0;
+        }
+        return 0;
+    }
+
+    /**
+     * Draw the sky layer (warm light, grey tint and clouds) — behind the garden
+     */
+    drawSky(ctx) {
+        const { width, height } = this.canvas;
+        const sunny = this.intensity.sunny;
+        const overcast = Math.max(this.intensity.cloudy, this.intensity.rain);
+
+        ctx.save();
+
+        if (sunny > 0) {
+            const glow = ctx.createRadialGradient(width, 0, 0, width, 0, width * 0.6);
+            glow.addColorStop(0, `rgba(255, 230, 140, ${0.35 * sunny})`);
+            glow.addColorStop(1, 'rgba(255, 230, 140, 0)');
+            ctx.fillStyle = glow;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        if (overcast > 0) {
+            ctx.fillStyle = `rgba(90, 100, 115, ${0.18 * overcast})`;
+            ctx.fillRect(0, 0, width, height);
+
+            ctx.globalAlpha = 0.85 * overcast;
+            ctx.fillStyle = this.intensity.rain > this.intensity.cloudy ? '#9AA3AD' : '#E8ECF0';
+            this.clouds.forEach(cloud => this.drawCloud(ctx, cloud));
+        }
+
+        ctx.restore();
+    }
+
+    /** One soft cloud (three overlapping puffs) */
+    drawCloud(ctx, { x, y, scale }) {
+        ctx.beginPath();
+        ctx.ellipse(x, y, 70 * scale, 28 * scale, 0, 0, Math.PI * 2);
+        ctx.ellipse(x - 40 * scale, y + 8 * scale, 40 * scale, 22 * scale, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + 45 * scale, y + 6 * scale, 45 * scale, 24 * scale, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Draw falling rain and drifting leaves — over the garden
+     */
+    draw(ctx) {
+        const rain = this.intensity.rain;
+        const breeze = this.intensity.breezy;
+        if (rain <= 0 && breeze <= 0) return;
+
+        ctx.save();
+
+        if (rain > 0) {
+            ctx.strokeStyle = `rgba(174, 214, 241, ${0.6 * rain})`;
+            ctx.lineWidth = 2;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            this.raindrops.forEach(drop => {
+                ctx.moveTo(drop.x, drop.y);
+                ctx.lineTo(drop.x - drop.length * 0.1, drop.y + drop.length);
+            });
+            ctx.stroke();
+        }
+
+        if (breeze > 0) {
+            ctx.globalAlpha = breeze;
+            ctx.font = '28px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            this.leaves.forEach(leaf => {
+                drawUnmirroredText(ctx, leaf.icon, leaf.x, leaf.y + Math.sin(leaf.phase) * 25);
+            });
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Small label for the current weather (bottom centre, under the instructions)
+     */
+    drawBadge(ctx) {
+        ctx.save();
+        ctx.font = 'bold 18px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        drawUnmirroredText(ctx, `${this.current.icon} ${this.current.label}`, this.canvas.width / 2, this.canvas.height - 25);
+        ctx.restore();
+    }
+}
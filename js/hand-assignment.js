@@ -0,0 +1,172 @@
+/**
+ * Hand-to-Player Assignment for Garden Grow Game
+ * MediaPipe reports up to four hands with no idea whose they are. This pairs
+ * them into players by where they are in the frame and keeps each hand with
+ * the same player from frame to frame, so a player's two hands stay theirs
+ * while they reach across their body or briefly drop out of view.
+ *
+ * Works on normalized camera coordinates (the same x the game canvas uses
+ * before CSS mirroring). Player 1 is on the high-x side, matching
+ * GardenBed.getZoneOwner(). No DOM access, so it can be fed recorded
+ * landmark fixtures directly.
+ */
+
+// Hands per player
+export const HANDS_PER_PLAYER = 2;
+
+// A hand within this distance of where a tracked hand was last seen is the same hand
+const HAND_MATCH_RADIUS = 0.15;
+
+// Seconds a lost hand is remembered (so it rejoins its player when it reappears)
+const HAND_MEMORY_SECONDS = 0.75;
+
+// Widest a player's two hands are expected to be apart (fraction of frame width)
+const HAND_PLAYER_SPAN = 0.35;
+
+// Clustering costs: keeping identities matters more than anything else
+const HAND_SWITCH_COST = 1;
+const HAND_SAME_SIDE_COST = 0.2;  // two left (or two right) hands on one player
+const HAND_WRONG_SIDE_COST = 2;   // per frame width past the divider, for hands with no history
+
+export class HandAssigner {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget all tracked hands
+     */
+    reset() {
+        this.tracks = [];   // { id, playerId, x, y, lastSeen }
+        this.nextId = 1;
+        this.dividerX = 0.5;
+    }
+
+    /**
+     * Assign detected hands to players
+     * @param {Array} hands - [{ landmarks, isLeft }] (landmarks normalized, MediaPipe order)
+     * @param {number} playerCount - 1 or 2
+     * @param {number} time - Frame time in seconds
+     * @returns {Array} The same hands with { handId, playerId } added
+     */
+    assign(hands, playerCount, time) {
+        const points = hands.map(hand => ({
+            ...hand,
+            x: hand.landmarks[0].x,   // wrist
+            y: hand.landmarks[0].y,
+            track: null
+        }));
+
+        // Drop hands that have been gone too long
+        this.tracks = this.tracks.filter(track => time - track.lastSeen <= HAND_MEMORY_SECONDS);
+
+        this.matchTracks(points);
+
+        if (playerCount === 2) {
+            this.clusterPlayers(points);
+        } else {
+            points.forEach(point => { point.playerId = 1; });
+        }
+
+        // Update tracks (new hands get a new identity)
+        points.forEach(point => {
+            if (!point.track) {
+                point.track = { id: this.nextId++ };
+                this.tracks.push(point.track);
+            }
+            Object.assign(point.track, { playerId: point.playerId, x: point.x, y: point.y, lastSeen: time });
+        });
+
+        this.updateDivider(points);
+
+        return points.map(({ x, y, track, ...hand }) => ({ ...hand, handId: track.id }));
+    }
+
+    /**
+     * Pair each hand with the nearest remembered hand (closest pairs first)
+     */
+    matchTracks(points) {
+        const pairs = [];
+        points.forEach(point => {
+            this.tracks.forEach(track => {
+                const dist = Math.hypot(point.x - track.x, point.y - track.y);
+                if (dist < HAND_MATCH_RADIUS) {
+                    pairs.push({ point, track, dist });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.dist - b.dist);
+
+        const usedTracks = new Set();
+        pairs.forEach(({ point, track }) => {
+            if (point.track || usedTracks.has(track)) return;
+            point.track = track;
+            usedTracks.add(track);
+        });
+    }
+
+    /**
+     * Split hands into two players: players stand side by side, so each player
+     * is a run of hands sorted by x. Try every split and keep the cheapest.
+     */
+    clusterPlayers(points) {
+        const sorted = [...points].sort((a, b) => b.x - a.x); // Player 1 side first
+        let best = null;
+
+        for (let p1Count = 0; p1Count <= sorted.length; p1Count++) {
+            const p1 = sorted.slice(0, p1Count);
+            const p2 = sorted.slice(p1Count);
+            if (p1.length > HANDS_PER_PLAYER || p2.length > HANDS_PER_PLAYER) continue;
+
+            const cost = this.groupCost(p1, 1) + this.groupCost(p2, 2);
+            if (!best || cost < best.cost) {
+                best = { cost, p1Count };
+            }
+        }
+
+        // More hands than players can have — extras go to the nearest side
+        const p1Count = best ? best.p1Count : Math.ceil(sorted.length / 2);
+        sorted.forEach((point, i) => {
+            point.playerId = i < p1Count ? 1 : 2;
+        });
+    }
+
+    /**
+     * Cost of giving a group of hands to one player
+     */
+    groupCost(group, playerId) {
+        if (group.length === 0) return 0;
+
+        // Hands further apart than one person can reach
+        const xs = group.map(p => p.x);
+        let cost = Math.max(0, Math.max(...xs) - Math.min(...xs) - HAND_PLAYER_SPAN);
+
+        group.forEach(point => {
+            if (point.track) {
+                // Known hand changing player
+                if (point.track.playerId !== playerId) cost += HAND_SWITCH_COST;
+            } else {
+                // New hand on the other player's side of the divider
+                const past = playerId === 1 ? this.dividerX - point.x : point.x - this.dividerX;
+                if (past > 0) cost += past * HAND_WRONG_SIDE_COST;
+            }
+        });
+
+        if (group.length === 2 && group[0].isLeft === group[1].isLeft) {
+            cost += HAND_SAME_SIDE_COST;
+        }
+
+        return cost;
+    }
+
+    /**
+     * Divider sits midway between the two players' innermost hands
+     */
+    updateDivider(points) {
+        const p1 = points.filter(p => p.playerId === 1).map(p => p.x);
+        const p2 = points.filter(p => p.playerId === 2).map(p => p.x);
+        if (p1.length > 0 && p2.length > 0) {
+            this.dividerX = (Math.min(...p1) + Math.max(...p2)) / 2;
+        }
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Hand Tracking Worker for Garden Grow Game
+ * Runs MediaPipe hand landmark detection (@mediapipe/tasks-vision) off the
+ * main thread. The page posts camera frames as ImageBitmaps; only landmarks
+ * come back, in the same shape as MediaPipe Hands results, so
+ * HandTracker.onResults() handles both.
+ *
+ * Messages in:  { type: 'init', bundleUrl, wasmUrl, modelUrl, numHands }
+ *               { type: 'frame', bitmap, timestamp }
+ *               { type: 'setOptions', numHands }
+ * Messages out: { type: 'ready' } | { type: 'error', message } | { type: 'results', results }
+ */
+
+let handLandmarker = null;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init':
+            init(message);
+            break;
+        case 'frame':
+            detect(message.bitmap, message.timestamp);
+            break;
+        case 'setOptions':
+            if (handLandmarker) {
+                handLandmarker.setOptions({ numHands: message.numHands });
+            }
+            break;
+    }
+};
+
+/**
+ * Load tasks-vision and the hand model
+ */
+async function init({ bundleUrl, wasmUrl, modelUrl, numHands }) {
+    try {
+        // The CommonJS build puts its API on `exports`, which classic workers can provide
+        self.exports = {};
+        importScripts(bundleUrl);
+        const { FilesetResolver, HandLandmarker } = self.exports;
+
+        const fileset = await FilesetResolver.forVisionTasks(wasmUrl);
+        const options = (delegate) => ({
+            baseOptions: { modelAssetPath: modelUrl, delegate },
+            runningMode: 'VIDEO',
+            numHands,
+            // Same thresholds as the main-thread MediaPipe Hands setup
+            minHandDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.3
+        });
+
+        // GPU where the worker can get a WebGL context, CPU otherwise
+        try {
+            handLandmarker = await HandLandmarker.createFromOptions(fileset, options('GPU'));
+        } catch (error) {
+            console.warn('Hand tracking worker: GPU unavailable, using CPU', error);
+            handLandmarker = await HandLandmarker.createFromOptions(fileset, options('CPU'));
+        }
+
+        self.postMessage({ type: 'ready' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+}
+
+/**
+ * Detect hands in one frame and post the landmarks back
+ */
+function detect(bitmap, timestamp) {
+    const results = { multiHandLandmarks: [], multiHandedness: [] };
+
+    try {
+        if (handLandmarker) {
+            const result = handLandmarker.detectForVideo(bitmap, timestamp);
+            results.multiHandLandmarks = result.landmarks;
+            results.multiHandedness = result.handedness.map(categories => ({
+                label: categories[0].categoryName,
+                score: categories[0].score
+            }));
+        }
+    } catch (error) {
+        console.error('Hand tracking worker: detection failed', error);
+    } finally {
+        bitmap.close();
+    }
+
+    // Always answer, so the page sends the next frame
+    self.postMessage({ type: 'results', results });
+}
@@ -1,14 +1,43 @@
 /**
  * Hand Tracking Module for Garden Grow Game
- * Uses MediaPipe Hands for real-time hand detection
+ * Uses MediaPipe for real-time hand detection: in a Web Worker when the
+ * browser supports it (js/hand-worker.js), so detection never stalls the
+ * game's rendering, otherwise MediaPipe Hands on the main thread.
+ * Add ?handWorker=0 to the page URL to force the main thread, or
+ * ?replay=<recording.json> to play back recorded landmarks instead of the
+ * camera (js/landmark-recorder.js).
  */
 
-class HandTracker {
+import { mediaPipeLoader } from './mediapipe-loader.js';
+import { HANDS_PER_PLAYER, HandAssigner } from './hand-assignment.js';
+import { LandmarkFilter } from './landmark-filter.js';
+import { landmarkRecorder, landmarkReplay } from './landmark-recorder.js';
+
+// Inference worker script, and how long to wait for it to load its model (ms)
+const HAND_WORKER_URL = 'js/hand-worker.js';
+const HAND_WORKER_INIT_TIMEOUT = 20000;
+
+// Depth-aware targets: palm length (wrist to middle knuckle, fraction of frame
+// height) at a normal seated reach. Hands further back look smaller and get
+// proportionally larger targets, up to DEPTH_MAX_SCALE.
+const DEPTH_REFERENCE_PALM_SIZE = 0.13;
+const DEPTH_MAX_SCALE = 2;
+const DEPTH_SCALE_SMOOTHING = 0.1; // per frame, so targets don't pulse as the hand turns
+
+export class HandTracker {
     constructor() {
         this.hands = null;
         this.camera = null;
+
+        // Worker inference (null when running on the main thread)
+        this.worker = null;
+        this.workerBusy = false; // a frame is with the worker
+        this.frameRequestId = null;
         this.videoElement = null;
         this.canvas = null;
+
+        // Recorded landmarks played in place of the camera (null when live)
+        this.replay = null;
         this.ctx = null;
 
         // Tracking state
@@ -19,6 +48,18 @@ class HandTracker {
         // Hand positions (for collision detection)
         this.handPositions = [];
 
+        // Full landmark sets with player/hand assignment (for motion metrics)
+        this.trackedHands = [];
+
+        // Pairs up to four hands into players and keeps them stable across frames
+        this.handAssigner = new HandAssigner();
+
+        // Smooths tremor and bridges brief dropouts (strength set from settings)
+        this.landmarkFilter = new LandmarkFilter();
+
+        // Target enlargement per hand for distance from the camera (handId → scale)
+        this.depthScales = new Map();
+
         // Callbacks
         this.onHandsDetected = null;
         this.onInitialized = null;
@@ -45,41 +86,108 @@ class HandTracker {
     }
 
     /**
-     * Set player count (1 or 2)
+     * Set player count (1 or 2) — two hands per player are tracked
      */
     setPlayerCount(count) {
+        if (count === this.playerCount) return;
         this.playerCount = count;
+        this.handAssigner.reset();
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'setOptions', numHands: this.getMaxHands() });
+        } else if (this.hands) {
+            this.hands.setOptions({ maxNumHands: this.getMaxHands() });
+        }
     }
 
     /**
-     * Initialize MediaPipe Hands
+     * Set landmark smoothing strength ('off', 'light', 'strong')
+     */
+    setSmoothing(strength) {
+        this.landmarkFilter.setStrength(strength);
+    }
+
+    /**
+     * How much to enlarge targets for a hand, from how far it is from the camera.
+     * Palm length is measured in 3D (z has roughly the same scale as x) so a palm
+     * tilted away from the camera isn't mistaken for a distant one.
+     */
+    getDepthScale(handId, landmarks) {
+        const video = this.videoElement;
+        const aspect = video && video.videoHeight ? video.videoWidth / video.videoHeight : 4 / 3;
+
+        const wrist = landmarks[0];
+        const knuckle = landmarks[9];
+        const palmSize = Math.hypot(
+            (knuckle.x - wrist.x) * aspect,
+            knuckle.y - wrist.y,
+            ((knuckle.z || 0) - (wrist.z || 0)) * aspect
+        );
+
+        // Closer than the reference keeps normal targets; only far hands get help
+        const target = palmSize > 0
+            ? Math.min(DEPTH_MAX_SCALE, Math.max(1, DEPTH_REFERENCE_PALM_SIZE / palmSize))
+            : 1;
+
+        const previous = this.depthScales.get(handId);
+        const scale = previous === undefined ? target : previous + (target - previous) * DEPTH_SCALE_SMOOTHING;
+        this.depthScales.set(handId, scale);
+        return scale;
+    }
+
+    /**
+     * Hands MediaPipe should look for
+     */
+    getMaxHands() {
+        return HANDS_PER_PLAYER * this.playerCount;
+    }
+
+    /**
+     * Initialize hand detection (worker first, then MediaPipe Hands on the main thread)
      */
     async init(videoElement, canvas) {
         this.videoElement = videoElement;
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
 
+        // Replaying a recording needs no camera or MediaPipe
+        const replayUrl = landmarkReplay.getRequestedUrl();
+        if (replayUrl && await landmarkReplay.loadUrl(replayUrl)) {
+            this.replay = landmarkReplay;
+            this.isInitialized = true;
+            console.log(`Hand tracking replaying ${replayUrl}`);
+            return true;
+        }
+
         try {
-            // Create MediaPipe Hands instance
-            this.hands = new Hands({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+            const workerReady = this.canUseWorker() && await this.initWorker();
+
+            if (!workerReady) {
+                // Load MediaPipe scripts from the first available source (local or CDN)
+                const loaded = await mediaPipeLoader.load();
+                if (!loaded) {
+                    return false;
                 }
-            });
 
-            // Configure hand tracking with Phase 9 optimizations
-            this.hands.setOptions({
-                maxNumHands: 2,
-                modelComplexity: 0, // Lower complexity for performance
-                minDetectionConfidence: 0.5, // Lower threshold for performance
-                minTrackingConfidence: 0.3 // Lower threshold for performance
-            });
+                // Create MediaPipe Hands instance (wasm/model files come from the same source)
+                this.hands = new Hands({
+                    locateFile: (file) => mediaPipeLoader.locateFile('hands', file)
+                });
 
-            // Set up results callback
-            this.hands.onResults((results) => this.onResults(results));
+                // Configure hand tracking with Phase 9 optimizations
+                this.hands.setOptions({
+                    maxNumHands: this.getMaxHands(),
+                    modelComplexity: 0, // Lower complexity for performance
+                    minDetectionConfidence: 0.5, // Lower threshold for performance
+                    minTrackingConfidence: 0.3 // Lower threshold for performance
+                });
+
+                // Set up results callback
+                this.hands.onResults((results) => this.onResults(results));
+            }
 
             this.isInitialized = true;
-            console.log('Hand tracking initialized');
+            console.log(`Hand tracking initialized (${workerReady ? 'worker' : 'main thread'})`);
 
             if (this.onInitialized) {
                 this.onInitialized();
@@ -101,6 +209,10 @@ class HandTracker {
             return false;
         }
 
+        if (this.replay) {
+            return this.startReplay();
+        }
+
         try {
             // Request camera access with Phase 9 optimized resolution
             const stream = await navigator.mediaDevices.getUserMedia({
@@ -114,19 +226,25 @@ class HandTracker {
             this.videoElement.srcObject = stream;
             await this.videoElement.play();
 
-            // Set up camera feed to MediaPipe with optimized resolution
-            this.camera = new Camera(this.videoElement, {
-                onFrame: async () => {
-                    if (this.isRunning) {
-                        await this.hands.send({ image: this.videoElement });
-                    }
-                },
-                width: 640, // Lower resolution for performance
-                height: 480 // Lower resolution for performance
-            });
+            if (this.worker) {
+                // Frames go to the worker; results come back in onWorkerMessage()
+                this.isRunning = true;
+                this.pumpWorkerFrames();
+            } else {
+                // Set up camera feed to MediaPipe with optimized resolution
+                this.camera = new Camera(this.videoElement, {
+                    onFrame: async () => {
+                        if (this.isRunning) {
+                            await this.hands.send({ image: this.videoElement });
+                        }
+                    },
+                    width: 640, // Lower resolution for performance
+                    height: 480 // Lower resolution for performance
+                });
 
-            await this.camera.start();
-            this.isRunning = true;
+                await this.camera.start();
+                this.isRunning = true;
+            }
 
             console.log('Camera started');
             return true;
@@ -144,6 +262,14 @@ class HandTracker {
         if (this.camera) {
             this.camera.stop();
         }
+        if (this.replay) {
+            this.replay.stop();
+        }
+        if (this.frameRequestId) {
+            cancelAnimationFrame(this.frameRequestId);
+            this.frameRequestId = null;
+        }
+        this.workerBusy = false;
 
         // Release camera hardware — stop all tracks on the video stream
         if (this.videoElement && this.videoElement.srcObject) {
@@ -154,97 +280,193 @@ class HandTracker {
         // Clear stale data so drawHands() doesn't render old positions
         this.lastResults = null;
         this.handPositions = [];
+        this.trackedHands = [];
         this.leftHandDetected = false;
         this.rightHandDetected = false;
     }
 
+    /**
+     * Feed the loaded recording through onResults() with its original timing
+     */
+    startReplay() {
+        // Recording times start at 0, so forget any live hands first
+        this.handAssigner.reset();
+        this.landmarkFilter.reset();
+        this.depthScales.clear();
+
+        this.replay.onFrame = (results, time) => this.onResults(results, time);
+        this.isRunning = this.replay.start();
+        return this.isRunning;
+    }
+
+    // ── Worker inference ────────────────────────────────────────────
+
+    /**
+     * The worker needs OffscreenCanvas (for MediaPipe's GPU context) and ImageBitmap frames
+     */
+    canUseWorker() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('handWorker') !== '0' &&
+            typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Start the inference worker and wait for it to load the model
+     * @returns {Promise<boolean>} Whether the worker is ready
+     */
+    async initWorker() {
+        const source = await mediaPipeLoader.findTasksSource();
+        if (!source) return false;
+
+        const worker = new Worker(HAND_WORKER_URL);
+        const ready = await new Promise((resolve) => {
+            const timeout = setTimeout(() => resolve(false), HAND_WORKER_INIT_TIMEOUT);
+            worker.onmessage = (event) => {
+                if (event.data.type === 'ready' || event.data.type === 'error') {
+                    clearTimeout(timeout);
+                    if (event.data.type === 'error') {
+                        console.warn('Hand tracking worker failed to start:', event.data.message);
+                    }
+                    resolve(event.data.type === 'ready');
+                }
+            };
+            worker.onerror = (event) => {
+                clearTimeout(timeout);
+                console.warn('Hand tracking worker failed to start:', event.message);
+                resolve(false);
+            };
+            worker.postMessage({ type: 'init', ...source, numHands: this.getMaxHands() });
+        });
+
+        if (!ready) {
+            worker.terminate();
+            return false;
+        }
+
+        worker.onmessage = (event) => this.onWorkerMessage(event.data);
+        worker.onerror = (event) => {
+            console.error('Hand tracking worker error:', event.message);
+            this.workerBusy = false;
+        };
+        this.worker = worker;
+        return true;
+    }
+
+    /**
+     * Landmarks back from the worker (same shape as MediaPipe Hands results)
+     */
+    onWorkerMessage(message) {
+        if (message.type !== 'results') return;
+        this.workerBusy = false;
+        if (this.isRunning) {
+            this.onResults(message.results);
+        }
+    }
+
+    /**
+     * Send the latest camera frame to the worker. Frames that arrive while it's
+     * still busy are skipped, so the game loop never waits on detection.
+     */
+    pumpWorkerFrames() {
+        if (!this.isRunning) return;
+
+        const video = this.videoElement;
+        if (!this.workerBusy && video.readyState >= video.HAVE_CURRENT_DATA) {
+            this.workerBusy = true;
+            createImageBitmap(video)
+                .then(bitmap => this.worker.postMessage(
+                    { type: 'frame', bitmap, timestamp: performance.now() }, [bitmap]))
+                .catch(() => { this.workerBusy = false; });
+        }
+
+        this.frameRequestId = requestAnimationFrame(() => this.pumpWorkerFrames());
+    }
+
     /**
      * Process hand detection results
+     * @param {Object} results - { multiHandLandmarks, multiHandedness } (MediaPipe Hands shape)
+     * @param {number} [time] - Frame time in seconds (replays pass the recorded time)
      */
-    onResults(results) {
+    onResults(results, time = performance.now() / 1000) {
       try {
+        landmarkRecorder.record(results, time);
+
         this.lastResults = results;
         this.handPositions = [];
+        this.trackedHands = [];
         this.leftHandDetected = false;
         this.rightHandDetected = false;
 
-        if (results.multiHandLandmarks && results.multiHandedness) {
-            // For 2-player mode, sort hands by x-position to assign players
-            let handData = [];
+        // No hands in view comes back as missing arrays — still run the filter so dropouts are bridged
+        const multiHandLandmarks = results.multiHandLandmarks || [];
+        const multiHandedness = results.multiHandedness || [];
 
-            for (let i = 0; i < results.multiHandLandmarks.length; i++) {
-                const landmarks = results.multiHandLandmarks[i];
-                const handedness = results.multiHandedness[i];
-                const wristX = landmarks[0].x; // Wrist x-position
+        // Swap handedness because video is mirrored
+        // MediaPipe's "Left" = User's RIGHT hand (from their perspective)
+        // MediaPipe's "Right" = User's LEFT hand (from their perspective)
+        const hands = multiHandLandmarks.map((landmarks, i) => ({
+            landmarks,
+            isLeft: multiHandedness[i] ? multiHandedness[i].label === 'Right' : false
+        }));
 
-                handData.push({
-                    landmarks,
-                    handedness,
-                    wristX,
-                    index: i
-                });
-            }
-
-            // Sort by x-position (left to right in camera frame)
-            handData.sort((a, b) => a.wristX - b.wristX);
+        // Pair hands into players (stable across frames)
+        const assigned = this.handAssigner.assign(hands, this.playerCount, time);
 
-            // Process each hand
-            for (let i = 0; i < handData.length; i++) {
-                const { landmarks, handedness } = handData[i];
+        // Smooth tremor, and keep hands that flicker out for a frame or two
+        const filtered = this.landmarkFilter.process(assigned, time);
 
-                // Swap handedness because video is mirrored
-                // MediaPipe's "Left" = User's RIGHT hand (from their perspective)
-                // MediaPipe's "Right" = User's LEFT hand (from their perspective)
-                const isUserLeftHand = handedness.label === 'Right';
+        // Forget depth for hands that have left
+        const handIds = new Set(filtered.map(hand => hand.handId));
+        this.depthScales.forEach((scale, handId) => {
+            if (!handIds.has(handId)) this.depthScales.delete(handId);
+        });
 
-                if (isUserLeftHand) {
-                    this.leftHandDetected = true;
-                } else {
-                    this.rightHandDetected = true;
-                }
+        // Process each hand
+        for (const { landmarks, rawLandmarks, isLeft, playerId, handId } of filtered) {
+            const depthScale = this.getDepthScale(handId, landmarks);
 
-                // Determine player ID based on mode and position
-                let playerId = 1; // Default to Player 1
-                if (this.playerCount === 2) {
-                    // Leftmost hand in camera → Player 1 (RIGHT side of mirrored screen)
-                    // Rightmost hand in camera → Player 2 (LEFT side of mirrored screen)
-                    playerId = (i === 0) ? 1 : 2;
-                }
+            if (isLeft) {
+                this.leftHandDetected = true;
+            } else {
+                this.rightHandDetected = true;
+            }
 
-                // Extract key points for collision detection
-                // Using palm center (landmark 9) and fingertips (4, 8, 12, 16, 20)
-                const collisionPoints = [
-                    { point: landmarks[9],  landmarkIndex: 9 },  // Palm center
-                    { point: landmarks[4],  landmarkIndex: 4 },  // Thumb tip
-                    { point: landmarks[8],  landmarkIndex: 8 },  // Index tip
-                    { point: landmarks[12], landmarkIndex: 12 }, // Middle tip
-                    { point: landmarks[16], landmarkIndex: 16 }, // Ring tip
-                    { point: landmarks[20], landmarkIndex: 20 }  // Pinky tip
-                ];
-
-                collisionPoints.forEach(({ point, landmarkIndex }) => {
-                    // Convert normalized coordinates to canvas coordinates
-                    const x = point.x * this.canvas.width;
-                    const y = point.y * this.canvas.height;
-
-                    this.handPositions.push({
-                        x,
-                        y,
-                        isLeft: isUserLeftHand,
-                        landmark: point,
-                        landmarkIndex,
-                        playerId // Add player ID to collision points
-                    });
+            this.trackedHands.push({ playerId, handId, isLeft, landmarks, rawLandmarks, depthScale });
+
+            // Extract key points for collision detection
+            // Using palm center (landmark 9) and fingertips (4, 8, 12, 16, 20)
+            const collisionPoints = [
+                { point: landmarks[9],  landmarkIndex: 9 },  // Palm center
+                { point: landmarks[4],  landmarkIndex: 4 },  // Thumb tip
+                { point: landmarks[8],  landmarkIndex: 8 },  // Index tip
+                { point: landmarks[12], landmarkIndex: 12 }, // Middle tip
+                { point: landmarks[16], landmarkIndex: 16 }, // Ring tip
+                { point: landmarks[20], landmarkIndex: 20 }  // Pinky tip
+            ];
+
+            collisionPoints.forEach(({ point, landmarkIndex }) => {
+                // Convert normalized coordinates to canvas coordinates
+                const x = point.x * this.canvas.width;
+                const y = point.y * this.canvas.height;
+
+                this.handPositions.push({
+                    x,
+                    y,
+                    isLeft,
+                    landmark: point,
+                    landmarkIndex,
+                    playerId,  // Add player ID to collision points
+                    handId,    // Same physical hand across frames
+                    depthScale // Target enlargement for distance from the camera
                 });
-            }
+            });
+        }
 
-            // Calculate divider position for 2-player calibration
-            if (this.playerCount === 2 && handData.length === 2) {
-                // Midpoint between both players' wrists
-                const player1WristX = handData[0].wristX;
-                const player2WristX = handData[1].wristX;
-                this.dividerX = (player1WristX + player2WristX) / 2;
-            }
+        // Divider between the two players (used for 2-player zones)
+        if (this.playerCount === 2) {
+            this.dividerX = this.handAssigner.dividerX;
         }
 
         // Notify callback
@@ -266,28 +488,13 @@ class HandTracker {
     drawHands(ctx) {
         if (!this.showHandIndicators || !this.lastResults) return;
 
-        const results = this.lastResults;
-
-        if (!results.multiHandLandmarks) return;
-
-        // Sort hands by x-position for consistent player assignment
-        let handData = [];
-        for (let i = 0; i < results.multiHandLandmarks.length; i++) {
-            const landmarks = results.multiHandLandmarks[i];
-            const wristX = landmarks[0].x;
-            handData.push({ landmarks, wristX, index: i });
-        }
-        handData.sort((a, b) => a.wristX - b.wristX);
-
-        for (let i = 0; i < handData.length; i++) {
-            const { landmarks } = handData[i];
-
+        for (const { landmarks, playerId } of this.trackedHands) {
             // Determine glove color based on player
             let glove;
             if (this.playerCount === 1) {
                 glove = this.gloveColor;
             } else {
-                if (i === 0) {
+                if (playerId === 1) {
                     glove = { main: '#FFF5E6', shadow: '#F0D9B5', outline: '#FF8C42', highlight: '#FFFFFF' };
                 } else {
                     glove = { main: '#E6F0FF', shadow: '#B5C9E6', outline: '#4A90D9', highlight: '#FFFFFF' };
@@ -591,5 +798,5 @@ class HandTracker {
     }
 }
 
-// Global hand tracker instance
-const handTracker = new HandTracker();
+// Shared hand tracker instance
+export const handTracker = new HandTracker();
@@ -0,0 +1,164 @@
+/**
+ * Motor-Engagement Heatmap for Garden Grow Game
+ * Accumulates hand positions (palm centre + fingertips) into a coarse
+ * per-player grid so therapists can see which parts of the screen a
+ * resident actually reaches, and whether that reach widens over time.
+ *
+ * Grid cells are stored in SCREEN space — i.e. as the player sees the
+ * mirrored canvas — so "left" on the heatmap is the player's left.
+ */
+
+// Colour ramp for heat values (0 → 1): cool green to warm tomato
+const HEATMAP_RAMP = [
+    { stop: 0.0, color: [74, 222, 128] },   // --accent-primary
+    { stop: 0.5, color: [255, 215, 0] },    // --color-sunflower
+    { stop: 1.0, color: [255, 99, 71] }     // --color-tomato
+];
+
+// A cell counts as "reached" once it has at least this many samples
+const HEATMAP_REACHED_MIN_SAMPLES = 3;
+
+export class MotionHeatmap {
+    /**
+     * @param {number} cols - Grid columns (screen width is split into this many cells)
+     * @param {number} rows - Grid rows
+     */
+    constructor(cols = 32, rows = 18) {
+        this.cols = cols;
+        this.rows = rows;
+        this.reset();
+    }
+
+    /**
+     * Clear all accumulated samples
+     */
+    reset() {
+        this.grids = {
+            1: new Array(this.cols * this.rows).fill(0),
+            2: new Array(this.cols * this.rows).fill(0)
+        };
+        this.sampleCounts = { 1: 0, 2: 0 };
+    }
+
+    /**
+     * Add one frame of hand positions
+     * @param {Array} handPositions - Collision points from HandTracker ({x, y, playerId} in canvas space)
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     */
+    record(handPositions, canvasWidth, canvasHeight) {
+        if (!handPositions || canvasWidth <= 0 || canvasHeight <= 0) return;
+
+        for (const pos of handPositions) {
+            const playerId = pos.playerId === 2 ? 2 : 1;
+
+            // Canvas is CSS-mirrored: flip x so the grid matches what the player sees
+            const screenX = 1 - pos.x / canvasWidth;
+            const screenY = pos.y / canvasHeight;
+            if (screenX < 0 || screenX > 1 || screenY < 0 || screenY > 1) continue;
+
+            const col = Math.min(this.cols - 1, Math.floor(screenX * this.cols));
+            const row = Math.min(this.rows - 1, Math.floor(screenY * this.rows));
+            this.grids[playerId][row * this.cols + col]++;
+            this.sampleCounts[playerId]++;
+        }
+    }
+
+    /**
+     * Share of the screen a player has reached (0–1)
+     */
+    getCoverage(playerId) {
+        return MotionHeatmap.getCoverage(this.grids[playerId]);
+    }
+
+    /**
+     * Plain-object snapshot for storage/export
+     */
+    toJSON() {
+        return {
+            cols: this.cols,
+            rows: this.rows,
+            space: 'screen',
+            players: {
+                1: { samples: this.sampleCounts[1], coverage: this.getCoverage(1), grid: this.grids[1].slice() },
+                2: { samples: this.sampleCounts[2], coverage: this.getCoverage(2), grid: this.grids[2].slice() }
+            }
+        };
+    }
+
+    /**
+     * Share of cells with enough samples to count as reached
+     */
+    static getCoverage(grid) {
+        if (!grid || grid.length === 0) return 0;
+        const reached = grid.filter(count => count >= HEATMAP_REACHED_MIN_SAMPLES).length;
+        return Math.round((reached / grid.length) * 1000) / 1000;
+    }
+
+    /**
+     * Render a grid to a (non-mirrored) canvas, scaled to the canvas' CSS size
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array<number>} grid
+     * @param {number} cols
+     * @param {number} rows
+     */
+    static draw(canvas, grid, cols, rows) {
+        if (!canvas || !grid) return;
+
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+
+        // Backdrop — a dim stand-in for the play area
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(0, 0, width, height);
+
+        // Paint one pixel per cell, then let the browser smooth it up to size
+        const cells = document.createElement('canvas');
+        cells.width = cols;
+        cells.height = rows;
+        const cellCtx = cells.getContext('2d');
+        const image = cellCtx.createImageData(cols, rows);
+        const max = Math.max(1, ...grid);
+
+        for (let i = 0; i < grid.length; i++) {
+            if (grid[i] === 0) continue;
+            // Square root lifts rarely visited cells so the edges of reach stay visible
+            const value = Math.sqrt(grid[i] / max);
+            const [r, g, b] = MotionHeatmap.rampColor(value);
+            image.data[i * 4] = r;
+            image.data[i * 4 + 1] = g;
+            image.data[i * 4 + 2] = b;
+            image.data[i * 4 + 3] = Math.round(Math.min(1, 0.35 + value) * 255);
+        }
+        cellCtx.putImageData(image, 0, 0);
+
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(cells, 0, 0, width, height);
+
+        // Frame
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(1, 1, width - 2, height - 2);
+    }
+
+    /**
+     * Interpolate the heat ramp
+     */
+    static rampColor(value) {
+        for (let i = 1; i < HEATMAP_RAMP.length; i++) {
+            const prev = HEATMAP_RAMP[i - 1];
+            const next = HEATMAP_RAMP[i];
+            if (value <= next.stop) {
+                const t = (value - prev.stop) / (next.stop - prev.stop);
+                return prev.color.map((c, k) => Math.round(c + (next.color[k] - c) * t));
+            }
+        }
+        return HEATMAP_RAMP[HEATMAP_RAMP.length - 1].color;
+    }
+}
@@ -0,0 +1,263 @@
+/**
+ * Kiosk Mode for Garden Grow Game
+ * For shared screens in care-facility common areas: starts the camera on its
+ * own, hides the settings button from residents (staff press and hold its
+ * corner to reveal it), closes the usual ways out of the page, and hands the
+ * game back to the welcome screen when nobody has played for a while.
+ *
+ * Turn on with ?kiosk=1 (optionally &kioskIdle=<minutes>) or the Kiosk Mode
+ * setting. ?kiosk=0 turns it off for one visit regardless of the setting.
+ */
+
+// Minutes without hands before returning to the welcome screen
+const KIOSK_DEFAULT_IDLE_MINUTES = 3;
+
+// Seconds staff must hold the settings corner to reveal the button
+const KIOSK_POINTER_HOLD_SECONDS = 3;
+const KIOSK_HAND_HOLD_SECONDS = 8;  // longer for hands, so residents don't open it by accident
+
+// How often the idle timer is checked (ms)
+const KIOSK_IDLE_CHECK_INTERVAL = 5000;
+
+export class KioskMode {
+    constructor() {
+        this.enabled = false;
+        this.idleMinutes = KIOSK_DEFAULT_IDLE_MINUTES;
+
+        // Settings button revealed by a hold gesture
+        this.settingsUnlocked = false;
+
+        // Idle tracking
+        this.lastActivityTime = Date.now();
+        this.idleCheckInterval = null;
+
+        // Hold gesture tracking
+        this.pointerHoldTimer = null;
+        this.handHoldStartTime = 0;
+
+        // Callbacks
+        this.onIdleTimeout = null;
+
+        // Bound listeners (so they can be removed)
+        this._onKeyDown = (e) => this.onKeyDown(e);
+        this._onPopState = () => history.pushState({ kiosk: true }, '');
+        this._onPointerDown = (e) => this.onPointerDown(e);
+        this._onPointerEnd = () => this.cancelPointerHold();
+        this._preventDefault = (e) => e.preventDefault();
+    }
+
+    /**
+     * Read the kiosk configuration (URL parameter wins over the saved setting)
+     * @param {boolean} settingEnabled - Kiosk Mode setting from the settings panel
+     */
+    init(settingEnabled) {
+        const params = new URLSearchParams(window.location.search);
+        const param = params.get('kiosk');
+        const enabled = param !== null ? param !== '0' && param !== 'false' : !!settingEnabled;
+
+        const idle = parseFloat(params.get('kioskIdle'));
+        if (idle > 0) {
+            this.idleMinutes = idle;
+        }
+
+        this.setEnabled(enabled);
+        return this.enabled;
+    }
+
+    /**
+     * Turn kiosk behaviour on or off
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+
+        if (enabled) {
+            this.addGuards();
+            this.lockSettings();
+            this.recordActivity();
+            this.idleCheckInterval = setInterval(() => this.checkIdle(), KIOSK_IDLE_CHECK_INTERVAL);
+            console.log(`Kiosk mode on (returns to welcome after ${this.idleMinutes} min idle)`);
+        } else {
+            this.removeGuards();
+            this.unlockSettings();
+            clearInterval(this.idleCheckInterval);
+            this.idleCheckInterval = null;
+            console.log('Kiosk mode off');
+        }
+    }
+
+    // ── Escape routes ───────────────────────────────────────────────
+
+    /**
+     * Block the usual ways out of the page
+     */
+    addGuards() {
+        document.body.classList.add('kiosk');
+
+        window.addEventListener('keydown', this._onKeyDown, true);
+        document.addEventListener('selectstart', this._preventDefault);
+        document.addEventListener('dragstart', this._preventDefault);
+        window.addEventListener('pointerdown', this._onPointerDown);
+        window.addEventListener('pointerup', this._onPointerEnd);
+        window.addEventListener('pointercancel', this._onPointerEnd);
+
+        // Swallow the browser back button
+        history.pushState({ kiosk: true }, '');
+        window.addEventListener('popstate', this._onPopState);
+    }
+
+    /**
+     * Undo addGuards()
+     */
+    removeGuards() {
+        document.body.classList.remove('kiosk');
+
+        window.removeEventListener('keydown', this._onKeyDown, true);
+        document.removeEventListener('selectstart', this._preventDefault);
+        document.removeEventListener('dragstart', this._preventDefault);
+        window.removeEventListener('pointerdown', this._onPointerDown);
+        window.removeEventListener('pointerup', this._onPointerEnd);
+        window.removeEventListener('pointercancel', this._onPointerEnd);
+        window.removeEventListener('popstate', this._onPopState);
+        this.cancelPointerHold();
+    }
+
+    /**
+     * Block reload, back and escape shortcuts (browsers allow blocking most of these)
+     */
+    onKeyDown(e) {
+        const blocked = e.key === 'Escape' ||
+            e.key === 'F5' ||
+            e.key === 'F11' ||
+            e.key === 'BrowserBack' ||
+            (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) ||
+            ((e.ctrlKey || e.metaKey) && ['r', 'w', 'n', 't', 'p', 's', 'o'].includes(e.key.toLowerCase()));
+
+        if (blocked) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+        this.recordActivity();
+    }
+
+    /**
+     * Go full screen (browsers only allow this from a user gesture, so it's
+     * retried on every touch — which also recovers from someone leaving it)
+     */
+    requestFullscreen() {
+        if (document.fullscreenElement || !document.documentElement.requestFullscreen) return;
+        document.documentElement.requestFullscreen().catch(() => {});
+    }
+
+    // ── Hidden settings ─────────────────────────────────────────────
+
+    /**
+     * Hide the settings button again (kiosk only)
+     */
+    lockSettings() {
+        this.settingsUnlocked = false;
+        document.body.classList.toggle('kiosk-settings-locked', this.enabled);
+    }
+
+    /**
+     * Show the settings button for staff
+     */
+    unlockSettings() {
+        this.settingsUnlocked = true;
+        document.body.classList.remove('kiosk-settings-locked');
+    }
+
+    /**
+     * Is a screen point over the (hidden) settings button's corner?
+     */
+    isOverSettingsCorner(x, y) {
+        const btn = document.getElementById('settingsBtn');
+        if (!btn) return false;
+        const rect = btn.getBoundingClientRect();
+        const margin = 20;
+        return x >= rect.left - margin && x <= rect.right + margin &&
+               y >= rect.top - margin && y <= rect.bottom + margin;
+    }
+
+    /**
+     * Any touch counts as activity; a long press on the settings corner reveals it
+     */
+    onPointerDown(e) {
+        this.recordActivity();
+        this.requestFullscreen();
+
+        if (this.settingsUnlocked || !this.isOverSettingsCorner(e.clientX, e.clientY)) return;
+
+        this.cancelPointerHold();
+        this.pointerHoldTimer = setTimeout(() => {
+            this.pointerHoldTimer = null;
+            this.unlockSettings();
+        }, KIOSK_POINTER_HOLD_SECONDS * 1000);
+    }
+
+    /**
+     * Stop a settings long press (finger lifted)
+     */
+    cancelPointerHold() {
+        if (this.pointerHoldTimer) {
+            clearTimeout(this.pointerHoldTimer);
+            this.pointerHoldTimer = null;
+        }
+    }
+
+    // ── Hands and idle ──────────────────────────────────────────────
+
+    /**
+     * Note a frame of hands: keeps the kiosk awake and checks the settings hand-hold
+     * @param {Array} handPositions - Collision points (canvas space, mirrored)
+     * @param {HTMLCanvasElement} canvas
+     */
+    recordHands(handPositions, canvas) {
+        if (!this.enabled || !handPositions || handPositions.length === 0) {
+            this.handHoldStartTime = 0;
+            return;
+        }
+
+        this.recordActivity();
+        if (this.settingsUnlocked) return;
+
+        // Convert mirrored canvas coordinates to screen coordinates
+        const overCorner = handPositions.some(pos => this.isOverSettingsCorner(
+            (canvas.width - pos.x) * (window.innerWidth / canvas.width),
+            pos.y * (window.innerHeight / canvas.height)
+        ));
+
+        if (!overCorner) {
+            this.handHoldStartTime = 0;
+        } else if (!this.handHoldStartTime) {
+            this.handHoldStartTime = Date.now();
+        } else if (Date.now() - this.handHoldStartTime >= KIOSK_HAND_HOLD_SECONDS * 1000) {
+            this.handHoldStartTime = 0;
+            this.unlockSettings();
+        }
+    }
+
+    /**
+     * Reset the idle clock
+     */
+    recordActivity() {
+        this.lastActivityTime = Date.now();
+    }
+
+    /**
+     * Hand the game back to the next resident after the idle time
+     */
+    checkIdle() {
+        if (!this.enabled) return;
+        if (Date.now() - this.lastActivityTime < this.idleMinutes * 60 * 1000) return;
+
+        // Only fires once per idle period
+        this.recordActivity();
+        if (this.onIdleTimeout) {
+            this.onIdleTimeout();
+        }
+    }
+}
+
+// Shared kiosk mode instance
+export const kioskMode = new KioskMode();
@@ -0,0 +1,541 @@
+/**
+ * Kitchen Theme - Kitchen Counter
+ * A second activity on the same tracking, DDA and two-player setup as the
+ * garden: take a vegetable from the crate, wash it under the tap, then put it
+ * in the bowl.
+ */
+
+import { PLANT_TYPES, drawUnmirroredText } from '../garden/constants.js';
+import { HintArrow, ConfettiParticle } from '../garden/effects.js';
+import { Produce, Sink, Bowl } from './kitchen-items.js';
+
+// Seconds a vegetable has to stay under the tap to come clean
+const WASH_SECONDS = 0.5;
+
+// Carried this far from the crate, bringing it back puts it down
+const RETURN_HOME_RADIUS = 80;
+
+// Delay before the next vegetable appears in the crate (ms)
+const NEXT_PRODUCE_DELAY = 800;
+
+/**
+ * Kitchen counter manager - the kitchen activity theme (interface in js/themes.js)
+ *
+ * Takes the same optional services as GardenBed: { audio, logger, achievements,
+ * challenges, pickItemType }. Each bowled vegetable is reported like a harvest.
+ */
+export class KitchenCounter {
+    constructor(canvas, { audio = null, logger = null, achievements = null, challenges = null, pickItemType = null } = {}) {
+        this.canvas = canvas;
+
+        // Injected page services (see GardenBed)
+        this.audio = audio;
+        this.logger = logger;
+        this.achievements = achievements;
+        this.challenges = challenges;
+        this.pickItemType = pickItemType;
+
+        // Round generation counter — prevents stale setTimeout callbacks after round ends
+        this.roundGeneration = 0;
+
+        // Cached deltaTime for use in collision handlers (which don't receive deltaTime)
+        this.lastDeltaTime = 0.016;
+
+        // Multi-player configuration
+        this.playerCount = 1;
+        this.gameMode = 'coop';
+        this.dividerX = null;
+
+        // Zones: 'shared' in solo/co-op, 1 and 2 in competitive
+        // zoneKey → { key, crateX, crateY, produce, sink, bowl, heldHand, washSeconds, hitBoxMultiplier }
+        this.zones = new Map();
+        this.currentItemIndex = 0;
+
+        this.confettiParticles = [];
+
+        // Hint arrow system
+        const kitchenHints = {
+            colors: { wash: '#87CEEB', to_bowl: '#FFDAB9' },
+            tooltips: { wash: 'Hold it under the tap to wash it!', to_bowl: 'Lovely and clean! Put it in the bowl!' }
+        };
+        this.hintArrows = new Map();
+        this.hintArrows.set('shared', new HintArrow(kitchenHints));
+        this.hintArrows.set(1, new HintArrow(kitchenHints));
+        this.hintArrows.set(2, new HintArrow(kitchenHints));
+        this.hintIdleThreshold = 5; // seconds before showing tooltip hints
+        this.hintPlayerIdleTime = new Map();
+
+        this.setupZones();
+    }
+
+    // ── Zones ─────────────────────────────────────────────────────
+
+    /** Returns zone keys for the current game mode */
+    getZoneKeys() {
+        return this.gameMode === 'competitive' ? [1, 2] : ['shared'];
+    }
+
+    /**
+     * Get zone owner based on x position (competitive mode)
+     */
+    getZoneOwner(x) {
+        if (!this.dividerX) return 1;
+        return x > this.dividerX ? 1 : 2;
+    }
+
+    /**
+     * Lay out a crate, sink and bowl for each zone
+     */
+    setupZones() {
+        this.zones.clear();
+
+        if (this.gameMode === 'competitive' && this.dividerX) {
+            // Player 1 on the right of the divider, player 2 on the left
+            this.createZone(1, this.dividerX, this.canvas.width);
+            this.createZone(2, 0, this.dividerX);
+        } else {
+            this.createZone('shared', 0, this.canvas.width);
+        }
+    }
+
+    /**
+     * Add a zone spanning left..right on the canvas
+     */
+    createZone(zoneKey, left, right) {
+        const width = right - left;
+        const counterY = this.canvas.height - 150; // Bottom toolbar row
+
+        this.zones.set(zoneKey, {
+            key: zoneKey,
+            crateX: left + width / 2,
+            crateY: 100,
+            produce: null,
+            sink: new Sink(left + width * 0.25, counterY),
+            bowl: new Bowl(left + width * 0.75, counterY),
+            heldHand: null,
+            washSeconds: WASH_SECONDS,
+            hitBoxMultiplier: 1
+        });
+
+        this.spawnProduce(zoneKey);
+    }
+
+    /**
+     * Put a new vegetable in a zone's crate
+     */
+    spawnProduce(zoneKey) {
+        const zone = this.zones.get(zoneKey);
+        if (!zone) return;
+
+        let plantType;
+        if (this.pickItemType) {
+            plantType = this.pickItemType();
+        } else {
+            const plantTypes = Object.keys(PLANT_TYPES);
+            plantType = plantTypes[this.currentItemIndex % plantTypes.length];
+            this.currentItemIndex++;
+        }
+
+        zone.produce = new Produce(zone.crateX, zone.crateY, plantType);
+        zone.produce.hitRadius = 50 * zone.hitBoxMultiplier;
+    }
+
+    // ── Configuration ─────────────────────────────────────────────
+
+    /**
+     * Configure the counter for 1-2 players
+     */
+    configure({ playerCount, gameMode, dividerX }) {
+        this.roundGeneration++;
+        this.playerCount = playerCount || 1;
+        this.gameMode = gameMode || 'coop';
+        this.dividerX = dividerX || null;
+
+        this.setupZones();
+    }
+
+    /**
+     * Clear the counter (for reset)
+     */
+    clear() {
+        this.roundGeneration++; // Invalidate any pending setTimeout callbacks
+        this.setupZones();
+        this.confettiParticles = [];
+        this.hintArrows.forEach(arrow => arrow.reset());
+        this.hintPlayerIdleTime.clear();
+    }
+
+    /**
+     * Higher levels need longer under the tap
+     */
+    setDifficulty(level) {
+        const modifier = 1 + (level - 1) * 0.1;
+        this.zones.forEach(zone => { zone.washSeconds = WASH_SECONDS * modifier; });
+    }
+
+    /**
+     * Apply DDA (Dynamic Difficulty Adjustment)
+     */
+    applyDDA(playerId, { seedSpeed, hitBoxMultiplier }) {
+        // In co-op/solo, only apply DDA from player 1 (avoid double-applying)
+        if (this.gameMode !== 'competitive' && playerId !== 1) return;
+
+        const zone = this.zones.get(this.gameMode === 'competitive' ? playerId : 'shared');
+        if (!zone) return;
+
+        zone.washSeconds = WASH_SECONDS * seedSpeed;
+        zone.hitBoxMultiplier = hitBoxMultiplier;
+        if (zone.produce) zone.produce.hitRadius = 50 * hitBoxMultiplier;
+        zone.sink.hitRadius = 90 * hitBoxMultiplier;
+        zone.bowl.hitRadius = 90 * hitBoxMultiplier;
+    }
+
+    /**
+     * Set player idle time (called from game loop with DDA data)
+     */
+    setPlayerIdleTime(playerId, idleTime) {
+        this.hintPlayerIdleTime.set(playerId, idleTime);
+    }
+
+    // ── Hints ─────────────────────────────────────────────────────
+
+    /**
+     * Determine what hint to show for a given zone ('shared', or a player in competitive)
+     * Returns { fromX, fromY, toX, toY, hintType } or null
+     */
+    determineHint(zoneKey) {
+        const zone = this.zones.get(zoneKey);
+        if (!zone || !zone.produce) return null;
+
+        const { produce, sink, bowl } = zone;
+        if (!produce.isWashed) {
+            return {
+                fromX: produce.x, fromY: produce.y,
+                toX: sink.x, toY: sink.y,
+                hintType: 'wash'
+            };
+        }
+
+        return {
+            fromX: produce.x, fromY: produce.y,
+            toX: bowl.x, toY: bowl.y,
+            hintType: 'to_bowl'
+        };
+    }
+
+    /**
+     * Update hint arrows based on player idle times
+     */
+    updateHints(deltaTime) {
+        for (const zone of this.getZoneKeys()) {
+            const arrow = this.hintArrows.get(zone);
+            if (!arrow) continue;
+
+            // Competitive: the zone's player; co-op/solo: only if ALL tracked players are idle
+            let idleTime;
+            if (this.gameMode === 'competitive') {
+                idleTime = this.hintPlayerIdleTime.get(zone) || 0;
+            } else {
+                const times = [...this.hintPlayerIdleTime.values()];
+                idleTime = times.length > 0 ? Math.min(...times) : 0;
+            }
+
+            const hint = idleTime >= this.hintIdleThreshold ? this.determineHint(zone) : null;
+            if (hint) {
+                arrow.show(hint.fromX, hint.fromY, hint.toX, hint.toY, hint.hintType);
+            } else {
+                arrow.hide();
+            }
+
+            arrow.update(deltaTime);
+        }
+    }
+
+    // ── Update & interaction ──────────────────────────────────────
+
+    /**
+     * Spawn confetti particles
+     */
+    spawnConfetti(x, y, count = 30) {
+        for (let i = 0; i < count; i++) {
+            this.confettiParticles.push(new ConfettiParticle(x, y));
+        }
+    }
+
+    /**
+     * Update all kitchen elements
+     */
+    update(deltaTime) {
+        this.lastDeltaTime = deltaTime;
+
+        this.zones.forEach(zone => {
+            zone.sink.update(deltaTime);
+            if (zone.produce) zone.produce.update(deltaTime);
+        });
+
+        this.confettiParticles.forEach(particle => particle.update(deltaTime));
+        this.confettiParticles = this.confettiParticles.filter(p => !p.isDead());
+
+        this.updateHints(deltaTime);
+    }
+
+    /**
+     * Handle hand interactions; returns the vegetables finished this frame
+     * as [{ plantKey, playerId, isTargetPlant, growTime }]
+     */
+    checkCollisions(handPositions) {
+        const finished = [];
+
+        if (!handPositions || handPositions.length === 0) {
+            this.releaseItem();
+            return finished;
+        }
+
+        // Group collision points by physical hand (up to two hands per player)
+        const handGroups = new Map();
+        handPositions.forEach(pos => {
+            const handKey = this.getHandKey(pos);
+            if (!handGroups.has(handKey)) {
+                handGroups.set(handKey, []);
+            }
+            handGroups.get(handKey).push(pos);
+        });
+
+        // Release a zone's vegetable if the hand holding it disappeared
+        this.zones.forEach(zone => {
+            if (zone.heldHand != null && !handGroups.has(zone.heldHand)) {
+                this.releaseItem(zone.key);
+            }
+        });
+
+        handGroups.forEach((points, handKey) => {
+            points.forEach(hand => {
+                const zoneKey = this.gameMode === 'competitive' ? this.getZoneOwner(hand.x) : 'shared';
+                const zone = this.zones.get(zoneKey);
+
+                // Another hand is holding this zone's vegetable
+                if (!zone || (zone.heldHand != null && zone.heldHand !== handKey)) return;
+
+                const result = this.processHandInteraction(hand, zone, handKey);
+                if (result) finished.push(result);
+            });
+        });
+
+        return finished;
+    }
+
+    /**
+     * Key identifying the physical hand a collision point belongs to
+     */
+    getHandKey(handPos) {
+        if (handPos.handId != null) return handPos.handId;
+        return `${handPos.playerId || 1}-${handPos.isLeft ? 'left' : 'right'}`;
+    }
+
+    /**
+     * Process a single hand interaction within its zone
+     */
+    processHandInteraction(handPos, zone, handKey) {
+        const { produce, sink, bowl } = zone;
+        if (!produce) return null;
+
+        // Pick up (any collision point can trigger pickup)
+        if (!produce.isBeingHeld) {
+            if (produce.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
+                produce.pickup();
+                zone.heldHand = handKey;
+            }
+            return null;
+        }
+
+        // Held items track the index fingertip only (landmark 8)
+        if (handPos.landmarkIndex !== 8) return null;
+        produce.moveTo(handPos.x, handPos.y);
+
+        // Under the tap: wash progress fills while it stays there
+        if (!produce.isWashed && sink.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
+            sink.isRunning = true;
+            produce.washProgress = Math.min(1, produce.washProgress + this.lastDeltaTime / zone.washSeconds);
+
+            if (produce.washProgress >= 1) {
+                produce.isWashed = true;
+                sink.isRunning = false;
+                this.audio?.play('water');
+                this.logger?.log('toolUse', {
+                    tool: 'sink',
+                    playerId: handPos.playerId || 1,
+                    hand: handPos.isLeft ? 'left' : 'right',
+                    zone: zone.key,
+                    mode: this.gameMode
+                });
+            }
+            return null;
+        }
+
+        // Taken out from under the tap too soon: start again
+        if (!produce.isWashed) {
+            sink.isRunning = false;
+            produce.washProgress = 0;
+        }
+
+        // Clean and over the bowl: done
+        if (produce.isWashed && bowl.isPointOver(handPos.x, handPos.y, handPos.depthScale)) {
+            return this.finishProduce(zone, handPos);
+        }
+
+        // Return-to-home drop: carried away and brought back to the crate
+        const distToHome = Math.hypot(handPos.x - produce.homeX, handPos.y - produce.homeY);
+        if (distToHome >= RETURN_HOME_RADIUS) {
+            produce.hasLeftHome = true;
+        } else if (produce.hasLeftHome) {
+            this.releaseItem(zone.key);
+            this.audio?.play('plant');
+        }
+
+        return null;
+    }
+
+    /**
+     * A clean vegetable went in the bowl: report it and restock the crate
+     */
+    finishProduce(zone, handPos) {
+        const produce = zone.produce;
+
+        zone.bowl.add(produce.plantType);
+        zone.produce = null;
+        zone.heldHand = null;
+
+        this.audio?.play('harvest');
+        this.spawnConfetti(zone.bowl.x, zone.bowl.y);
+
+        // Next vegetable after a delay (guarded by generation counter)
+        const gen = this.roundGeneration;
+        setTimeout(() => { if (this.roundGeneration === gen) this.spawnProduce(zone.key); }, NEXT_PRODUCE_DELAY);
+
+        return {
+            plantKey: produce.plantType,
+            playerId: this.gameMode === 'competitive' ? zone.key : (handPos.playerId || 1),
+            isTargetPlant: this.isTargetPlant(produce.plantType),
+            growTime: (Date.now() - produce.spawnedAt) / 1000
+        };
+    }
+
+    /**
+     * Whether a vegetable counts toward the current challenge
+     */
+    isTargetPlant(plantKey) {
+        const challenges = this.challenges;
+        return Boolean(challenges && challenges.currentChallenge && challenges.getTargetPlants().includes(plantKey));
+    }
+
+    /**
+     * Put a held vegetable back in its crate (one zone, or every zone)
+     */
+    releaseItem(zoneKey = null) {
+        const zones = zoneKey == null ? [...this.zones.values()] : [this.zones.get(zoneKey)];
+
+        for (const zone of zones) {
+            if (!zone) continue;
+            if (zone.produce && zone.produce.isBeingHeld) {
+                zone.produce.returnHome();
+            }
+            zone.sink.isRunning = false;
+            zone.heldHand = null;
+        }
+    }
+
+    // ── Drawing ───────────────────────────────────────────────────
+
+    /**
+     * Draw the entire kitchen scene
+     */
+    draw(ctx) {
+        if (this.gameMode === 'competitive' && this.dividerX) {
+            this.drawDivider(ctx);
+        }
+
+        this.zones.forEach(zone => {
+            this.drawCrate(ctx, zone);
+            zone.sink.draw(ctx);
+            zone.bowl.draw(ctx);
+        });
+
+        // Vegetables on top so a held one passes over the sink and bowl
+        this.zones.forEach(zone => {
+            if (zone.produce) zone.produce.draw(ctx);
+        });
+
+        this.confettiParticles.forEach(particle => particle.draw(ctx));
+        this.hintArrows.forEach(arrow => arrow.draw(ctx));
+
+        this.drawInstructions(ctx);
+    }
+
+    /**
+     * Draw a zone's vegetable crate
+     */
+    drawCrate(ctx, zone) {
+        ctx.save();
+
+        ctx.fillStyle = '#A0522D';
+        ctx.strokeStyle = '#5D2E0C';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.roundRect(zone.crateX - 60, zone.crateY + 10, 120, 40, 6);
+        ctx.fill();
+        ctx.stroke();
+
+        // Slats
+        ctx.beginPath();
+        ctx.moveTo(zone.crateX - 60, zone.crateY + 30);
+        ctx.lineTo(zone.crateX + 60, zone.crateY + 30);
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw competitive mode divider
+     */
+    drawDivider(ctx) {
+        ctx.save();
+
+        ctx.setLineDash([15, 10]);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(this.dividerX, 0);
+        ctx.lineTo(this.dividerX, this.canvas.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Player labels (Player 1 right in warm orange, Player 2 left in cool blue)
+        ctx.font = 'bold 24px Arial';
+        ctx.textAlign = 'center';
+        ctx.strokeStyle = '#000';
+        ctx.fillStyle = '#FF8C42';
+        drawUnmirroredText(ctx, 'Player 1', this.dividerX + (this.canvas.width - this.dividerX) / 2, 40, true);
+        ctx.fillStyle = '#4A90D9';
+        drawUnmirroredText(ctx, 'Player 2', this.dividerX / 2, 40, true);
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw helpful instructions
+     */
+    drawInstructions(ctx) {
+        ctx.save();
+        ctx.font = '18px Arial';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.textAlign = 'center';
+
+        const anyWashed = [...this.zones.values()].some(zone => zone.produce && zone.produce.isWashed);
+        const text = anyWashed
+            ? 'Lovely and clean! Put it in the bowl!'
+            : 'Pick up the vegetable and wash it under the tap!';
+        drawUnmirroredText(ctx, text, this.canvas.width / 2, this.canvas.height - 60);
+
+        ctx.restore();
+    }
+}
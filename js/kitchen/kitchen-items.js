@@ -0,0 +1,257 @@
+/**
+ * Kitchen Theme - Items
+ * Produce, Sink and Bowl classes
+ */
+
+import { PLANT_TYPES, drawUnmirroredText } from '../garden/constants.js';
+
+/**
+ * A vegetable from the crate: wash it at the sink, then put it in the bowl
+ */
+export class Produce {
+    constructor(x, y, plantType) {
+        this.x = x;
+        this.y = y;
+        this.homeX = x;
+        this.homeY = y;
+        this.plantType = plantType;
+        this.plantInfo = PLANT_TYPES[plantType] || { name: 'VEGETABLE', icon: '🥔', plantColor: '#C19A6B' };
+
+        this.size = 32;
+        this.hitRadius = 50;
+        this.isBeingHeld = false;
+        this.hasLeftHome = false;
+
+        // Washing: progress fills while held under the tap
+        this.isWashed = false;
+        this.washProgress = 0;
+
+        // When it came out of the crate (for "how long did it take")
+        this.spawnedAt = Date.now();
+
+        this.sparklePhase = 0;
+    }
+
+    /**
+     * Check if point is over the produce
+     * @param {number} [depthScale=1] - Target enlargement for a hand far from the camera
+     */
+    isPointOver(x, y, depthScale = 1) {
+        return Math.hypot(x - this.x, y - this.y) < this.hitRadius * depthScale;
+    }
+
+    pickup() {
+        this.isBeingHeld = true;
+    }
+
+    moveTo(x, y) {
+        if (this.isBeingHeld) {
+            this.x = x;
+            this.y = y;
+        }
+    }
+
+    drop() {
+        this.isBeingHeld = false;
+    }
+
+    /**
+     * Back in the crate (washing so far is lost, a clean one stays clean)
+     */
+    returnHome() {
+        this.x = this.homeX;
+        this.y = this.homeY;
+        this.isBeingHeld = false;
+        this.hasLeftHome = false;
+        if (!this.isWashed) this.washProgress = 0;
+    }
+
+    update(deltaTime) {
+        this.sparklePhase += deltaTime * 4;
+    }
+
+    draw(ctx) {
+        ctx.save();
+
+        // Glow if being held
+        if (this.isBeingHeld) {
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.size + 12, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 255, 200, 0.4)';
+            ctx.fill();
+        }
+
+        // Wash progress ring
+        if (!this.isWashed && this.washProgress > 0) {
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.size + 8, -Math.PI / 2, -Math.PI / 2 + this.washProgress * Math.PI * 2);
+            ctx.strokeStyle = '#87CEEB';
+            ctx.lineWidth = 6;
+            ctx.lineCap = 'round';
+            ctx.stroke();
+        }
+
+        ctx.font = `${this.size * 1.6}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        drawUnmirroredText(ctx, this.plantInfo.icon, this.x, this.y);
+
+        // Sparkles once clean
+        if (this.isWashed) {
+            ctx.font = '16px Arial';
+            for (let i = 0; i < 3; i++) {
+                const angle = this.sparklePhase + (i * Math.PI * 2) / 3;
+                ctx.globalAlpha = 0.6 + 0.4 * Math.sin(this.sparklePhase * 2 + i);
+                drawUnmirroredText(ctx, '✨',
+                    this.x + Math.cos(angle) * (this.size + 10),
+                    this.y + Math.sin(angle) * (this.size + 10));
+            }
+        }
+
+        ctx.restore();
+    }
+}
+
+/**
+ * Sink with a running tap — hold produce under it to wash it
+ */
+export class Sink {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.width = 170;
+        this.height = 80;
+        this.hitRadius = 90;
+
+        // Water runs while something is being washed
+        this.isRunning = false;
+        this.flowPhase = 0;
+    }
+
+    /**
+     * Check if point is over the basin
+     * @param {number} [depthScale=1] - Target enlargement for a hand far from the camera
+     */
+    isPointOver(x, y, depthScale = 1) {
+        return Math.hypot(x - this.x, y - this.y) < this.hitRadius * depthScale;
+    }
+
+    update(deltaTime) {
+        this.flowPhase += deltaTime * 8;
+    }
+
+    draw(ctx) {
+        const left = this.x - this.width / 2;
+        const top = this.y - this.height / 2;
+
+        ctx.save();
+
+        // Tap
+        ctx.fillStyle = '#B0BEC5';
+        ctx.fillRect(this.x - 6, top - 50, 12, 40);
+        ctx.fillRect(this.x - 6, top - 50, 40, 12);
+
+        // Running water
+        if (this.isRunning) {
+            ctx.strokeStyle = 'rgba(135, 206, 235, 0.8)';
+            ctx.lineWidth = 8;
+            ctx.setLineDash([10, 6]);
+            ctx.lineDashOffset = -this.flowPhase * 4;
+            ctx.beginPath();
+            ctx.moveTo(this.x + 28, top - 38);
+            ctx.lineTo(this.x + 28, this.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Basin
+        ctx.beginPath();
+        ctx.roundRect(left, top, this.width, this.height, 16);
+        ctx.fillStyle = '#CFD8DC';
+        ctx.fill();
+        ctx.strokeStyle = '#78909C';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.roundRect(left + 14, top + 12, this.width - 28, this.height - 24, 10);
+        ctx.fillStyle = this.isRunning ? '#B3E5FC' : '#ECEFF1';
+        ctx.fill();
+
+        // Label
+        ctx.font = 'bold 16px Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 3;
+        ctx.textAlign = 'center';
+        drawUnmirroredText(ctx, 'SINK', this.x, this.y + this.height / 2 + 22, true);
+
+        ctx.restore();
+    }
+}
+
+/**
+ * Mixing bowl — clean produce dropped here is done
+ */
+export class Bowl {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.radius = 80;
+        this.hitRadius = 90;
+
+        // Icons of what has gone in (the last few are shown)
+        this.contents = [];
+        this.maxShown = 6;
+    }
+
+    /**
+     * Check if point is over the bowl
+     * @param {number} [depthScale=1] - Target enlargement for a hand far from the camera
+     */
+    isPointOver(x, y, depthScale = 1) {
+        return Math.hypot(x - this.x, y - this.y) < this.hitRadius * depthScale;
+    }
+
+    add(plantType) {
+        const info = PLANT_TYPES[plantType];
+        this.contents.push(info ? info.icon : '🥔');
+        if (this.contents.length > this.maxShown) this.contents.shift();
+    }
+
+    clear() {
+        this.contents = [];
+    }
+
+    draw(ctx) {
+        ctx.save();
+
+        // Produce peeking over the rim
+        ctx.font = '30px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.contents.forEach((icon, i) => {
+            const offset = (i - (this.contents.length - 1) / 2) * 24;
+            drawUnmirroredText(ctx, icon, this.x + offset, this.y - 8 - (i % 2) * 8);
+        });
+
+        // Bowl
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y, this.radius, this.radius * 0.7, 0, 0, Math.PI);
+        ctx.closePath();
+        ctx.fillStyle = '#E07A5F';
+        ctx.fill();
+        ctx.strokeStyle = '#9C4A35';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+
+        // Rim
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y, this.radius, 12, 0, 0, Math.PI * 2);
+        ctx.strokeStyle = '#F2A48E';
+        ctx.lineWidth = 5;
+        ctx.stroke();
+
+        ctx.restore();
+    }
+}
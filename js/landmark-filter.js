@@ -0,0 +1,141 @@
+/**
+ * Landmark Filter for Garden Grow Game
+ * Smooths MediaPipe landmarks before the game uses them, so tremor doesn't
+ * shake the glove or held tools, and bridges short tracking dropouts so a
+ * hand that flickers out for a frame or two keeps hold of what it carries.
+ *
+ * Each landmark coordinate has its own One-Euro filter (Casiez et al. 2012):
+ * heavy smoothing when the hand is still, little lag when it moves quickly.
+ * Filter state is kept per hand, keyed by the hand's stable handId.
+ */
+
+// Strength presets (settings: Steady Shaky Hands). Coordinates are normalized 0–1,
+// so beta is much larger than the usual pixel-space values. "Off" skips the
+// smoothing only: short dropouts are still bridged, so a held can isn't dropped.
+const LANDMARK_SMOOTHING_PRESETS = {
+    off: { dropoutSeconds: 0.2 },
+    light: { minCutoff: 1.5, beta: 10, derivativeCutoff: 1, dropoutSeconds: 0.2 },
+    strong: { minCutoff: 0.5, beta: 4, derivativeCutoff: 1, dropoutSeconds: 0.35 }
+};
+
+const DEFAULT_LANDMARK_SMOOTHING = 'light';
+
+/**
+ * One-Euro filter for a single value
+ */
+class OneEuroFilter {
+    constructor(minCutoff, beta, derivativeCutoff) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+        this.value = null;
+        this.derivative = 0;
+    }
+
+    /** Smoothing factor for a cut-off frequency (Hz) over dt seconds */
+    alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /** Filter one sample */
+    filter(value, dt) {
+        if (this.value === null || dt <= 0) {
+            this.value = value;
+            return value;
+        }
+
+        // Speed (smoothed) sets how much to smooth the value
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += this.alpha(this.derivativeCutoff, dt) * (rawDerivative - this.derivative);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += this.alpha(cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+}
+
+export class LandmarkFilter {
+    constructor() {
+        this.settings = LANDMARK_SMOOTHING_PRESETS[DEFAULT_LANDMARK_SMOOTHING];
+        this.hands = new Map(); // handId → { filters, hand, lastSeen }
+    }
+
+    /**
+     * Change strength ('off', 'light', 'strong')
+     */
+    setStrength(strength) {
+        this.settings = strength in LANDMARK_SMOOTHING_PRESETS
+            ? LANDMARK_SMOOTHING_PRESETS[strength]
+            : LANDMARK_SMOOTHING_PRESETS[DEFAULT_LANDMARK_SMOOTHING];
+        this.reset();
+    }
+
+    /**
+     * Forget all hands
+     */
+    reset() {
+        this.hands.clear();
+    }
+
+    /**
+     * Filter one frame of hands
+     * @param {Array} hands - [{ handId, landmarks, ... }] from HandAssigner
+     * @param {number} time - Frame time in seconds
+     * @returns {Array} Hands with smoothed `landmarks` and the originals in `rawLandmarks`.
+     *   Hands missing for less than the dropout time are repeated with rawLandmarks null.
+     */
+    process(hands, time) {
+        const output = [];
+        const seen = new Set();
+
+        hands.forEach(hand => {
+            seen.add(hand.handId);
+
+            // New hand, or back after a long gap — start its filters fresh
+            let state = this.hands.get(hand.handId);
+            if (!state || time - state.lastSeen > this.settings.dropoutSeconds) {
+                state = { filters: null, hand: null, lastSeen: time };
+                this.hands.set(hand.handId, state);
+            }
+
+            const dt = time - state.lastSeen;
+            const landmarks = this.settings.minCutoff ? this.filterLandmarks(state, hand.landmarks, dt) : hand.landmarks;
+            state.lastSeen = time;
+            state.hand = { ...hand, landmarks, rawLandmarks: hand.landmarks };
+            output.push(state.hand);
+        });
+
+        // Bridge short dropouts with the last smoothed position
+        this.hands.forEach((state, handId) => {
+            if (seen.has(handId)) return;
+            if (time - state.lastSeen > this.settings.dropoutSeconds) {
+                this.hands.delete(handId);
+            } else {
+                output.push({ ...state.hand, rawLandmarks: null });
+            }
+        });
+
+        return output;
+    }
+
+    /**
+     * Run every coordinate of every landmark through its filter
+     */
+    filterLandmarks(state, landmarks, dt) {
+        const { minCutoff, beta, derivativeCutoff } = this.settings;
+        if (!state.filters) {
+            state.filters = landmarks.map(() => ({
+                x: new OneEuroFilter(minCutoff, beta, derivativeCutoff),
+                y: new OneEuroFilter(minCutoff, beta, derivativeCutoff),
+                z: new OneEuroFilter(minCutoff, beta, derivativeCutoff)
+            }));
+        }
+
+        return landmarks.map((lm, i) => ({
+            x: state.filters[i].x.filter(lm.x, dt),
+            y: state.filters[i].y.filter(lm.y, dt),
+            z: state.filters[i].z.filter(lm.z || 0, dt)
+        }));
+    }
+}
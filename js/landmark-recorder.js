@@ -0,0 +1,221 @@
+/**
+ * Landmark Recorder and Replay for Garden Grow Game
+ * Records the raw hand landmarks MediaPipe reports (before player assignment
+ * and smoothing) to a JSON file, and plays such a file back through
+ * HandTracker.onResults() with its original timing in place of the webcam.
+ * Used to reproduce problems reported from facilities ("the seed wouldn't
+ * drop") and to run regression tests of the garden without a camera.
+ *
+ * Record from Settings → Care Team → Record Hands. Replay by opening the game
+ * with ?replay=<url of recording.json>. LandmarkReplay.runAll() feeds every
+ * frame at once (no timers, no DOM) for headless tests.
+ *
+ * Recording file: { version, recordedAt, playerCount, canvas: { width, height },
+ *                   frames: [{ t, multiHandLandmarks, multiHandedness }] }
+ * where t is seconds since recording started.
+ */
+
+import { sessionLogger } from './session-log.js';
+
+const LANDMARK_RECORDING_VERSION = 1;
+
+// Longest recording (seconds) — keeps files to a few MB
+const LANDMARK_RECORDING_MAX_SECONDS = 300;
+
+// Decimal places kept for landmark coordinates
+const LANDMARK_RECORDING_PRECISION = 5;
+
+export class LandmarkRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.recording = null;
+        this.startTime = 0;
+
+        // Callbacks
+        this.onStop = null;
+    }
+
+    /**
+     * Start a new recording
+     * @param {number} playerCount - Players at the start (replay should pick the same)
+     * @param {HTMLCanvasElement} canvas - Game canvas (its size decides where hands land)
+     */
+    start(playerCount, canvas) {
+        this.recording = {
+            version: LANDMARK_RECORDING_VERSION,
+            recordedAt: new Date().toISOString(),
+            playerCount,
+            canvas: canvas ? { width: canvas.width, height: canvas.height } : null,
+            frames: []
+        };
+        this.startTime = null;
+        this.isRecording = true;
+        console.log('Recording hand landmarks');
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} The finished recording
+     */
+    stop() {
+        if (!this.isRecording) return this.recording;
+        this.isRecording = false;
+        console.log(`Recorded ${this.recording.frames.length} frames of hand landmarks`);
+
+        if (this.onStop) {
+            this.onStop(this.recording);
+        }
+        return this.recording;
+    }
+
+    /**
+     * Add one frame of MediaPipe results (called from HandTracker.onResults)
+     * @param {Object} results - { multiHandLandmarks, multiHandedness }
+     * @param {number} time - Frame time in seconds
+     */
+    record(results, time) {
+        if (!this.isRecording) return;
+        if (this.startTime === null) this.startTime = time;
+
+        const t = time - this.startTime;
+        if (t > LANDMARK_RECORDING_MAX_SECONDS) {
+            this.stop();
+            return;
+        }
+
+        const round = (value) => Number((value || 0).toFixed(LANDMARK_RECORDING_PRECISION));
+        this.recording.frames.push({
+            t: round(t),
+            multiHandLandmarks: (results.multiHandLandmarks || []).map(landmarks =>
+                landmarks.map(lm => ({ x: round(lm.x), y: round(lm.y), z: round(lm.z) }))),
+            multiHandedness: (results.multiHandedness || []).map(h => ({ label: h.label, score: round(h.score) }))
+        });
+    }
+
+    /**
+     * Save the recording as a JSON file (same download path as session exports)
+     */
+    download() {
+        if (!this.recording) return;
+
+        const stamp = this.recording.recordedAt.slice(0, 19).replace(/[:T]/g, '-');
+        sessionLogger.download(`garden-grow-hands-${stamp}.json`, JSON.stringify(this.recording), 'application/json');
+    }
+}
+
+export class LandmarkReplay {
+    constructor() {
+        this.recording = null;
+        this.isPlaying = false;
+        this.frameIndex = 0;
+        this.startTime = 0;
+        this.timer = null;
+
+        // Callbacks
+        this.onFrame = null;  // (results, time) — time is the recording's t
+        this.onEnd = null;
+    }
+
+    /**
+     * Recording URL from ?replay=, or null
+     */
+    getRequestedUrl() {
+        if (typeof window === 'undefined') return null;
+        return new URLSearchParams(window.location.search).get('replay');
+    }
+
+    /**
+     * Use a recording object
+     * @returns {boolean} Whether it looks like a landmark recording
+     */
+    load(recording) {
+        if (!recording || !Array.isArray(recording.frames)) {
+            console.warn('Not a hand landmark recording');
+            return false;
+        }
+        this.stop();
+        this.recording = recording;
+        return true;
+    }
+
+    /**
+     * Fetch and use a recording file
+     */
+    async loadUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return this.load(await response.json());
+        } catch (error) {
+            console.warn(`Could not load hand recording ${url}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Play the recording from the start with its original timing
+     */
+    start() {
+        if (!this.recording) return false;
+        this.stop();
+        this.isPlaying = true;
+        this.frameIndex = 0;
+        this.startTime = performance.now();
+        this.scheduleNextFrame();
+        return true;
+    }
+
+    stop() {
+        this.isPlaying = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Wait until the next frame is due, then play it
+     */
+    scheduleNextFrame() {
+        const frames = this.recording.frames;
+        if (this.frameIndex >= frames.length) {
+            this.isPlaying = false;
+            this.timer = null;
+            console.log('Hand recording finished');
+            if (this.onEnd) this.onEnd();
+            return;
+        }
+
+        const frame = frames[this.frameIndex];
+        const delay = Math.max(0, frame.t * 1000 - (performance.now() - this.startTime));
+        this.timer = setTimeout(() => {
+            if (!this.isPlaying) return;
+            this.frameIndex++;
+            if (this.onFrame) this.onFrame(this.getResults(frame), frame.t);
+            this.scheduleNextFrame();
+        }, delay);
+    }
+
+    /**
+     * Feed every frame straight away (headless tests)
+     * @param {Function} onFrame - (results, time)
+     */
+    runAll(onFrame) {
+        if (!this.recording) return;
+        this.recording.frames.forEach(frame => onFrame(this.getResults(frame), frame.t));
+    }
+
+    /**
+     * A frame in the shape MediaPipe Hands reports
+     */
+    getResults(frame) {
+        return {
+            multiHandLandmarks: frame.multiHandLandmarks,
+            multiHandedness: frame.multiHandedness
+        };
+    }
+}
+
+// Shared landmark recorder and replay instances
+export const landmarkRecorder = new LandmarkRecorder();
+export const landmarkReplay = new LandmarkReplay();
@@ -5,6 +5,10 @@
  * A therapeutic browser game for dementia patients using webcam hand tracking
  */
 
+import { game } from './game.js';
+import { pwaManager } from './pwa.js';
+import { loadPlantCatalogue } from './garden/plant-catalogue.js';
+
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('Garden Grow Game - Initializing...');
@@ -21,10 +25,16 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize the game (camera check happens when user clicks Start)
     try {
+        // Plants come from data/plants.json (built-in ones if it can't be loaded)
+        await loadPlantCatalogue();
+
         const success = await game.init();
 
         if (success) {
             console.log('Garden ready!');
+
+            // Offline cache + update prompt (doesn't hold up the game)
+            pwaManager.init();
         } else {
             console.error('Game initialization failed');
             showInitializationError();
@@ -42,15 +52,15 @@ function checkBrowserSupport() {
     const requirements = {
         mediaDevices: !!(navigator && navigator.mediaDevices),
         getUserMedia: !!(navigator && navigator.mediaDevices && navigator.mediaDevices.getUserMedia),
-        canvas: 'HTMLCanvasElement' in window
+        canvas: 'HTMLCanvasElement' in window,
+        pointerEvents: 'PointerEvent' in window
     };
 
     console.log('Browser support check:', requirements);
 
-    // If all checks pass, return true
-    const supported = requirements.mediaDevices &&
-                      requirements.getUserMedia &&
-                      requirements.canvas;
+    // The camera is optional (touch/mouse fallback), but we need somewhere to draw and some input
+    const supported = requirements.canvas &&
+                      (requirements.getUserMedia || requirements.pointerEvents);
 
     if (!supported) {
         console.error('Browser support failed:', requirements);
@@ -71,7 +81,7 @@ function showBrowserSupportError() {
                     Browser Not Supported
                 </h2>
                 <p style="font-size: 24px; margin-bottom: 20px; color: #ffffff;">
-                    This game requires a modern browser with camera support.
+                    This game requires a modern browser with camera or touch support.
                 </p>
                 <p style="font-size: 20px; color: #a0a0a0;">
                     Please try using:
@@ -99,10 +109,10 @@ function showInitializationError() {
                     Unable to Start Garden
                 </h2>
                 <p style="font-size: 24px; margin-bottom: 20px; color: #ffffff;">
-                    There was a problem loading the hand tracking system.
+                    There was a problem getting the garden ready.
                 </p>
                 <p style="font-size: 20px; color: #a0a0a0; margin-bottom: 30px;">
-                    Please check your internet connection and try again.
+                    Please try again. If this keeps happening, ask staff to restart this device.
                 </p>
                 <button onclick="location.reload()" style="
                     padding: 16px 40px;
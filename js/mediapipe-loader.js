@@ -0,0 +1,182 @@
+/**
+ * MediaPipe Loader for Garden Grow Game
+ * Loads the MediaPipe scripts, wasm and model files from the first source
+ * that has them, so the game runs on networks with no internet access.
+ *
+ * Fallback order:
+ *   1. ?mediapipe=<url> in the page URL (for trying a source ad hoc)
+ *   2. <meta name="mediapipe-base-url" content="..."> in index.html (per deployment)
+ *   3. vendor/mediapipe/ next to index.html (see scripts/fetch-mediapipe.sh)
+ *   4. The jsDelivr CDN
+ *
+ * Every base URL must contain hands/ and camera_utils/ folders laid out like
+ * the npm packages (which is also how the CDN serves them).
+ *
+ * Worker inference uses @mediapipe/tasks-vision instead (the legacy Hands
+ * build needs a DOM). Local sources provide it as tasks-vision/ plus the
+ * model at hand_landmarker/hand_landmarker.task; the CDN serves a pinned
+ * version, with the model from Google's model storage.
+ */
+
+const MEDIAPIPE_LOCAL_BASE_URL = 'vendor/mediapipe/';
+const MEDIAPIPE_CDN_BASE_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/';
+
+// Scripts every source must provide, and the global each one defines
+const MEDIAPIPE_SCRIPTS = [
+    { path: 'camera_utils/camera_utils.js', global: 'Camera' },
+    { path: 'hands/hands.js', global: 'Hands' }
+];
+
+// Model file checked before committing to a source (scripts alone aren't enough)
+const MEDIAPIPE_PROBE_FILE = 'hands/hands.binarypb';
+
+// Worker inference (@mediapipe/tasks-vision)
+const MEDIAPIPE_TASKS_VERSION = '0.10.14';
+const MEDIAPIPE_TASKS_BUNDLE = 'vision_bundle.cjs';
+const MEDIAPIPE_HAND_MODEL_PATH = 'hand_landmarker/hand_landmarker.task';
+const MEDIAPIPE_HAND_MODEL_CDN_URL =
+    'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+export class MediaPipeLoader {
+    constructor() {
+        // Base URL the assets were loaded from (null until load() succeeds)
+        this.baseUrl = null;
+        this.loadPromise = null;
+        this.tasksPromise = null;
+    }
+
+    /**
+     * Candidate base URLs, in fallback order (duplicates and blanks removed)
+     */
+    getSources() {
+        const params = new URLSearchParams(window.location.search);
+        const meta = document.querySelector('meta[name="mediapipe-base-url"]');
+
+        const sources = [
+            params.get('mediapipe'),
+            meta ? meta.getAttribute('content') : null,
+            MEDIAPIPE_LOCAL_BASE_URL,
+            MEDIAPIPE_CDN_BASE_URL
+        ]
+            .filter(url => url && url.trim())
+            .map(url => url.trim().endsWith('/') ? url.trim() : url.trim() + '/');
+
+        return Array.from(new Set(sources));
+    }
+
+    /**
+     * Load MediaPipe from the first working source (only once)
+     * @returns {Promise<boolean>} Whether MediaPipe is ready
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadFromSources();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Try each source in turn
+     */
+    async loadFromSources() {
+        for (const baseUrl of this.getSources()) {
+            try {
+                await this.probe(baseUrl + MEDIAPIPE_PROBE_FILE);
+                for (const script of MEDIAPIPE_SCRIPTS) {
+                    if (typeof window[script.global] === 'undefined') {
+                        await this.loadScript(baseUrl + script.path);
+                    }
+                }
+
+                this.baseUrl = baseUrl;
+                console.log('MediaPipe loaded from', baseUrl);
+                return true;
+            } catch (error) {
+                console.warn(`MediaPipe not available from ${baseUrl}:`, error.message);
+            }
+        }
+
+        console.error('MediaPipe could not be loaded from any source');
+        return false;
+    }
+
+    /**
+     * Check a source has a file before loading anything from it
+     */
+    async probe(url) {
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`${url} returned ${response.status}`);
+        }
+    }
+
+    /**
+     * Find the first source with the worker build and model (only once)
+     * @returns {Promise<Object|null>} Absolute { bundleUrl, wasmUrl, modelUrl } for the worker
+     */
+    findTasksSource() {
+        if (!this.tasksPromise) {
+            this.tasksPromise = this.findTasksSourceFromSources();
+        }
+        return this.tasksPromise;
+    }
+
+    /**
+     * Try each source in turn for the worker build
+     */
+    async findTasksSourceFromSources() {
+        // Workers resolve URLs against their own script, so hand them absolute ones
+        const absolute = (url) => new URL(url, document.baseURI).href;
+
+        for (const baseUrl of this.getSources()) {
+            const isCdn = baseUrl === MEDIAPIPE_CDN_BASE_URL;
+            const tasksUrl = isCdn ? `${baseUrl}tasks-vision@${MEDIAPIPE_TASKS_VERSION}/` : `${baseUrl}tasks-vision/`;
+            const modelUrl = isCdn ? MEDIAPIPE_HAND_MODEL_CDN_URL : baseUrl + MEDIAPIPE_HAND_MODEL_PATH;
+
+            try {
+                await this.probe(modelUrl);
+                await this.probe(tasksUrl + MEDIAPIPE_TASKS_BUNDLE);
+
+                console.log('MediaPipe worker build found at', tasksUrl);
+                return {
+                    bundleUrl: absolute(tasksUrl + MEDIAPIPE_TASKS_BUNDLE),
+                    wasmUrl: absolute(tasksUrl + 'wasm'),
+                    modelUrl: absolute(modelUrl)
+                };
+            } catch (error) {
+                console.warn(`MediaPipe worker build not available from ${baseUrl}:`, error.message);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Append a script tag and wait for it
+     */
+    loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Resolve a MediaPipe runtime file (wasm, model data) against the loaded source
+     * @param {string} packageName - e.g. 'hands'
+     * @param {string} file - File name MediaPipe asks for
+     */
+    locateFile(packageName, file) {
+        return `${this.baseUrl || MEDIAPIPE_CDN_BASE_URL}${packageName}/${file}`;
+    }
+}
+
+// Shared MediaPipe loader instance
+export const mediaPipeLoader = new MediaPipeLoader();
@@ -0,0 +1,192 @@
+/**
+ * Range-of-Motion Metrics for Garden Grow Game
+ * Turns the MediaPipe landmarks the hand tracker already produces into
+ * per-hand movement measures occupational therapists can track over time:
+ * reach, distance travelled, speed, smoothness (jerk) and tremor.
+ *
+ * Units: positions are measured in SCREEN WIDTHS as the player sees the
+ * mirrored screen (1.0 = the full width of the screen; vertical distances
+ * use the same unit so movement in any direction is comparable).
+ */
+
+// Frames further apart than this are treated as a tracking gap (hand left view)
+const MOTION_MAX_GAP_SECONDS = 0.25;
+
+// Low-pass cut-offs (Hz): palm smoothing for jerk, wrist baseline for tremor
+const MOTION_SMOOTHING_HZ = 6;
+const MOTION_TREMOR_BASELINE_HZ = 3;
+
+// MediaPipe landmark indices
+const LANDMARK_WRIST = 0;
+const LANDMARK_PALM = 9;
+
+export class MotionMetrics {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Clear all per-hand tracking state
+     */
+    reset() {
+        this.hands = new Map(); // key: 'p1-left' etc.
+    }
+
+    /**
+     * Create an empty per-hand accumulator
+     */
+    createHandState(playerId, isLeft) {
+        return {
+            playerId: playerId,
+            hand: isLeft ? 'left' : 'right',
+
+            // Totals
+            trackedSeconds: 0,
+            pathLength: 0,
+            minX: Infinity, maxX: -Infinity,
+            minY: Infinity, maxY: -Infinity,
+            jerkSquaredSum: 0, jerkSamples: 0,
+            tremorSquaredSum: 0, tremorSamples: 0,
+
+            // Frame-to-frame state (cleared on tracking gaps)
+            lastTime: null,
+            palm: null,
+            smoothPalm: null,
+            velocity: null,
+            acceleration: null,
+            wristBaseline: null
+        };
+    }
+
+    /**
+     * Add one frame of tracked hands
+     * @param {Array} trackedHands - [{ playerId, isLeft, landmarks, rawLandmarks }] from HandTracker
+     * @param {number} time - Frame time in seconds
+     * @param {number} aspect - Screen height / width (so vertical distances share the width unit)
+     */
+    record(trackedHands, time, aspect) {
+        if (!trackedHands) return;
+
+        for (const tracked of trackedHands) {
+            // Measure the unsmoothed landmarks (smoothing would hide tremor);
+            // hands only held over a tracking dropout have none
+            const landmarks = tracked.rawLandmarks !== undefined ? tracked.rawLandmarks : tracked.landmarks;
+            if (!landmarks) continue;
+
+            const key = `p${tracked.playerId}-${tracked.isLeft ? 'left' : 'right'}`;
+            if (!this.hands.has(key)) {
+                this.hands.set(key, this.createHandState(tracked.playerId, tracked.isLeft));
+            }
+            this.updateHand(this.hands.get(key), landmarks, time, aspect);
+        }
+    }
+
+    /**
+     * Advance one hand's accumulators by a frame
+     */
+    updateHand(state, landmarks, time, aspect) {
+        // Canvas is CSS-mirrored: flip x so "left" matches what the player sees
+        const palm = { x: 1 - landmarks[LANDMARK_PALM].x, y: landmarks[LANDMARK_PALM].y * aspect };
+        const wrist = { x: 1 - landmarks[LANDMARK_WRIST].x, y: landmarks[LANDMARK_WRIST].y * aspect };
+
+        // Reach extents
+        state.minX = Math.min(state.minX, palm.x);
+        state.maxX = Math.max(state.maxX, palm.x);
+        state.minY = Math.min(state.minY, palm.y);
+        state.maxY = Math.max(state.maxY, palm.y);
+
+        const dt = state.lastTime !== null ? time - state.lastTime : 0;
+        state.lastTime = time;
+
+        // First frame, or the hand was lost for a while — restart the frame chain
+        if (dt <= 0 || dt > MOTION_MAX_GAP_SECONDS) {
+            state.palm = palm;
+            state.smoothPalm = palm;
+            state.velocity = null;
+            state.acceleration = null;
+            state.wristBaseline = wrist;
+            return;
+        }
+
+        state.trackedSeconds += dt;
+        state.pathLength += Math.hypot(palm.x - state.palm.x, palm.y - state.palm.y);
+        state.palm = palm;
+
+        // Smoothness: jerk (rate of change of acceleration) of the low-passed palm
+        const smoothAlpha = 1 - Math.exp(-dt * 2 * Math.PI * MOTION_SMOOTHING_HZ);
+        const smoothPalm = {
+            x: state.smoothPalm.x + (palm.x - state.smoothPalm.x) * smoothAlpha,
+            y: state.smoothPalm.y + (palm.y - state.smoothPalm.y) * smoothAlpha
+        };
+        const velocity = {
+            x: (smoothPalm.x - state.smoothPalm.x) / dt,
+            y: (smoothPalm.y - state.smoothPalm.y) / dt
+        };
+        if (state.velocity) {
+            const acceleration = {
+                x: (velocity.x - state.velocity.x) / dt,
+                y: (velocity.y - state.velocity.y) / dt
+            };
+            if (state.acceleration) {
+                const jerkX = (acceleration.x - state.acceleration.x) / dt;
+                const jerkY = (acceleration.y - state.acceleration.y) / dt;
+                state.jerkSquaredSum += jerkX * jerkX + jerkY * jerkY;
+                state.jerkSamples++;
+            }
+            state.acceleration = acceleration;
+        }
+        state.smoothPalm = smoothPalm;
+        state.velocity = velocity;
+
+        // Tremor: high-frequency wrist jitter around a slow-moving baseline
+        const baselineAlpha = 1 - Math.exp(-dt * 2 * Math.PI * MOTION_TREMOR_BASELINE_HZ);
+        state.wristBaseline = {
+            x: state.wristBaseline.x + (wrist.x - state.wristBaseline.x) * baselineAlpha,
+            y: state.wristBaseline.y + (wrist.y - state.wristBaseline.y) * baselineAlpha
+        };
+        const jitterX = wrist.x - state.wristBaseline.x;
+        const jitterY = wrist.y - state.wristBaseline.y;
+        state.tremorSquaredSum += jitterX * jitterX + jitterY * jitterY;
+        state.tremorSamples++;
+    }
+
+    /**
+     * Summary per hand, rounded for display and storage
+     * @returns {Array<Object>} Flat records (one per hand), sorted by player then hand
+     */
+    getSummary() {
+        const round = (value, digits) => {
+            const factor = Math.pow(10, digits);
+            return Math.round(value * factor) / factor;
+        };
+
+        return Array.from(this.hands.values())
+            .filter(state => state.trackedSeconds > 0)
+            .sort((a, b) => a.playerId - b.playerId || a.hand.localeCompare(b.hand))
+            .map(state => ({
+                playerId: state.playerId,
+                hand: state.hand,
+                trackedSeconds: round(state.trackedSeconds, 1),
+                reachHorizontal: round(state.maxX - state.minX, 3),      // screen widths
+                reachVertical: round(state.maxY - state.minY, 3),        // screen widths
+                pathLength: round(state.pathLength, 2),                  // screen widths
+                averageSpeed: round(state.pathLength / state.trackedSeconds, 3), // screen widths / s
+                jerk: state.jerkSamples > 0
+                    ? round(Math.sqrt(state.jerkSquaredSum / state.jerkSamples), 1) // RMS, screen widths / s³
+                    : null,
+                tremor: state.tremorSamples > 0
+                    ? round(Math.sqrt(state.tremorSquaredSum / state.tremorSamples), 4) // RMS, screen widths
+                    : null
+            }));
+    }
+
+    /**
+     * Plain-object snapshot for storage/export
+     */
+    toJSON() {
+        return {
+            units: 'screen widths (mirrored view)',
+            hands: this.getSummary()
+        };
+    }
+}
@@ -0,0 +1,368 @@
+/**
+ * Pointer Input for Garden Grow Game
+ * Fallback input source for devices without a usable camera (e.g. care-home
+ * tablets). Mouse, pen and touch pointers — plus an arrow-key "hand" — are
+ * reported as hands in the same shape HandTracker produces, so the garden,
+ * UI hover and motion metrics work unchanged. Multi-touch gives each finger
+ * its own hand, so two residents can share a tablet.
+ *
+ * Positions are reported in CANVAS space (the canvas is CSS-mirrored), to
+ * match HandTracker output.
+ */
+
+// Keyboard hand speed (screen widths per second)
+const KEYBOARD_HAND_SPEED = 0.6;
+
+// Keys that move the keyboard hand: [dx, dy]
+const KEYBOARD_DIRECTIONS = {
+    ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1],
+    a: [-1, 0], d: [1, 0], w: [0, -1], s: [0, 1]
+};
+
+export class PointerInput {
+    constructor() {
+        this.canvas = null;
+
+        // Tracking state
+        this.isRunning = false;
+        this.animationFrameId = null;
+        this.lastFrameTime = 0;
+
+        // Active pointers by pointerId: { type, screenX, screenY } (screen = what the player sees)
+        this.pointers = new Map();
+
+        // Keyboard hand (screen space, 0–1) and held direction keys
+        this.keyboardHand = null;
+        this.heldKeys = new Set();
+
+        // Same outputs as HandTracker
+        this.handPositions = [];
+        this.trackedHands = [];
+        this.leftHandDetected = false;
+        this.rightHandDetected = false;
+
+        // Callbacks
+        this.onHandsDetected = null;
+
+        // Visual feedback settings
+        this.showHandIndicators = true;
+        this.handIndicatorSize = 40;
+
+        // Player configuration
+        this.playerCount = 1;
+        this.dividerX = 0.5;
+
+        // Bound listeners (so they can be removed)
+        this._onPointerDown = (e) => this.onPointerDown(e);
+        this._onPointerMove = (e) => this.onPointerMove(e);
+        this._onPointerUp = (e) => this.onPointerUp(e);
+        this._onPointerOut = (e) => this.onPointerOut(e);
+        this._onKeyDown = (e) => this.onKeyDown(e);
+        this._onKeyUp = (e) => this.onKeyUp(e);
+    }
+
+    /**
+     * Set player count (1 or 2)
+     */
+    setPlayerCount(count) {
+        this.playerCount = count;
+    }
+
+    /**
+     * Attach to the game canvas
+     */
+    init(canvas) {
+        this.canvas = canvas;
+        return true;
+    }
+
+    /**
+     * Start listening for pointer and keyboard input
+     */
+    start() {
+        if (this.isRunning) return true;
+
+        window.addEventListener('pointerdown', this._onPointerDown);
+        window.addEventListener('pointermove', this._onPointerMove);
+        window.addEventListener('pointerup', this._onPointerUp);
+        window.addEventListener('pointercancel', this._onPointerUp);
+        document.addEventListener('pointerout', this._onPointerOut);
+        window.addEventListener('keydown', this._onKeyDown);
+        window.addEventListener('keyup', this._onKeyUp);
+
+        // Stop the browser panning/zooming while fingers are in the garden
+        document.body.classList.add('pointer-input');
+
+        this.isRunning = true;
+        this.lastFrameTime = performance.now();
+        this.animationFrameId = requestAnimationFrame(() => this.tick());
+
+        console.log('Pointer input started');
+        return true;
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+
+        window.removeEventListener('pointerdown', this._onPointerDown);
+        window.removeEventListener('pointermove', this._onPointerMove);
+        window.removeEventListener('pointerup', this._onPointerUp);
+        window.removeEventListener('pointercancel', this._onPointerUp);
+        document.removeEventListener('pointerout', this._onPointerOut);
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('keyup', this._onKeyUp);
+        document.body.classList.remove('pointer-input');
+
+        // Clear stale data so drawHands() doesn't render old positions
+        this.pointers.clear();
+        this.keyboardHand = null;
+        this.heldKeys.clear();
+        this.handPositions = [];
+        this.trackedHands = [];
+        this.leftHandDetected = false;
+        this.rightHandDetected = false;
+    }
+
+    // ── Event handlers ──────────────────────────────────────────────
+
+    onPointerDown(e) {
+        this.setPointer(e);
+    }
+
+    onPointerMove(e) {
+        // A mouse is a hand whenever it's over the page; touch and pen only while pressed
+        if (e.pointerType === 'mouse' || this.pointers.has(e.pointerId)) {
+            this.setPointer(e);
+        }
+    }
+
+    onPointerUp(e) {
+        if (e.pointerType !== 'mouse') {
+            this.pointers.delete(e.pointerId);
+        }
+    }
+
+    onPointerOut(e) {
+        // Mouse left the window — the "hand" has left the camera view
+        if (e.pointerType === 'mouse' && !e.relatedTarget) {
+            this.pointers.delete(e.pointerId);
+        }
+    }
+
+    onKeyDown(e) {
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        if (!KEYBOARD_DIRECTIONS[key]) return;
+
+        // Don't steal keys from form controls (settings sliders etc.)
+        const tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        e.preventDefault();
+        this.heldKeys.add(key);
+        if (!this.keyboardHand) {
+            this.keyboardHand = { x: 0.5, y: 0.5 };
+        }
+    }
+
+    onKeyUp(e) {
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        this.heldKeys.delete(key);
+    }
+
+    /**
+     * Record a pointer's position in screen space (0–1)
+     */
+    setPointer(e) {
+        this.pointers.set(e.pointerId, {
+            type: e.pointerType,
+            screenX: e.clientX / window.innerWidth,
+            screenY: e.clientY / window.innerHeight
+        });
+    }
+
+    // ── Frame loop ──────────────────────────────────────────────────
+
+    /**
+     * Emit one frame of hands (continuously, so hover dwell keeps counting while still)
+     */
+    tick() {
+        if (!this.isRunning) return;
+
+        const now = performance.now();
+        const dt = Math.min((now - this.lastFrameTime) / 1000, 0.1);
+        this.lastFrameTime = now;
+
+        this.moveKeyboardHand(dt);
+        this.onResults();
+
+        this.animationFrameId = requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * Move the keyboard hand by the held direction keys
+     */
+    moveKeyboardHand(dt) {
+        if (!this.keyboardHand || this.heldKeys.size === 0) return;
+
+        let dx = 0;
+        let dy = 0;
+        this.heldKeys.forEach(key => {
+            dx += KEYBOARD_DIRECTIONS[key][0];
+            dy += KEYBOARD_DIRECTIONS[key][1];
+        });
+
+        // Same speed in both directions on screen
+        const aspect = window.innerWidth / window.innerHeight;
+        this.keyboardHand.x = Math.max(0, Math.min(1, this.keyboardHand.x + dx * KEYBOARD_HAND_SPEED * dt));
+        this.keyboardHand.y = Math.max(0, Math.min(1, this.keyboardHand.y + dy * KEYBOARD_HAND_SPEED * aspect * dt));
+    }
+
+    /**
+     * Turn active pointers into hands and notify the game
+     */
+    onResults() {
+      try {
+        this.handPositions = [];
+        this.trackedHands = [];
+        this.leftHandDetected = false;
+        this.rightHandDetected = false;
+
+        // Each pointer is its own hand (pointerId keeps it the same hand across frames)
+        const screenPoints = Array.from(this.pointers, ([pointerId, point]) => ({ ...point, handId: `pointer-${pointerId}` }));
+        if (this.keyboardHand) {
+            screenPoints.push({ type: 'keyboard', handId: 'keyboard', screenX: this.keyboardHand.x, screenY: this.keyboardHand.y });
+        }
+
+        // Group by player: P1 owns the player's left of the divider (GardenBed.getZoneOwner)
+        const groups = { 1: [], 2: [] };
+        screenPoints.forEach(point => {
+            const canvasX = 1 - point.screenX;
+            const playerId = this.playerCount === 2 && canvasX <= this.dividerX ? 2 : 1;
+            groups[playerId].push(point);
+        });
+
+        [1, 2].forEach(playerId => {
+            // Left to right as the player sees it: a lone pointer is the right hand,
+            // otherwise the left-most half are left hands
+            const points = groups[playerId].sort((a, b) => a.screenX - b.screenX);
+            const leftCount = Math.floor(points.length / 2);
+
+            points.forEach((point, i) => {
+                const isLeft = i < leftCount;
+                if (isLeft) {
+                    this.leftHandDetected = true;
+                } else {
+                    this.rightHandDetected = true;
+                }
+
+                // Normalized camera-space point; a pointer is a single point, so every landmark sits on it
+                const landmark = { x: 1 - point.screenX, y: point.screenY, z: 0 };
+                const landmarks = new Array(21).fill(landmark);
+                this.trackedHands.push({ playerId, handId: point.handId, isLeft, landmarks });
+
+                // Pointers act as the index fingertip, which is what carries held tools
+                this.handPositions.push({
+                    x: landmark.x * this.canvas.width,
+                    y: landmark.y * this.canvas.height,
+                    isLeft,
+                    landmark,
+                    landmarkIndex: 8,
+                    playerId,
+                    handId: point.handId
+                });
+            });
+        });
+
+        // Notify callback
+        if (this.onHandsDetected) {
+            this.onHandsDetected({
+                leftDetected: this.leftHandDetected,
+                rightDetected: this.rightHandDetected,
+                positions: this.handPositions
+            });
+        }
+      } catch (error) {
+        console.error('Pointer input onResults error:', error);
+      }
+    }
+
+    // ── Drawing ─────────────────────────────────────────────────────
+
+    /**
+     * Draw a soft glove-coloured marker under each pointer
+     */
+    drawHands(ctx) {
+        if (!this.showHandIndicators) return;
+
+        const colors = {
+            solo: { main: '#F0FFF0', outline: '#2E8B57' },
+            1: { main: '#FFF5E6', outline: '#FF8C42' },
+            2: { main: '#E6F0FF', outline: '#4A90D9' }
+        };
+        const radius = this.handIndicatorSize / 2;
+
+        this.handPositions.forEach(pos => {
+            const glove = this.playerCount === 2 ? colors[pos.playerId] : colors.solo;
+
+            ctx.save();
+
+            // Colored glow behind
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, radius + 6, 0, Math.PI * 2);
+            ctx.fillStyle = glove.outline;
+            ctx.globalAlpha = 0.35;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+
+            // Main filled circle
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = glove.main;
+            ctx.globalAlpha = 0.8;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = glove.outline;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+
+            // Shine highlight (top-left)
+            ctx.beginPath();
+            ctx.arc(pos.x - radius * 0.25, pos.y - radius * 0.3, radius * 0.3, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fill();
+
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Get collision points for the game
+     */
+    getCollisionPoints() {
+        return this.handPositions;
+    }
+
+    /**
+     * Check if any hand is detected
+     */
+    hasHandsDetected() {
+        return this.leftHandDetected || this.rightHandDetected;
+    }
+
+    /**
+     * Set hand indicator visibility
+     */
+    setIndicatorVisibility(visible) {
+        this.showHandIndicators = visible;
+    }
+}
+
+// Shared pointer input instance
+export const pointerInput = new PointerInput();
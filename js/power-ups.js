@@ -1,17 +1,19 @@
 /**
  * Garden Grow — Power-Up Classes
  * PowerUp base class + InstantGrowth, DoublePoints, RainShower subclasses.
- * All classes are exposed as globals (window.*) — no import/export.
+ * All classes are exported for GardenBed to spawn, along with waterPots(),
+ * which RainShower shares with the weather's rain.
  * Compatible with the canvas-mirrored game (CSS scaleX(-1)).
  * Text is drawn with drawUnmirroredText(); icons/shapes render normally.
  */
 
+import { GrowthStage, drawUnmirroredText } from './garden/constants.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // PowerUp — base class
 // ─────────────────────────────────────────────────────────────────────────────
 
-class PowerUp {
+export class PowerUp {
     /**
      * @param {number} x          - Canvas x position
      * @param {number} y          - Canvas y position
@@ -182,7 +184,7 @@ class PowerUp {
 // InstantGrowth — advance the player's plant directly to harvestable
 // ─────────────────────────────────────────────────────────────────────────────
 
-class InstantGrowth extends PowerUp {
+export class InstantGrowth extends PowerUp {
     constructor(x, y, canvas) {
         super(x, y, canvas);
         this.type           = 'instantGrowth';
@@ -205,13 +207,7 @@ class InstantGrowth extends PowerUp {
 
         if (pot && pot.growthStage !== GrowthStage.EMPTY && pot.growthStage !== GrowthStage.HARVESTABLE) {
             // Advance through every stage until harvestable
-            const stages = [
-                GrowthStage.SEED_PLANTED,
-                GrowthStage.SPROUTING,
-                GrowthStage.GROWING,
-                GrowthStage.MATURE,
-            ];
-            while (stages.includes(pot.growthStage)) {
+            while (pot.growthStage !== GrowthStage.HARVESTABLE) {
                 pot.advanceGrowthStage();
             }
         }
@@ -227,7 +223,7 @@ class InstantGrowth extends PowerUp {
 // DoublePoints — 10 s double-scoring window
 // ─────────────────────────────────────────────────────────────────────────────
 
-class DoublePoints extends PowerUp {
+export class DoublePoints extends PowerUp {
     constructor(x, y, canvas) {
         super(x, y, canvas);
         this.type           = 'doublePoints';
@@ -260,11 +256,33 @@ class DoublePoints extends PowerUp {
 }
 
 
+// ─────────────────────────────────────────────────────────────────────────────
+// waterPots — rain landing on pots (RainShower and the weather's rain)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Water every pot given, showing a +💧 floater on each. The water bar jumps
+ * straight to the new level so the rain is seen to land.
+ * @param {PlantPot[]} pots
+ * @param {number}     amount - Water to add (0–1); 1 fills every pot
+ */
+export function waterPots(pots, amount) {
+    for (const pot of pots) {
+        const needs = pot.needs;
+        needs.water = Math.min(1, needs.water + amount);
+        needs.displayWater = needs.water;
+        needs.feedbackEffects.push({
+            icon: '+💧', x: 0, y: 0, alpha: 1, life: 0, type: 'water'
+        });
+    }
+}
+
+
 // ─────────────────────────────────────────────────────────────────────────────
 // RainShower — instantly fill water need for all zone plants
 // ─────────────────────────────────────────────────────────────────────────────
 
-class RainShower extends PowerUp {
+export class RainShower extends PowerUp {
     constructor(x, y, canvas) {
         super(x, y, canvas);
         this.type           = 'rainShower';
@@ -277,48 +295,17 @@ class RainShower extends PowerUp {
     /**
      * Max out water for all plants in the player's zone.
      * In coop, waters both/all pots. In competitive, only the collecting player's zone.
-     * Uses gardenBed zone helpers and PlantNeeds.addWater() so display lerp applies.
+     * Uses gardenBed zone helpers and waterPots(), like the weather's rain.
      * @param {GardenBed} gardenBed
      * @param {number}    playerId  - 1 or 2 in competitive; ignored in coop
      */
     applyEffect(gardenBed, playerId) {
-        if (gardenBed.gameMode === 'competitive') {
-            // Only the collecting player's zone
-            const needs = gardenBed.getZoneNeeds(playerId);
-            if (needs) {
-                needs.water = 1;
-                needs.displayWater = 1;
-                // Surface a nice feedback floater
-                needs.feedbackEffects.push({
-                    icon: '+💧', x: 0, y: 0, alpha: 1, life: 0, type: 'water'
-                });
-            }
-        } else {
-            // Coop / solo — water every zone
-            for (const zoneKey of gardenBed.getZoneKeys()) {
-                const needs = gardenBed.getZoneNeeds(zoneKey);
-                if (needs) {
-                    needs.water = 1;
-                    needs.displayWater = 1;
-                    needs.feedbackEffects.push({
-                        icon: '+💧', x: 0, y: 0, alpha: 1, life: 0, type: 'water'
-                    });
-                }
-            }
-        }
+        // Only the collecting player's zone in competitive; every pot in coop / solo
+        const zoneKey = gardenBed.gameMode === 'competitive' ? playerId : 'shared';
+        waterPots(gardenBed.getZonePots(zoneKey), 1);
 
         // Instant effect: mark collected and deactivate
         this.collect();
         this.active = false;
     }
 }
-
-
-// ─────────────────────────────────────────────────────────────────────────────
-// Global exports — accessible as window.PowerUp, window.InstantGrowth, etc.
-// ─────────────────────────────────────────────────────────────────────────────
-
-window.PowerUp       = PowerUp;
-window.InstantGrowth = InstantGrowth;
-window.DoublePoints  = DoublePoints;
-window.RainShower    = RainShower;
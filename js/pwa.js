@@ -0,0 +1,84 @@
+/**
+ * Progressive Web App support for Garden Grow Game
+ * Registers the service worker (offline play) and, when a new version has
+ * been downloaded, shows an update prompt that can be pressed by hand hover.
+ */
+
+export class PwaManager {
+    constructor() {
+        this.registration = null;
+
+        // Installed worker waiting to take over (set when an update is ready)
+        this.waitingWorker = null;
+
+        // Reload once the new worker takes control, but only if we asked for it
+        this.isUpdating = false;
+
+        // Callback: (ready) — show or hide the update prompt
+        this.onUpdateAvailable = null;
+    }
+
+    /**
+     * Register the service worker and watch for updates
+     */
+    async init() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            console.log('Service worker not available - offline play disabled');
+            return false;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+            return false;
+        }
+
+        // An update may already be waiting from an earlier visit
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.onUpdateReady(this.registration.waiting);
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // First install has no controller — that's not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.onUpdateReady(worker);
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.isUpdating) {
+                window.location.reload();
+            }
+        });
+
+        console.log('Service worker registered');
+        return true;
+    }
+
+    /**
+     * A new version is installed and waiting
+     */
+    onUpdateReady(worker) {
+        this.waitingWorker = worker;
+        if (this.onUpdateAvailable) this.onUpdateAvailable(true);
+    }
+
+    /**
+     * Switch to the waiting version (the page reloads when it takes over)
+     */
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        this.isUpdating = true;
+        if (this.onUpdateAvailable) this.onUpdateAvailable(false);
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
+
+// Shared PWA manager instance
+export const pwaManager = new PwaManager();
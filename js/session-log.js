@@ -0,0 +1,293 @@
+/**
+ * Session Log for Garden Grow Game
+ * Records timestamped gameplay events (harvests, tool uses, DDA adjustments,
+ * calibration times, state changes, achievements) to IndexedDB so clinical
+ * staff can export a whole session as JSON or CSV for care plans.
+ *
+ * Falls back to an in-memory log when IndexedDB is unavailable (e.g. private browsing).
+ */
+
+const SESSION_DB_NAME = 'gardenGrow';
+const SESSION_DB_VERSION = 1;
+
+export class SessionLogger {
+    constructor() {
+        this.db = null;
+
+        // Current session
+        this.sessionId = null;
+        this.session = null;
+
+        // Every event recorded this session (kept in memory for export fallback)
+        this.events = [];
+
+        // Events waiting to be written to IndexedDB (batched to avoid a write per frame)
+        this.pendingEvents = [];
+        this.flushTimer = null;
+        this.flushDelay = 1000; // ms
+    }
+
+    /**
+     * Open the database and start a new session
+     */
+    async init() {
+        await this.connect();
+        this.startSession();
+
+        // Write anything still pending when the page is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+
+        return true;
+    }
+
+    /**
+     * Open the database without starting a session (used by the dashboard to read history)
+     */
+    async connect() {
+        try {
+            this.db = await this.openDatabase();
+        } catch (error) {
+            console.warn('Session log storage unavailable, keeping events in memory only:', error);
+            this.db = null;
+        }
+        return this.db !== null;
+    }
+
+    /**
+     * Open (or create) the IndexedDB database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('events')) {
+                    const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+                    events.createIndex('sessionId', 'sessionId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Begin a new session (one per page load)
+     */
+    startSession() {
+        const now = Date.now();
+        this.sessionId = `session_${now}`;
+        this.session = {
+            id: this.sessionId,
+            startedAt: now,
+            lastEventAt: now,
+            eventCount: 0
+        };
+        this.events = [];
+        this.pendingEvents = [];
+        this.scheduleFlush();
+    }
+
+    /**
+     * Record a gameplay event
+     * @param {string} type - Event type (e.g. 'harvest', 'toolUse', 'dda', 'calibration', 'state', 'achievement')
+     * @param {Object} data - Flat key/value details (kept flat so the CSV export stays readable)
+     */
+    log(type, data = {}) {
+        if (!this.session) return;
+
+        const now = Date.now();
+        const event = {
+            sessionId: this.sessionId,
+            type: type,
+            timestamp: now,
+            elapsed: Math.round((now - this.session.startedAt) / 100) / 10, // seconds, 0.1s precision
+            ...data
+        };
+
+        this.events.push(event);
+        this.pendingEvents.push(event);
+        this.session.lastEventAt = now;
+        this.session.eventCount++;
+
+        this.scheduleFlush();
+    }
+
+    /**
+     * Attach summary data to the session record (e.g. the motion heatmap)
+     * @param {string} key
+     * @param {*} value - Must be structured-cloneable
+     */
+    setSessionData(key, value) {
+        if (!this.session) return;
+        this.session[key] = value;
+        this.scheduleFlush();
+    }
+
+    /**
+     * Queue a batched write
+     */
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+
+    /**
+     * Write pending events and the session summary to IndexedDB
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.db || !this.session) return Promise.resolve();
+
+        const batch = this.pendingEvents;
+        this.pendingEvents = [];
+
+        return new Promise((resolve) => {
+            try {
+                const tx = this.db.transaction(['sessions', 'events'], 'readwrite');
+                tx.objectStore('sessions').put({ ...this.session });
+                const eventStore = tx.objectStore('events');
+                batch.forEach(event => eventStore.add(event));
+
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => {
+                    console.warn('Could not save session events:', tx.error);
+                    resolve();
+                };
+            } catch (error) {
+                console.warn('Could not save session events:', error);
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * Get all stored sessions, oldest first
+     */
+    async getSessions() {
+        await this.flush();
+        if (!this.db) return this.session ? [{ ...this.session }] : [];
+
+        return new Promise((resolve) => {
+            const request = this.db.transaction('sessions', 'readonly').objectStore('sessions').getAll();
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.startedAt - b.startedAt));
+            request.onerror = () => {
+                console.warn('Could not read sessions:', request.error);
+                resolve([]);
+            };
+        });
+    }
+
+    /**
+     * Get all events for a session (defaults to the current one)
+     */
+    async getSessionEvents(sessionId = this.sessionId) {
+        await this.flush();
+        if (!this.db) return sessionId === this.sessionId ? this.events.slice() : [];
+
+        return new Promise((resolve) => {
+            const index = this.db.transaction('events', 'readonly').objectStore('events').index('sessionId');
+            const request = index.getAll(sessionId);
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+            request.onerror = () => {
+                console.warn('Could not read session events:', request.error);
+                resolve(sessionId === this.sessionId ? this.events.slice() : []);
+            };
+        });
+    }
+
+    /**
+     * Get every stored event across all sessions, oldest first
+     */
+    async getAllEvents() {
+        await this.flush();
+        if (!this.db) return this.events.slice();
+
+        return new Promise((resolve) => {
+            const request = this.db.transaction('events', 'readonly').objectStore('events').getAll();
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+            request.onerror = () => {
+                console.warn('Could not read session events:', request.error);
+                resolve([]);
+            };
+        });
+    }
+
+    /**
+     * Download a session as both JSON and flat CSV files
+     */
+    async exportSession(sessionId = this.sessionId) {
+        const events = await this.getSessionEvents(sessionId);
+        const sessions = await this.getSessions();
+        const session = sessions.find(s => s.id === sessionId) || { id: sessionId };
+
+        const stamp = new Date(session.startedAt || Date.now()).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const baseName = `garden-grow-${stamp}`;
+
+        this.download(`${baseName}.json`, JSON.stringify({ session, events }, null, 2), 'application/json');
+        this.download(`${baseName}.csv`, this.toCSV(events), 'text/csv');
+
+        return events.length;
+    }
+
+    /**
+     * Flatten events into CSV: fixed leading columns, then every other field seen
+     */
+    toCSV(events) {
+        const leading = ['sessionId', 'timestamp', 'time', 'elapsed', 'type'];
+        const extra = new Set();
+        events.forEach(event => {
+            Object.keys(event).forEach(key => {
+                if (key !== 'id' && !leading.includes(key)) extra.add(key);
+            });
+        });
+        const columns = leading.concat(Array.from(extra).sort());
+
+        const escape = (value) => {
+            if (value === undefined || value === null) return '';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = events.map(event => columns.map(column => {
+            if (column === 'time') return escape(new Date(event.timestamp).toISOString());
+            return escape(event[column]);
+        }).join(','));
+
+        return [columns.join(',')].concat(rows).join('\n');
+    }
+
+    /**
+     * Trigger a browser download for a text payload
+     */
+    download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Shared session logger instance
+export const sessionLogger = new SessionLogger();
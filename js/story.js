@@ -51,7 +51,7 @@ const PROGRESS_MESSAGES = [
     "What a wonderful garden you're creating!"
 ];
 
-class StoryManager {
+export class StoryManager {
     constructor() {
         this.currentChapter = 1;
         this.completedChapters = [];
@@ -282,5 +282,5 @@ class StoryManager {
     }
 }
 
-// Global story manager instance
-const storyManager = new StoryManager();
+// Shared story manager instance
+export const storyManager = new StoryManager();
@@ -0,0 +1,71 @@
+/**
+ * Activity Themes for Garden Grow Game
+ * A theme is the activity played during a round: tending the garden, washing
+ * vegetables in the kitchen, ... Game, DDAEngine, ChallengeManager and the
+ * calibration flow work with whichever theme is chosen, through the interface
+ * below, so a new activity needs no changes to them.
+ *
+ * Pick a theme with ?theme=<id> in the page URL (default: garden).
+ *
+ * Theme descriptor (an entry in THEMES):
+ *   id                      - URL name
+ *   name                    - Shown to staff
+ *   create(canvas, services) - New activity for the game canvas. Services are
+ *       { audio, logger, achievements, challenges, pickItemType, getSeason, getChapter },
+ *       as for GardenBed.
+ *
+ * Activity (what create() returns):
+ *   playerCount                                  - Set by configure()
+ *   configure({ playerCount, gameMode, dividerX }) - Lay out for 1-2 players; gameMode
+ *                                                  'solo', 'coop', 'competitive' or 'freeplay'
+ *   clear()                                      - Fresh start for a new round
+ *   setDifficulty(level)                         - Challenge level (1+)
+ *   applyDDA(playerId, { seedSpeed, hitBoxMultiplier }) - Per-player difficulty from DDAEngine
+ *   setPlayerIdleTime(playerId, seconds)         - Drives hint arrows
+ *   determineHint(zoneKey)                       - { fromX, fromY, toX, toY, hintType } or null
+ *   update(deltaTime)
+ *   draw(ctx)
+ *   checkCollisions(handPositions)               - Completed items this frame:
+ *                                                  [{ plantKey, playerId, isTargetPlant, growTime }]
+ *   releaseItem()                                - Put down anything held
+ *
+ * Item keys are PLANT_TYPES keys, so challenges, spawn weights and achievements
+ * count every theme's items the same way.
+ *
+ * Optional competitive extras (Game and DDAEngine skip them when missing):
+ *   activePowerUps (Map), powerUpCooldown, showPowerUp(playerId), showGoldenWateringCan(playerId)
+ */
+
+import { GardenBed } from './garden/garden-bed.js';
+import { KitchenCounter } from './kitchen/kitchen-counter.js';
+
+export const DEFAULT_THEME_ID = 'garden';
+
+export const THEMES = [
+    {
+        id: 'garden',
+        name: 'Garden',
+        create: (canvas, services) => new GardenBed(canvas, services)
+    },
+    {
+        id: 'kitchen',
+        name: 'Kitchen',
+        create: (canvas, services) => new KitchenCounter(canvas, services)
+    }
+];
+
+/**
+ * Theme descriptor by id (falls back to the garden)
+ */
+export function getTheme(id) {
+    return THEMES.find(theme => theme.id === id) ||
+        THEMES.find(theme => theme.id === DEFAULT_THEME_ID);
+}
+
+/**
+ * Theme requested with ?theme=, or the garden
+ */
+export function getRequestedTheme() {
+    if (typeof window === 'undefined') return getTheme(DEFAULT_THEME_ID);
+    return getTheme(new URLSearchParams(window.location.search).get('theme'));
+}
@@ -3,7 +3,17 @@
  * Handles all screen transitions, UI updates, and hand hover interactions
  */
 
-class UIManager {
+import { PLANT_TYPES } from './garden/constants.js';
+import { audioManager } from './audio.js';
+import { sessionLogger } from './session-log.js';
+import { MotionHeatmap } from './heatmap.js';
+import { storyManager } from './story.js';
+import { handTracker } from './handTracking.js';
+import { landmarkRecorder } from './landmark-recorder.js';
+import { kioskMode } from './kiosk.js';
+import { pwaManager } from './pwa.js';
+
+export class UIManager {
     constructor() {
         // State (non-DOM)
         this.currentScreen = 'welcome';
@@ -15,7 +25,10 @@ class UIManager {
             soundEnabled: true,
             volume: 0.7,
             contrastMode: 'normal',
-            background: 'sky'
+            background: 'sky',
+            handSmoothing: 'light',
+            kioskMode: false,
+            seasonalWeather: false
         };
 
         // Hand hover state
@@ -102,6 +115,9 @@ class UIManager {
         this.playAgainBtn = document.getElementById('playAgainBtn');
         this.retryLevelBtn = document.getElementById('retryLevelBtn');
         this.retryLevelBtn2P = document.getElementById('retryLevelBtn2P');
+        this.finishFreePlayBtn = document.getElementById('finishFreePlayBtn');
+        this.updatePrompt = document.getElementById('updatePrompt');
+        this.applyUpdateBtn = document.getElementById('applyUpdateBtn');
 
         // Settings elements
         this.settingsBtn = document.getElementById('settingsBtn');
@@ -117,6 +133,14 @@ class UIManager {
         this.contrastNormal = document.getElementById('contrastNormal');
         this.contrastHigh = document.getElementById('contrastHigh');
         this.contrastMax = document.getElementById('contrastMax');
+        this.smoothingOff = document.getElementById('smoothingOff');
+        this.smoothingLight = document.getElementById('smoothingLight');
+        this.smoothingStrong = document.getElementById('smoothingStrong');
+        this.exportSessionBtn = document.getElementById('exportSessionBtn');
+        this.openDashboardBtn = document.getElementById('openDashboardBtn');
+        this.recordHandsBtn = document.getElementById('recordHandsBtn');
+        this.kioskToggle = document.getElementById('kioskToggle');
+        this.seasonsToggle = document.getElementById('seasonsToggle');
 
         // Background elements
         this.natureBackground = document.getElementById('natureBackground');
@@ -168,6 +192,12 @@ class UIManager {
         this.retryLevelBtn2P?.addEventListener('click', () => {
             if (this.callbacks.onRetryLevel) this.callbacks.onRetryLevel();
         });
+        this.finishFreePlayBtn?.addEventListener('click', () => {
+            if (this.callbacks.onFinishFreePlay) this.callbacks.onFinishFreePlay();
+        });
+        this.applyUpdateBtn?.addEventListener('click', () => {
+            pwaManager.applyUpdate();
+        });
 
         // Settings button click
         this.settingsBtn?.addEventListener('click', () => this.openSettings());
@@ -181,6 +211,23 @@ class UIManager {
         this.contrastNormal?.addEventListener('click', () => this.setContrast('normal'));
         this.contrastHigh?.addEventListener('click', () => this.setContrast('high'));
         this.contrastMax?.addEventListener('click', () => this.setContrast('max'));
+        this.smoothingOff?.addEventListener('click', () => this.setHandSmoothing('off'));
+        this.smoothingLight?.addEventListener('click', () => this.setHandSmoothing('light'));
+        this.smoothingStrong?.addEventListener('click', () => this.setHandSmoothing('strong'));
+        this.exportSessionBtn?.addEventListener('click', () => this.exportSession());
+        this.openDashboardBtn?.addEventListener('click', () => this.openDashboard());
+        this.recordHandsBtn?.addEventListener('click', () => this.toggleHandRecording());
+
+        // Recordings save when stopped (by staff, or at the length limit)
+        landmarkRecorder.onStop = () => {
+            landmarkRecorder.download();
+            this.updateRecordHandsButton();
+        };
+
+        // A new version of the game has been downloaded
+        pwaManager.onUpdateAvailable = (ready) => this.showUpdatePrompt(ready);
+        this.kioskToggle?.addEventListener('click', () => this.toggleKiosk());
+        this.seasonsToggle?.addEventListener('click', () => this.toggleSeasons());
 
         // Volume slider drag functionality
         this.initVolumeSlider();
@@ -208,6 +255,9 @@ class UIManager {
         if (this.settings.background) {
             this.setBackground(this.settings.background);
         }
+
+        // Apply hand smoothing (saved or default)
+        this.setHandSmoothing(this.settings.handSmoothing);
     }
 
     /**
@@ -410,6 +460,15 @@ class UIManager {
             case 'selectCompetitive':
                 if (this.callbacks.onSelectCompetitive) this.callbacks.onSelectCompetitive();
                 break;
+            case 'selectFreePlay':
+                if (this.callbacks.onSelectFreePlay) this.callbacks.onSelectFreePlay();
+                break;
+            case 'finishFreePlay':
+                if (this.callbacks.onFinishFreePlay) this.callbacks.onFinishFreePlay();
+                break;
+            case 'applyUpdate':
+                pwaManager.applyUpdate();
+                break;
             case 'openSettings':
                 this.openSettings();
                 break;
@@ -425,6 +484,21 @@ class UIManager {
             case 'volumeDown':
                 this.adjustVolume(-0.1);
                 break;
+            case 'exportSession':
+                this.exportSession();
+                break;
+            case 'openDashboard':
+                this.openDashboard();
+                break;
+            case 'toggleHandRecording':
+                this.toggleHandRecording();
+                break;
+            case 'toggleKiosk':
+                this.toggleKiosk();
+                break;
+            case 'toggleSeasons':
+                this.toggleSeasons();
+                break;
             case 'contrastNormal':
                 this.setContrast('normal');
                 break;
@@ -434,6 +508,15 @@ class UIManager {
             case 'contrastMax':
                 this.setContrast('max');
                 break;
+            case 'smoothingOff':
+                this.setHandSmoothing('off');
+                break;
+            case 'smoothingLight':
+                this.setHandSmoothing('light');
+                break;
+            case 'smoothingStrong':
+                this.setHandSmoothing('strong');
+                break;
             case 'bgNone':
                 this.setBackground('none');
                 break;
@@ -465,6 +548,100 @@ class UIManager {
      */
     closeSettings() {
         this.settingsOverlay?.classList.add('hidden');
+
+        // Kiosk: hide the settings button from residents again
+        if (kioskMode.enabled) {
+            kioskMode.lockSettings();
+        }
+    }
+
+    /**
+     * Open the care team dashboard in a new tab (the game keeps running here)
+     */
+    openDashboard() {
+        window.open('dashboard.html', '_blank');
+    }
+
+    /**
+     * Download the current session's event log for the care team
+     */
+    async exportSession() {
+        if (!this.exportSessionBtn) return;
+
+        const label = this.exportSessionBtn.querySelector('.export-state');
+        try {
+            const count = await sessionLogger.exportSession();
+            if (label) label.textContent = `Saved ${count} events`;
+        } catch (error) {
+            console.warn('Session export failed:', error);
+            if (label) label.textContent = 'Export failed';
+        }
+        setTimeout(() => {
+            if (label) label.textContent = 'Export';
+        }, 3000);
+    }
+
+    /**
+     * Start recording hand landmarks, or stop and save the recording
+     */
+    toggleHandRecording() {
+        if (landmarkRecorder.isRecording) {
+            landmarkRecorder.stop();
+        } else {
+            landmarkRecorder.start(handTracker.playerCount, handTracker.canvas);
+        }
+        this.updateRecordHandsButton();
+    }
+
+    /**
+     * Reflect the recorder state on its button
+     */
+    updateRecordHandsButton() {
+        const label = this.recordHandsBtn?.querySelector('.record-state');
+        if (label) {
+            label.textContent = landmarkRecorder.isRecording ? 'Stop & Save' : 'Record';
+        }
+    }
+
+    /**
+     * Toggle kiosk mode on/off (takes full effect — auto-start — on next load)
+     */
+    toggleKiosk() {
+        this.settings.kioskMode = !this.settings.kioskMode;
+        kioskMode.setEnabled(this.settings.kioskMode);
+        // Keep the button visible while staff are still in here
+        kioskMode.unlockSettings();
+        this.updateKioskToggle();
+        this.saveSettings();
+    }
+
+    /**
+     * Reflect the kiosk setting on its toggle button
+     */
+    updateKioskToggle() {
+        if (!this.kioskToggle) return;
+        const state = this.kioskToggle.querySelector('.toggle-state');
+        if (state) state.textContent = this.settings.kioskMode ? 'ON' : 'OFF';
+        this.kioskToggle.classList.toggle('off', !this.settings.kioskMode);
+    }
+
+    /**
+     * Toggle whether the garden's weather follows the calendar season (from the next round)
+     */
+    toggleSeasons() {
+        this.settings.seasonalWeather = !this.settings.seasonalWeather;
+        this.updateSeasonsToggle();
+        this.saveSettings();
+    }
+
+    /**
+     * Reflect the seasonal weather setting on its toggle button
+     */
+    updateSeasonsToggle() {
+        if (!this.seasonsToggle) return;
+        const state = this.seasonsToggle.querySelector('.toggle-state');
+        if (state) state.textContent = this.settings.seasonalWeather ? 'ON' : 'OFF';
+        this.seasonsToggle.classList.toggle('off', !this.settings.seasonalWeather);
     }
 
     /**
@@ -580,6 +757,22 @@ class UIManager {
         });
     }
 
+    /**
+     * Set how strongly hand landmarks are smoothed ('off', 'light', 'strong')
+     */
+    setHandSmoothing(strength) {
+        this.settings.handSmoothing = strength;
+
+        handTracker.setSmoothing(strength);
+
+        // Update button states
+        this.smoothingOff?.classList.toggle('active', strength === 'off');
+        this.smoothingLight?.classList.toggle('active', strength === 'light');
+        this.smoothingStrong?.classList.toggle('active', strength === 'strong');
+
+        this.saveSettings();
+    }
+
     /**
      * Set contrast mode
      */
@@ -673,6 +866,8 @@ class UIManager {
                     if (state) state.textContent = this.settings.soundEnabled ? 'ON' : 'OFF';
                     this.soundToggle.classList.toggle('off', !this.settings.soundEnabled);
                 }
+                this.updateKioskToggle();
+                this.updateSeasonsToggle();
                 this.updateVolumeUI();
             }
         } catch (e) {
@@ -872,6 +1067,23 @@ class UIManager {
         if (this.settingsBtn) {
             this.settingsBtn.classList.toggle('hud-active', visible);
         }
+        // Free Play exit button only lives alongside the HUD
+        if (!visible && this.finishFreePlayBtn) {
+            this.finishFreePlayBtn.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Switch the HUD between challenge and Free Play layouts
+     * (Free Play hides timer, score and progress, and shows the "All Done" button)
+     */
+    setFreePlayHUD(enabled) {
+        if (this.hud.container) {
+            this.hud.container.classList.toggle('hud-freeplay', enabled);
+        }
+        if (this.finishFreePlayBtn) {
+            this.finishFreePlayBtn.classList.toggle('hidden', !enabled);
+        }
     }
 
     /**
@@ -1069,7 +1281,7 @@ class UIManager {
      * Apply chapter-based color theme to all light screens
      */
     applyChapterTheme() {
-        const chapter = typeof storyManager !== 'undefined' ? storyManager.currentChapter : 1;
+        const chapter = storyManager.currentChapter;
         const lightScreens = document.querySelectorAll('.light-screen');
         lightScreens.forEach(screen => {
             screen.classList.remove('chapter-2', 'chapter-3');
@@ -1156,10 +1368,117 @@ class UIManager {
             </div>
         `;
         container.appendChild(toast);
-        if (window.audioManager) audioManager.play('harvest');
+        audioManager.play('harvest');
         setTimeout(() => toast.remove(), 3000);
     }
 
+    /**
+     * Show or hide the "new version ready" prompt
+     * @param {boolean} visible
+     */
+    showUpdatePrompt(visible) {
+        if (this.updatePrompt) {
+            this.updatePrompt.classList.toggle('hidden', !visible);
+        }
+    }
+
+    /**
+     * Show a short informational toast (same look as achievement toasts, without the fanfare)
+     * @param {string} icon
+     * @param {string} label
+     * @param {string} message
+     */
+    showNotice(icon, label, message) {
+        const container = document.getElementById('toastContainer');
+        if (!container) return;
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.innerHTML = `
+            <span class="toast-icon">${icon}</span>
+            <div class="toast-content">
+                <span class="toast-label">${label}</span>
+                <span class="toast-desc">${message}</span>
+            </div>
+        `;
+        container.appendChild(toast);
+        setTimeout(() => toast.remove(), 3000);
+    }
+
+    /**
+     * Draw the session's motor-engagement heatmaps on round-end screens
+     * @param {MotionHeatmap} heatmap
+     * @param {number} playerCount
+     */
+    updateHeatmaps(heatmap, playerCount) {
+        if (!heatmap) return;
+        ['', '2P'].forEach(suffix => {
+            const section = document.getElementById('heatmapSection' + suffix);
+            if (!section) return;
+            section.style.display = 'block';
+
+            section.querySelectorAll('.heatmap-player').forEach(el => {
+                const playerId = Number(el.dataset.player);
+                const visible = playerId <= playerCount;
+                el.style.display = visible ? '' : 'none';
+                // Solo play doesn't need a "Player 1" caption
+                const label = el.querySelector('.heatmap-label');
+                if (label) label.style.display = playerCount === 2 ? '' : 'none';
+                if (visible) {
+                    MotionHeatmap.draw(el.querySelector('.heatmap-canvas'), heatmap.grids[playerId], heatmap.cols, heatmap.rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Fill the range-of-motion table on round-end screens
+     * @param {Array<Object>} hands - MotionMetrics.getSummary() records
+     * @param {number} playerCount
+     */
+    updateMotionMetrics(hands, playerCount) {
+        const percent = (value) => value === null ? '—' : `${Math.round(value * 100)}%`;
+
+        ['', '2P'].forEach(suffix => {
+            const section = document.getElementById('motionSection' + suffix);
+            const table = document.getElementById('motionTable' + suffix);
+            if (!section || !table) return;
+            if (!hands || hands.length === 0) {
+                section.style.display = 'none';
+                return;
+            }
+            section.style.display = 'block';
+
+            const rows = hands.map(h => {
+                const side = h.hand === 'left' ? 'Left hand' : 'Right hand';
+                const who = playerCount === 2 ? `P${h.playerId} ${side.toLowerCase()}` : side;
+                return `
+                    <tr>
+                        <td>${who}</td>
+                        <td>${percent(h.reachHorizontal)}</td>
+                        <td>${percent(h.reachVertical)}</td>
+                        <td>${h.pathLength.toFixed(1)}</td>
+                        <td>${h.averageSpeed.toFixed(2)}</td>
+                        <td>${h.jerk === null ? '—' : Math.round(h.jerk)}</td>
+                        <td>${h.tremor === null ? '—' : (h.tremor * 100).toFixed(2) + '%'}</td>
+                    </tr>`;
+            }).join('');
+
+            table.innerHTML = `
+                <thead>
+                    <tr>
+                        <th>Hand</th>
+                        <th>Reach ↔</th>
+                        <th>Reach ↕</th>
+                        <th>Distance</th>
+                        <th>Speed</th>
+                        <th>Jerk</th>
+                        <th>Tremor</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>`;
+        });
+    }
+
     /**
      * Update the session leaderboard on round-end screens
      */
@@ -1189,5 +1508,5 @@ class UIManager {
     }
 }
 
-// Global UI manager instance
-const uiManager = new UIManager();
+// Shared UI manager instance
+export const uiManager = new UIManager();
@@ -0,0 +1,39 @@
+#!/bin/sh
+# Download the MediaPipe files Garden Grow needs into vendor/mediapipe/ so the
+# game can run with no internet access. Run once on a machine that can reach
+# the npm registry and Google's model storage, then copy the whole folder to
+# the care-home device.
+#
+# Usage: scripts/fetch-mediapipe.sh
+set -e
+
+HANDS_VERSION=0.4.1675469240
+CAMERA_UTILS_VERSION=0.3.1675466862
+TASKS_VISION_VERSION=0.10.14  # keep in step with MEDIAPIPE_TASKS_VERSION in js/mediapipe-loader.js
+HAND_MODEL_URL=https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+DEST="$ROOT/vendor/mediapipe"
+WORK="$(mktemp -d)"
+trap 'rm -rf "$WORK"' EXIT
+
+fetch() {
+    name="$1"
+    version="$2"
+    echo "Fetching @mediapipe/$name@$version"
+    (cd "$WORK" && npm pack --silent "@mediapipe/$name@$version" > /dev/null)
+    rm -rf "$DEST/$name"
+    mkdir -p "$DEST/$name"
+    tar -xzf "$WORK/mediapipe-$name-$version.tgz" -C "$DEST/$name" --strip-components=1
+}
+
+fetch hands "$HANDS_VERSION"
+fetch camera_utils "$CAMERA_UTILS_VERSION"
+fetch tasks-vision "$TASKS_VISION_VERSION"
+
+# Model for worker inference (not part of the npm package)
+echo "Fetching hand_landmarker.task"
+mkdir -p "$DEST/hand_landmarker"
+curl -fsSL -o "$DEST/hand_landmarker/hand_landmarker.task" "$HAND_MODEL_URL"
+
+echo "MediaPipe saved to $DEST"
@@ -0,0 +1,165 @@
+/**
+ * Service Worker for Garden Grow Game
+ * Caches the whole app (and self-hosted MediaPipe, if present) so the
+ * installed game launches and plays with no network.
+ *
+ * Bump CACHE_VERSION whenever a release changes any cached file: the new
+ * worker then installs alongside the old one and the game offers an update.
+ */
+
+const CACHE_VERSION = 'garden-grow-v10';
+
+// App shell — install fails if any of these are missing
+const APP_FILES = [
+    './',
+    'index.html',
+    'dashboard.html',
+    'manifest.webmanifest',
+    'data/plants.json',
+    'css/styles.css',
+    'css/dashboard.css',
+    'assets/images/logo.png',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/apple-touch-icon.png',
+    'js/session-log.js',
+    'js/heatmap.js',
+    'js/motion-metrics.js',
+    'js/audio.js',
+    'js/dda.js',
+    'js/garden/constants.js',
+    'js/garden/plant-pot.js',
+    'js/garden/tools.js',
+    'js/garden/plant-needs.js',
+    'js/garden/effects.js',
+    'js/power-ups.js',
+    'js/garden/plant-catalogue.js',
+    'js/garden/garden-save.js',
+    'js/garden/weather.js',
+    'js/garden/plot-layouts.js',
+    'js/garden/garden-bed.js',
+    'js/kitchen/kitchen-items.js',
+    'js/kitchen/kitchen-counter.js',
+    'js/themes.js',
+    'js/challenges.js',
+    'js/story.js',
+    'js/mediapipe-loader.js',
+    'js/hand-assignment.js',
+    'js/landmark-filter.js',
+    'js/landmark-recorder.js',
+    'js/hand-worker.js',
+    'js/handTracking.js',
+    'js/pointer-input.js',
+    'js/ui.js',
+    'js/achievements.js',
+    'js/pwa.js',
+    'js/kiosk.js',
+    'js/attract-demo.js',
+    'js/game.js',
+    'js/main.js',
+    'js/dashboard.js'
+];
+
+// Self-hosted MediaPipe (scripts/fetch-mediapipe.sh) — cached when present, skipped when not
+const MEDIAPIPE_FILES = [
+    'vendor/mediapipe/camera_utils/camera_utils.js',
+    'vendor/mediapipe/hands/hands.js',
+    'vendor/mediapipe/hands/hands.binarypb',
+    'vendor/mediapipe/hands/hands_solution_packed_assets.data',
+    'vendor/mediapipe/hands/hands_solution_packed_assets_loader.js',
+    'vendor/mediapipe/hands/hands_solution_simd_wasm_bin.data',
+    'vendor/mediapipe/hands/hands_solution_simd_wasm_bin.js',
+    'vendor/mediapipe/hands/hands_solution_simd_wasm_bin.wasm',
+    'vendor/mediapipe/hands/hands_solution_wasm_bin.js',
+    'vendor/mediapipe/hands/hands_solution_wasm_bin.wasm',
+    'vendor/mediapipe/hands/hand_landmark_full.tflite',
+    'vendor/mediapipe/hands/hand_landmark_lite.tflite',
+    'vendor/mediapipe/tasks-vision/vision_bundle.cjs',
+    'vendor/mediapipe/tasks-vision/wasm/vision_wasm_internal.js',
+    'vendor/mediapipe/tasks-vision/wasm/vision_wasm_internal.wasm',
+    'vendor/mediapipe/tasks-vision/wasm/vision_wasm_nosimd_internal.js',
+    'vendor/mediapipe/tasks-vision/wasm/vision_wasm_nosimd_internal.wasm',
+    'vendor/mediapipe/hand_landmarker/hand_landmarker.task'
+];
+
+// Files staff edit on the server (the plant catalogue) — network first so edits
+// show up without a new release, falling back to the cached copy offline
+const NETWORK_FIRST_FILES = ['data/plants.json'];
+
+// Cross-origin hosts whose responses are kept after first use (CDN MediaPipe and its hand model)
+const RUNTIME_CACHE_HOSTS = ['cdn.jsdelivr.net', 'storage.googleapis.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.addAll(APP_FILES);
+        await Promise.all(MEDIAPIPE_FILES.map(file =>
+            cache.add(file).catch(() => console.log('Service worker: not self-hosted, skipping', file))
+        ));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Drop caches from older versions
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_VERSION).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    // Sent by the page when the player chooses to update
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (!sameOrigin && !RUNTIME_CACHE_HOSTS.includes(url.hostname)) return;
+
+    // The MediaPipe loader probes sources with HEAD requests — answer those from the cache too
+    if (request.method === 'HEAD') {
+        event.respondWith((async () => {
+            const cached = await caches.match(request, { ignoreMethod: true, ignoreSearch: sameOrigin });
+            return cached ? new Response(null, { status: 200, headers: cached.headers }) : fetch(request);
+        })());
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    if (sameOrigin && NETWORK_FIRST_FILES.some(file => url.pathname.endsWith(`/${file}`))) {
+        event.respondWith((async () => {
+            try {
+                const response = await fetch(request);
+                if (response.ok) {
+                    const cache = await caches.open(CACHE_VERSION);
+                    cache.put(request, response.clone());
+                }
+                return response;
+            } catch (error) {
+                const cached = await caches.match(request);
+                if (cached) return cached;
+                throw error;
+            }
+        })());
+        return;
+    }
+
+    // Cache first (the game must start offline), then network — keeping what we fetch
+    event.respondWith((async () => {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            const cache = await caches.open(CACHE_VERSION);
+            cache.put(request, response.clone());
+        }
+        return response;
+    })());
+});
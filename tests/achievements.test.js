@@ -0,0 +1,104 @@
+/**
+ * Achievement tests: unlock conditions and toast queue
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment, clock } from './harness.js';
+import { PLANT_TYPES } from '../js/garden/constants.js';
+import { AchievementManager } from '../js/achievements.js';
+
+function createAchievements() {
+    const manager = new AchievementManager();
+    manager.startSession();
+    return manager;
+}
+
+beforeEach(() => resetEnvironment());
+
+test('the first harvest unlocks First Bloom once', () => {
+    const manager = createAchievements();
+
+    manager.recordHarvest('tomato', 40);
+    manager.recordHarvest('tomato', 40);
+
+    assert.ok(manager.unlocked.has('first_harvest'));
+    assert.equal(manager.consumeToast().id, 'first_harvest');
+    assert.equal(manager.consumeToast(), null);
+});
+
+test('Speed Grower needs a harvest in under 20 seconds', () => {
+    const manager = createAchievements();
+
+    manager.recordHarvest('carrot', 20);
+    assert.equal(manager.unlocked.has('speed_grower'), false);
+
+    manager.recordHarvest('carrot', 19.5);
+    assert.ok(manager.unlocked.has('speed_grower'));
+});
+
+test('a harvest with no grow time does not count as fast', () => {
+    const manager = createAchievements();
+    manager.recordHarvest('carrot');
+    assert.equal(manager.unlocked.has('speed_grower'), false);
+});
+
+test('Master Gardener needs every plant type', () => {
+    const manager = createAchievements();
+    const plantKeys = Object.keys(PLANT_TYPES);
+
+    plantKeys.slice(0, -1).forEach(key => manager.recordHarvest(key, 30));
+    assert.equal(manager.unlocked.has('all_plants'), false);
+
+    manager.recordHarvest(plantKeys[plantKeys.length - 1], 30);
+    assert.ok(manager.unlocked.has('all_plants'));
+});
+
+test('Tool Expert needs all three tools in the same round', () => {
+    const manager = createAchievements();
+
+    manager.recordToolUse('watering_can');
+    manager.recordToolUse('fertilizer');
+    manager.startSession(); // new round
+    manager.recordToolUse('sun');
+    assert.equal(manager.unlocked.has('all_tools'), false);
+
+    manager.recordToolUse('watering_can');
+    manager.recordToolUse('fertilizer');
+    assert.ok(manager.unlocked.has('all_tools'));
+});
+
+test('Dedicated Gardener unlocks after five minutes of play', () => {
+    const manager = createAchievements();
+
+    clock.advance(299);
+    manager.updateSessionTime();
+    assert.equal(manager.unlocked.has('long_session'), false);
+
+    clock.advance(2);
+    manager.updateSessionTime();
+    assert.ok(manager.unlocked.has('long_session'));
+});
+
+test('competitive results unlock Village Champion and Photo Finish', () => {
+    const manager = createAchievements();
+
+    manager.recordCompetitiveEnd(60, 40, 1);
+    assert.ok(manager.unlocked.has('first_win'));
+    assert.equal(manager.unlocked.has('close_match'), false);
+
+    manager.recordCompetitiveEnd(52, 45, 1);
+    assert.ok(manager.unlocked.has('close_match'));
+});
+
+test('reset forgets unlocked achievements and queued toasts', () => {
+    const manager = createAchievements();
+    manager.recordHarvest('tomato', 10);
+    assert.ok(manager.unlocked.size > 0);
+
+    manager.reset();
+    assert.equal(manager.unlocked.size, 0);
+    assert.equal(manager.consumeToast(), null);
+    assert.equal(manager.stats.totalHarvests, 0);
+});
@@ -0,0 +1,90 @@
+/**
+ * Challenge tests: harvest counting, completion and saved high scores
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment } from './harness.js';
+import { PLANT_TYPES } from '../js/garden/constants.js';
+import { ChallengeManager } from '../js/challenges.js';
+
+beforeEach(() => resetEnvironment());
+
+test('level 1 completes after any three harvests, with the completion bonus', () => {
+    const manager = new ChallengeManager();
+    const challenge = manager.startChallenge(1);
+
+    manager.recordHarvest('tomato');
+    manager.recordHarvest('carrot');
+    assert.equal(challenge.isComplete, false);
+    assert.equal(challenge.getProgressText(), '2 / 3');
+
+    manager.recordHarvest('lettuce');
+    assert.equal(challenge.isComplete, true);
+    assert.equal(challenge.score, 3 * 10 + 50);
+    assert.equal(challenge.getProgressPercent(), 1);
+});
+
+test('plants that are not the target score a little but do not count', () => {
+    const manager = new ChallengeManager();
+    const challenge = manager.startChallenge(2); // 5 tomatoes
+
+    assert.equal(manager.recordHarvest('sunflower'), false);
+    assert.equal(manager.recordHarvest('tomato'), true);
+
+    assert.equal(challenge.progress.tomato, 1);
+    assert.equal(challenge.score, 2 + 10);
+    assert.equal(challenge.totalHarvested, 2);
+});
+
+test('multi-plant challenges need every target, and extra plants past a target do not count', () => {
+    const manager = new ChallengeManager();
+    const challenge = manager.startChallenge(5); // 3 tomato + 2 sunflower
+
+    for (let i = 0; i < 5; i++) manager.recordHarvest('tomato');
+    assert.equal(challenge.isComplete, false);
+    assert.equal(challenge.progress.tomato, 3);
+
+    manager.recordHarvest('sunflower');
+    manager.recordHarvest('sunflower');
+    assert.equal(challenge.isComplete, true);
+    assert.equal(challenge.getProgressText(), 'TOMATO: 3/3 | SUNFLOWER: 2/2');
+});
+
+test('the completion bonus is only given once', () => {
+    const manager = new ChallengeManager();
+    const challenge = manager.startChallenge(1);
+
+    for (let i = 0; i < 5; i++) manager.recordHarvest('tomato');
+    assert.equal(challenge.score, 5 * 10 + 50);
+});
+
+test('levels past the written ones are generated from known plants', () => {
+    const manager = new ChallengeManager();
+    const plantKeys = Object.keys(PLANT_TYPES);
+
+    for (let level = 11; level < 25; level++) {
+        const challenge = manager.startChallenge(level);
+        assert.equal(challenge.level, level);
+        assert.ok(challenge.timeLimit >= 35);
+        challenge.targets.forEach(target => {
+            assert.ok(plantKeys.includes(target.color), `unknown plant ${target.color}`);
+            assert.ok(target.count > 0);
+        });
+    }
+});
+
+test('completing a challenge keeps the high score across reloads', () => {
+    const manager = new ChallengeManager();
+    manager.startChallenge(1);
+    for (let i = 0; i < 3; i++) manager.recordHarvest('tomato');
+    manager.completeChallenge();
+
+    assert.equal(manager.totalScore, 80);
+    const reloaded = new ChallengeManager();
+    assert.equal(reloaded.highScore, 80);
+
+    reloaded.reset();
+    assert.equal(new ChallengeManager().highScore, 0);
+});
@@ -0,0 +1,107 @@
+/**
+ * Dynamic difficulty tests: adjustment direction, clamps and garden hookup
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment, clock, createGarden } from './harness.js';
+import { DDAEngine } from '../js/dda.js';
+
+function createDDA() {
+    // The engine reads an interaction time of 0 as "never interacted"
+    clock.advance(1);
+    return new DDAEngine();
+}
+
+/**
+ * Run the engine for a while at 10 updates a second
+ */
+function runFor(dda, seconds, gameMode = 'coop') {
+    for (let i = 0; i < seconds * 10; i++) {
+        clock.advance(0.1);
+        dda.update(0.1, gameMode);
+    }
+}
+
+beforeEach(() => resetEnvironment());
+
+test('a struggling player gets slower needs and bigger targets', () => {
+    const dda = createDDA();
+    dda.recordInteraction(1);
+    runFor(dda, 2);
+
+    dda.adjustDifficulty('coop');
+    const player = dda.players[1];
+    assert.equal(player.targetSeedSpeed, 0.6);
+    assert.equal(player.targetHitBoxMultiplier, 1.7);
+});
+
+test('an idle struggling player is clamped to the easiest settings', () => {
+    const dda = createDDA();
+    dda.recordInteraction(1);
+    runFor(dda, 10);
+
+    const player = dda.players[1];
+    assert.ok(player.idleTime > 3);
+    // 0.6 × 0.6 and 1.7 × 1.4 are past the limits
+    assert.equal(player.targetSeedSpeed, 0.4);
+    assert.equal(player.targetHitBoxMultiplier, 2.0);
+});
+
+test('a very fast player is clamped to the hardest settings', () => {
+    const dda = createDDA();
+    for (let i = 0; i < 30; i++) dda.recordHarvest(1, true);
+
+    dda.adjustDifficulty('coop');
+    const player = dda.players[1];
+    assert.equal(player.targetSeedSpeed, 1.8);
+    assert.equal(player.targetHitBoxMultiplier, 0.8);
+});
+
+test('difficulty eases toward its target and never leaves the clamps', () => {
+    const dda = createDDA();
+    dda.recordInteraction(1);
+
+    const seen = [];
+    for (let i = 0; i < 600; i++) {
+        clock.advance(0.1);
+        dda.update(0.1, 'coop');
+        seen.push(dda.getPlayerDifficulty(1));
+    }
+
+    seen.forEach(({ seedSpeed, hitBoxMultiplier }) => {
+        assert.ok(seedSpeed >= 0.4 && seedSpeed <= 1.8, `seedSpeed ${seedSpeed}`);
+        assert.ok(hitBoxMultiplier >= 0.8 && hitBoxMultiplier <= 2.0, `hitBoxMultiplier ${hitBoxMultiplier}`);
+    });
+    const last = seen[seen.length - 1];
+    assert.ok(Math.abs(last.hitBoxMultiplier - 2.0) < 0.01, 'settles on the target');
+});
+
+test('old harvests stop counting after 10 seconds', () => {
+    const dda = createDDA();
+    for (let i = 0; i < 8; i++) dda.recordHarvest(1, true);
+
+    dda.adjustDifficulty('coop');
+    assert.ok(dda.players[1].targetSeedSpeed > 1);
+
+    clock.advance(11);
+    dda.adjustDifficulty('coop');
+    assert.equal(dda.players[1].targetSeedSpeed, 0.6);
+});
+
+test('garden targets grow with the hit box multiplier', () => {
+    const garden = createGarden();
+
+    garden.applyDDA(1, { seedSpeed: 0.5, hitBoxMultiplier: 2 });
+
+    assert.equal(garden.getZoneWateringCan('shared').hitRadius, 120);
+    for (const pot of garden.plantPots) {
+        assert.equal(garden.getPotSunArea(pot).radius, 160);
+        assert.ok(Math.abs(pot.needs.waterDepleteRate - 0.015) < 1e-9);
+    }
+
+    // Player 2 doesn't change the shared garden
+    garden.applyDDA(2, { seedSpeed: 1, hitBoxMultiplier: 1 });
+    assert.equal(garden.getZoneWateringCan('shared').hitRadius, 120);
+});
@@ -0,0 +1,359 @@
+/**
+ * Garden logic tests: plant growth timing, needs, and tool dwell thresholds
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment, clock, createCanvas, handAt, createGarden, FRAME } from './harness.js';
+import { GrowthStage } from '../js/garden/constants.js';
+import { PlantPot } from '../js/garden/plant-pot.js';
+import { GardenBed } from '../js/garden/garden-bed.js';
+
+/**
+ * Run frames the way the game loop does: update, then hands
+ * @returns {number} Frames run
+ */
+function runFrames(garden, seconds, handPositions) {
+    const frames = Math.round(seconds / FRAME);
+    for (let i = 0; i < frames; i++) {
+        clock.advance(FRAME);
+        garden.update(FRAME);
+        garden.checkCollisions(handPositions);
+    }
+    return frames;
+}
+
+/** Point over the middle of a pot */
+function overPot(pot) {
+    return { x: pot.x, y: pot.y - pot.potHeight / 2 };
+}
+
+beforeEach(() => resetEnvironment());
+
+// ── Growth timing ─────────────────────────────────────────────────
+
+test('a planted seed moves up one stage every 4 seconds at full needs', () => {
+    const pot = new PlantPot(640, 570, createCanvas());
+
+    assert.equal(pot.plantSeed('tomato'), true);
+    assert.equal(pot.growthStage, GrowthStage.SEED_PLANTED);
+
+    for (let i = 0; i < 238; i++) pot.updateGrowth(1, FRAME);
+    assert.equal(pot.growthStage, GrowthStage.SEED_PLANTED, 'not yet after 3.97s');
+
+    for (let i = 0; i < 4; i++) pot.updateGrowth(1, FRAME);
+    assert.equal(pot.growthStage, GrowthStage.SPROUTING, 'sprouts by 4.03s');
+});
+
+test('full needs take a seed to harvestable in about 16 seconds', () => {
+    const pot = new PlantPot(640, 570, createCanvas());
+    pot.plantSeed('carrot');
+
+    let seconds = 0;
+    while (pot.growthStage !== GrowthStage.HARVESTABLE && seconds < 60) {
+        pot.updateGrowth(1, FRAME);
+        seconds += FRAME;
+    }
+
+    assert.ok(seconds > 15.9 && seconds < 16.2, `took ${seconds.toFixed(2)}s`);
+    assert.equal(pot.harvest(), 'carrot');
+    assert.equal(pot.growthStage, GrowthStage.EMPTY);
+});
+
+test('plants do not grow while needs are at 40% or below', () => {
+    const pot = new PlantPot(640, 570, createCanvas());
+    pot.plantSeed('lettuce');
+
+    for (let i = 0; i < 600; i++) pot.updateGrowth(0.4, FRAME);
+
+    assert.equal(pot.growthStage, GrowthStage.SEED_PLANTED);
+    assert.equal(pot.growthProgress, 0);
+});
+
+test('needs run down while a plant is growing and never go below zero', () => {
+    const garden = createGarden();
+    garden.plantPots[0].plantSeed('tomato');
+
+    runFrames(garden, 10, []);
+    const needs = garden.plantPots[0].needs;
+    // Rounds start sunny, which makes water run down 1.2× as fast
+    assert.ok(Math.abs(needs.water - (0.7 - 0.03 * 1.2 * 10)) < 1e-6, `water ${needs.water}`);
+
+    runFrames(garden, 80, []);
+    assert.equal(needs.water, 0);
+    assert.equal(needs.sun, 0);
+    assert.equal(needs.food, 0);
+});
+
+// ── Tool dwell thresholds ─────────────────────────────────────────
+
+test('the watering can waters after 0.3 seconds over the pot, not before', () => {
+    const garden = createGarden();
+    const can = garden.getZoneWateringCan('shared');
+
+    // Pick up the can
+    runFrames(garden, FRAME, [handAt(can.x, can.y)]);
+    assert.equal(garden.heldItem, can);
+
+    // Hold it over the nearest pot
+    const pot = garden.plantPots.reduce((a, b) => (Math.abs(a.x - can.x) < Math.abs(b.x - can.x) ? a : b));
+    const { x, y } = overPot(pot);
+    const needs = pot.needs;
+    const startWater = needs.water;
+
+    runFrames(garden, 0.25, [handAt(x, y)]);
+    assert.equal(needs.water, startWater, 'no water after 0.25s');
+    assert.ok(can.pourProgress > 0.8 && can.pourProgress < 1, 'pour ring nearly full');
+
+    runFrames(garden, 0.1, [handAt(x, y)]);
+    assert.ok(Math.abs(needs.water - (startWater + 0.15)) < 1e-9, 'watered by 0.35s');
+});
+
+test('the fertilizer feeds after 0.5 seconds over the pot, not before', () => {
+    const garden = createGarden();
+    const bag = garden.getZoneFertilizer('shared');
+
+    runFrames(garden, FRAME, [handAt(bag.x, bag.y)]);
+    assert.equal(garden.heldItem, bag);
+
+    const pot = garden.plantPots.reduce((a, b) => (Math.abs(a.x - bag.x) < Math.abs(b.x - bag.x) ? a : b));
+    const { x, y } = overPot(pot);
+    const needs = pot.needs;
+    const startFood = needs.food;
+
+    runFrames(garden, 0.45, [handAt(x, y)]);
+    assert.equal(needs.food, startFood, 'no food after 0.45s');
+
+    runFrames(garden, 0.1, [handAt(x, y)]);
+    assert.ok(Math.abs(needs.food - (startFood + 0.12)) < 1e-9, 'fed by 0.55s');
+});
+
+test('moving the can away from the pot restarts the pour', () => {
+    const garden = createGarden();
+    const can = garden.getZoneWateringCan('shared');
+    runFrames(garden, FRAME, [handAt(can.x, can.y)]);
+
+    const pot = garden.plantPots[garden.plantPots.length - 1];
+    const { x, y } = overPot(pot);
+    const needs = pot.needs;
+    const startWater = needs.water;
+
+    // 0.2s over, step away, 0.2s over again — never 0.3s in one go
+    runFrames(garden, 0.2, [handAt(x, y)]);
+    runFrames(garden, FRAME, [handAt(x, 150)]);
+    runFrames(garden, 0.2, [handAt(x, y)]);
+
+    assert.equal(needs.water, startWater);
+});
+
+test('water and sun go only to the pot they are given to', () => {
+    const garden = createGarden();
+    const [first, second] = garden.plantPots;
+    first.plantSeed('tomato');
+    second.plantSeed('lettuce');
+
+    // Hovering one pot's sun lights that pot only
+    const sun = garden.getPotSunArea(first);
+    runFrames(garden, 0.25, [handAt(sun.x, sun.y)]);
+    assert.ok(first.needs.sun > 0.8, `sunny pot at ${first.needs.sun}`);
+    assert.ok(second.needs.sun < 0.8);
+
+    // Water the pot nearest the can
+    const can = garden.getZoneWateringCan('shared');
+    runFrames(garden, FRAME, [handAt(can.x, can.y)]);
+    const watered = garden.plantPots.reduce((a, b) => (Math.abs(a.x - can.x) < Math.abs(b.x - can.x) ? a : b));
+    const others = garden.plantPots.filter(pot => pot !== watered);
+    const before = others.map(pot => pot.needs.water);
+    runFrames(garden, 0.35, [handAt(overPot(watered).x, overPot(watered).y)]);
+
+    assert.ok(watered.needs.water > 0.8, `watered pot at ${watered.needs.water}`);
+    others.forEach((pot, i) => assert.ok(pot.needs.water <= before[i], 'other pots get no water'));
+});
+
+test('each planted pot runs down at its own plant\'s rates', () => {
+    const garden = createGarden();
+    garden.plantPots[0].plantSeed('sunflower');
+    garden.plantPots[1].plantSeed('lettuce');
+
+    runFrames(garden, 5, []);
+    const [sunflower, lettuce] = garden.plantPots.map(pot => pot.needs);
+    assert.ok(sunflower.sun < lettuce.sun, 'sunflowers use more sun');
+    assert.ok(lettuce.water < sunflower.water, 'lettuce uses more water');
+    assert.equal(garden.plantPots[2].needs.water, 0.7, 'an empty pot does not dry out');
+});
+
+test('the seed tray offers a choice of different plants', () => {
+    const garden = createGarden();
+    const seeds = garden.getZoneSeeds('shared');
+
+    assert.equal(seeds.length, 3);
+    assert.equal(new Set(seeds.map(seed => seed.plantType)).size, 3, 'no plant offered twice');
+    assert.ok(seeds.every(seed => seed.y === seeds[0].y), 'packets sit side by side');
+});
+
+test('the chosen seed is planted and its slot in the tray is refilled', () => {
+    const garden = createGarden();
+    const [first, chosen, last] = garden.getZoneSeeds('shared');
+    const pot = garden.plantPots[1];
+
+    runFrames(garden, FRAME, [handAt(chosen.x, chosen.y)]);
+    assert.equal(garden.heldItem, chosen);
+
+    const { x, y } = overPot(pot);
+    runFrames(garden, FRAME, [handAt(x, y)]);
+    assert.equal(pot.growthStage, GrowthStage.SEED_PLANTED);
+    assert.equal(pot.plantType, chosen.plantType);
+    assert.equal(garden.heldItem, null);
+    assert.deepEqual(garden.getZoneSeeds('shared'), [first, last]);
+
+    // A fresh packet takes its place after a second; the others are left alone
+    runFrames(garden, 1.1, []);
+    const [, refill] = garden.getZoneSeeds('shared');
+    assert.deepEqual(garden.getZoneSeeds('shared'), [first, refill, last]);
+    assert.notEqual(refill, chosen);
+    assert.equal(refill.homeX, chosen.homeX);
+});
+
+test('the tray is still weighted toward challenge targets', () => {
+    let picks = [];
+    const garden = new GardenBed(createCanvas(1280, 720), {
+        challenges: { currentChallenge: {}, getTargetPlants: () => ['tomato'] },
+        pickItemType: () => picks.shift() || 'tomato'
+    });
+    picks = ['carrot', 'carrot', 'tomato', 'carrot', 'sunflower'];
+    garden.configure({ playerCount: 1, gameMode: 'coop' });
+
+    // Each packet comes from the game's weighted pick; repeats are picked again
+    assert.deepEqual(garden.getZoneSeeds('shared').map(seed => seed.plantType), ['carrot', 'tomato', 'sunflower']);
+
+    // The hint points at the target's packet
+    const hint = garden.determineHint('shared');
+    assert.equal(hint.hintType, 'seed_to_pot');
+    assert.equal(hint.fromX, garden.getZoneSeeds('shared')[1].homeX);
+});
+
+test('each competitive player has a tray in their own half', () => {
+    const garden = new GardenBed(createCanvas(1280, 720));
+    garden.configure({ playerCount: 2, gameMode: 'competitive', dividerX: 640 });
+
+    assert.ok(garden.getZoneSeeds(1).every(seed => seed.x > 640));
+    assert.ok(garden.getZoneSeeds(2).every(seed => seed.x < 640));
+    assert.equal(garden.getZoneSeeds(1).length, 3);
+});
+
+test('a held item is let go when the hand holding it disappears', () => {
+    const garden = createGarden();
+    const can = garden.getZoneWateringCan('shared');
+
+    runFrames(garden, FRAME, [handAt(can.x, can.y, { handId: 7 })]);
+    assert.equal(garden.heldItem, can);
+
+    // A different hand is still in view, but not the one holding the can
+    runFrames(garden, FRAME, [handAt(200, 200, { handId: 8 })]);
+    assert.equal(garden.heldItem, null);
+});
+
+test('a seed lifted slowly off its spot stays in the hand', () => {
+    const garden = createGarden();
+    const [seed] = garden.getZoneSeeds('shared');
+
+    // 5 px a frame, straight down toward the pots
+    for (let y = seed.homeY; y <= seed.homeY + 200; y += 5) {
+        runFrames(garden, FRAME, [handAt(seed.homeX, y)]);
+    }
+    assert.equal(garden.heldItem, seed);
+});
+
+test('a tool carried away and brought back home is put down', () => {
+    const garden = createGarden();
+    const can = garden.getZoneWateringCan('shared');
+
+    runFrames(garden, FRAME, [handAt(can.homeX, can.homeY)]);
+    runFrames(garden, FRAME, [handAt(can.homeX - 200, can.homeY - 200)]);
+    assert.equal(garden.heldItem, can);
+
+    // Near home, but outside the can's own pick-up radius
+    runFrames(garden, FRAME, [handAt(can.homeX - 70, can.homeY)]);
+    assert.equal(garden.heldItem, null);
+    assert.equal(can.x, can.homeX);
+});
+
+// ── Injected services ─────────────────────────────────────────────
+
+test('a garden uses the services it is given for seeds, sounds, logging and achievements', () => {
+    const played = [];
+    const logged = [];
+    const toolsUsed = [];
+    const garden = createGarden({
+        services: {
+            audio: { play: (sound) => played.push(sound) },
+            logger: { log: (type, data) => logged.push({ type, ...data }) },
+            achievements: { recordToolUse: (tool) => toolsUsed.push(tool) },
+            challenges: { currentChallenge: {}, getTargetPlants: () => ['sunflower'] },
+            pickItemType: () => 'sunflower'
+        }
+    });
+
+    assert.ok(garden.getZoneSeeds('shared').every(seed => seed.plantType === 'sunflower'));
+    assert.equal(garden.isTargetPlant('sunflower'), true);
+    assert.equal(garden.isTargetPlant('tomato'), false);
+
+    const can = garden.getZoneWateringCan('shared');
+    runFrames(garden, FRAME, [handAt(can.x, can.y)]);
+    const { x, y } = overPot(garden.plantPots[garden.plantPots.length - 1]);
+    runFrames(garden, 0.35, [handAt(x, y)]);
+
+    assert.deepEqual(toolsUsed, ['watering_can']);
+    assert.ok(played.includes('water'));
+    assert.equal(logged.find(event => event.type === 'toolUse').tool, 'watering_can');
+});
+
+// ── Wilting ───────────────────────────────────────────────────────
+
+test('a neglected plant wilts but never dies, and perks up with care', () => {
+    const pot = new PlantPot(640, 570, createCanvas());
+    pot.plantSeed('tomato');
+
+    for (let i = 0; i < 60; i++) pot.updateGrowth(0.3, FRAME);
+    assert.ok(pot.wilt > 0.4 && pot.wilt < 0.6, 'half drooped after 1s');
+    assert.equal(pot.isWilting, false);
+
+    // Left alone for a long time: fully wilted, still planted
+    for (let i = 0; i < 60 * 120; i++) pot.updateGrowth(0, FRAME);
+    assert.equal(pot.wilt, 1);
+    assert.equal(pot.isWilting, true);
+    assert.equal(pot.growthStage, GrowthStage.SEED_PLANTED);
+
+    // Care: growth restarts at once, the droop eases out over 1.5s
+    for (let i = 0; i < 60; i++) pot.updateGrowth(0.9, FRAME);
+    assert.ok(pot.growthProgress > 0);
+    assert.equal(pot.isWilting, true, 'still recovering');
+    for (let i = 0; i < 31; i++) pot.updateGrowth(0.9, FRAME);
+    assert.equal(pot.wilt, 0);
+    assert.equal(pot.isWilting, false);
+});
+
+test('the garden sighs when a plant wilts and rustles when it recovers', () => {
+    const played = [];
+    const logged = [];
+    const garden = createGarden({
+        services: {
+            audio: { play: (sound) => played.push(sound) },
+            logger: { log: (type, data) => logged.push({ type, ...data }) }
+        }
+    });
+    garden.plantPots[0].plantSeed('tomato');
+    const needs = garden.plantPots[0].needs;
+
+    // Needs start around 70% and run down: the plant wilts after a while
+    runFrames(garden, 30, []);
+    assert.equal(garden.plantPots[0].isWilting, true);
+    assert.deepEqual(played, ['wilt']);
+
+    needs.maxAll();
+    runFrames(garden, 2, []);
+    assert.equal(garden.plantPots[0].isWilting, false);
+    assert.deepEqual(played, ['wilt', 'plant']);
+    assert.deepEqual(logged.filter(e => e.type === 'wilt').map(e => e.recovered), [false, true]);
+});
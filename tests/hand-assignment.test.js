@@ -0,0 +1,119 @@
+/**
+ * Hand assignment tests: recorded-style landmark frames paired into players
+ * by HandAssigner, as HandTracker does for four-hand two-player games
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment, createCanvas, handLandmarks } from './harness.js';
+import { GardenBed } from '../js/garden/garden-bed.js';
+import { HandAssigner } from '../js/hand-assignment.js';
+
+const FPS = 30;
+
+/**
+ * One detected frame: [{ x, y, isLeft }] → [{ landmarks, isLeft }]
+ */
+function frame(hands) {
+    return hands.map(({ x, y, isLeft }) => ({ landmarks: handLandmarks(x, y), isLeft }));
+}
+
+/** Two players side by side, each with both hands up (player 1 on the high-x side) */
+const FOUR_HANDS = [
+    { x: 0.85, y: 0.4, isLeft: true },
+    { x: 0.65, y: 0.4, isLeft: false },
+    { x: 0.35, y: 0.4, isLeft: true },
+    { x: 0.15, y: 0.4, isLeft: false }
+];
+
+/**
+ * Feed frames in turn, one every 1/FPS seconds
+ * @returns {Array} The last frame's assigned hands
+ */
+function play(assigner, frames, startTime = 0) {
+    let assigned = [];
+    frames.forEach((hands, i) => {
+        assigned = assigner.assign(frame(hands), 2, startTime + i / FPS);
+    });
+    return assigned;
+}
+
+beforeEach(() => resetEnvironment());
+
+test('four hands become two players of two hands each', () => {
+    const assigner = new HandAssigner();
+    const assigned = assigner.assign(frame(FOUR_HANDS), 2, 0);
+
+    assert.deepEqual(assigned.map(hand => hand.playerId), [1, 1, 2, 2]);
+    assert.equal(new Set(assigned.map(hand => hand.handId)).size, 4, 'every hand has its own identity');
+    assert.ok(assigner.dividerX > 0.35 && assigner.dividerX < 0.65, `divider at ${assigner.dividerX}`);
+});
+
+test('a player\'s hands keep their identities when they cross over', () => {
+    const assigner = new HandAssigner();
+    const first = assigner.assign(frame(FOUR_HANDS), 2, 0);
+
+    // Player 1's hands swap sides, a little each frame (one higher than the other)
+    const frames = [];
+    for (let i = 1; i <= 10; i++) {
+        const t = i / 10;
+        frames.push([
+            { x: 0.85 - 0.2 * t, y: 0.3, isLeft: true },
+            { x: 0.65 + 0.2 * t, y: 0.5, isLeft: false },
+            FOUR_HANDS[2],
+            FOUR_HANDS[3]
+        ]);
+    }
+    const crossed = play(assigner, frames, 1 / FPS);
+
+    assert.deepEqual(crossed.map(hand => hand.handId), first.map(hand => hand.handId));
+    assert.deepEqual(crossed.map(hand => hand.playerId), [1, 1, 2, 2]);
+});
+
+test('a hand that drops out for a few frames rejoins its player as the same hand', () => {
+    const assigner = new HandAssigner();
+    const first = assigner.assign(frame(FOUR_HANDS), 2, 0);
+    const inner = first[2]; // Player 2's hand nearest the middle
+
+    // Gone for 10 frames (a third of a second): the other three carry on
+    const without = FOUR_HANDS.filter((_, i) => i !== 2);
+    const during = play(assigner, Array(10).fill(without), 1 / FPS);
+    assert.deepEqual(during.map(hand => hand.playerId), [1, 1, 2]);
+
+    const back = assigner.assign(frame(FOUR_HANDS), 2, 11 / FPS);
+    assert.equal(back[2].handId, inner.handId);
+    assert.equal(back[2].playerId, 2);
+});
+
+test('a hand gone longer than the track hold comes back as a new hand', () => {
+    const assigner = new HandAssigner();
+    const first = assigner.assign(frame(FOUR_HANDS), 2, 0);
+
+    const without = FOUR_HANDS.filter((_, i) => i !== 2);
+    play(assigner, Array(30).fill(without), 1 / FPS); // a second
+
+    const back = assigner.assign(frame(FOUR_HANDS), 2, 31 / FPS);
+    assert.notEqual(back[2].handId, first[2].handId);
+    assert.equal(back[2].playerId, 2, 'still placed by which side of the divider it is on');
+});
+
+test('player 1 is on the high-x side, the zone GardenBed gives them', () => {
+    const canvas = createCanvas(1280, 720);
+    const assigner = new HandAssigner();
+    const assigned = assigner.assign(frame(FOUR_HANDS), 2, 0);
+
+    const garden = new GardenBed(canvas);
+    garden.configure({ playerCount: 2, gameMode: 'competitive', dividerX: assigner.dividerX * canvas.width });
+
+    assigned.forEach((hand, i) => {
+        assert.equal(garden.getZoneOwner(FOUR_HANDS[i].x * canvas.width), hand.playerId);
+    });
+});
+
+test('with one player every hand is theirs', () => {
+    const assigner = new HandAssigner();
+    const assigned = assigner.assign(frame(FOUR_HANDS.slice(0, 2)), 1, 0);
+
+    assert.deepEqual(assigned.map(hand => hand.playerId), [1, 1]);
+});
@@ -0,0 +1,179 @@
+/**
+ * Test Harness for Garden Grow Game
+ * Sets up just enough of a browser in Node for the game's modules to run
+ * without a page or camera. Import it before any game module, so the
+ * environment is in place when their top-level code runs:
+ *
+ *     import { resetEnvironment, clock } from './harness.js';
+ *     import { GardenBed } from '../js/garden/garden-bed.js';
+ *
+ *     beforeEach(() => resetEnvironment());
+ *
+ * The environment provides:
+ * - a stubbed canvas (every 2D context call is a no-op)
+ * - a simulated clock driving Date.now(), performance.now() and setTimeout()
+ * - in-memory localStorage and a seeded Math.random()
+ * - window (the global object) and an empty location.search
+ *
+ * console.log is silenced — the game logs a lot.
+ *
+ * It also builds gardens for the garden tests (createGarden). The garden
+ * modules do no browser work when they load, so importing them here, ahead
+ * of the environment, is safe.
+ */
+
+import { GardenBed } from '../js/garden/garden-bed.js';
+
+// One game frame at 60fps (seconds)
+export const FRAME = 1 / 60;
+
+// Start of simulated time (ms since epoch)
+const CLOCK_START = Date.UTC(2025, 0, 1, 10, 0, 0);
+
+/**
+ * Canvas 2D context where every method is a no-op
+ */
+function createStubContext() {
+    const gradient = { addColorStop() {} };
+    const methods = {
+        measureText: (text) => ({ width: String(text).length * 8 }),
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4) })
+    };
+    const state = {};
+
+    return new Proxy(state, {
+        get(target, prop) {
+            if (prop in methods) return methods[prop];
+            if (prop in target) return target[prop];
+            return () => {};
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * Canvas element stand-in
+ */
+export function createCanvas(width = 1280, height = 720) {
+    const ctx = createStubContext();
+    return { width, height, style: {}, getContext: () => ctx };
+}
+
+/**
+ * Simulated clock: time only moves when advance() is called, and timers
+ * fire in order as it passes them
+ */
+export const clock = {
+    now: CLOCK_START,
+    timers: [],
+    nextTimerId: 1,
+
+    setTimeout(callback, delay = 0) {
+        const id = clock.nextTimerId++;
+        clock.timers.push({ id, time: clock.now + Math.max(0, delay), callback });
+        return id;
+    },
+
+    clearTimeout(id) {
+        clock.timers = clock.timers.filter(timer => timer.id !== id);
+    },
+
+    /** Move time forward (seconds), running any timers that come due */
+    advance(seconds) {
+        const end = clock.now + seconds * 1000;
+        for (;;) {
+            const due = clock.timers
+                .filter(timer => timer.time <= end)
+                .sort((a, b) => a.time - b.time || a.id - b.id)[0];
+            if (!due) break;
+            clock.timers = clock.timers.filter(timer => timer !== due);
+            clock.now = Math.max(clock.now, due.time);
+            due.callback();
+        }
+        clock.now = end;
+    }
+};
+
+/**
+ * Repeatable Math.random() (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ── Browser environment ───────────────────────────────────────────
+
+const storage = new Map();
+let random = createRandom(1);
+
+globalThis.window = globalThis;
+globalThis.location = { search: '' };
+globalThis.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key),
+    clear: () => storage.clear()
+};
+globalThis.setTimeout = clock.setTimeout;
+globalThis.clearTimeout = clock.clearTimeout;
+Object.defineProperty(globalThis, 'performance', {
+    value: { now: () => clock.now - CLOCK_START },
+    configurable: true,
+    writable: true
+});
+Date.now = () => clock.now;
+Math.random = () => random();
+console.log = () => {};
+
+/**
+ * Start a test from a clean slate: clock back to the start with no timers,
+ * empty localStorage and a freshly seeded Math.random()
+ * @param {Object} [options] - { seed }
+ */
+export function resetEnvironment({ seed = 1 } = {}) {
+    clock.now = CLOCK_START;
+    clock.timers = [];
+    storage.clear();
+    random = createRandom(seed);
+}
+
+/**
+ * 21 landmarks with every fingertip at (x, y) (normalized) and the wrist below
+ */
+export function handLandmarks(x, y) {
+    return Array.from({ length: 21 }, (_, i) => {
+        if (i === 0) return { x, y: y + 0.15, z: 0 };
+        if (i === 9) return { x, y: y + 0.05, z: 0 };
+        return { x, y, z: 0 };
+    });
+}
+
+/**
+ * One collision point, in the shape HandTracker reports (index fingertip by default)
+ */
+export function handAt(x, y, { handId = 1, playerId = 1, isLeft = false, landmarkIndex = 8 } = {}) {
+    return { x, y, handId, playerId, isLeft, landmarkIndex };
+}
+
+/**
+ * Garden set up for a round, solo co-op on a 1280×720 canvas unless told otherwise
+ * @param {Object} [options] - { gameMode, playerCount, chapter, canvas, services }
+ *   (chapter: story chapter for the plot layout; services: GardenBed services)
+ */
+export function createGarden({ gameMode = 'coop', playerCount = 1, chapter = null, canvas = createCanvas(1280, 720), services = {} } = {}) {
+    const garden = new GardenBed(canvas, chapter != null ? { getChapter: () => chapter, ...services } : services);
+    garden.configure({ playerCount, gameMode });
+    return garden;
+}
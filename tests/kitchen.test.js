@@ -0,0 +1,133 @@
+/**
+ * Activity theme tests: the kitchen theme and the interface every theme implements
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment, clock, createCanvas, handAt, FRAME } from './harness.js';
+import { KitchenCounter } from '../js/kitchen/kitchen-counter.js';
+import { THEMES, getTheme } from '../js/themes.js';
+
+/**
+ * Solo kitchen on a 1280×720 canvas
+ */
+function createKitchen(services) {
+    const kitchen = new KitchenCounter(createCanvas(1280, 720), services);
+    kitchen.configure({ playerCount: 1, gameMode: 'coop' });
+    return kitchen;
+}
+
+/**
+ * Run frames the way the game loop does: update, then hands
+ * @returns {Array} Everything finished over those frames
+ */
+function runFrames(kitchen, seconds, handPositions) {
+    const finished = [];
+    const frames = Math.round(seconds / FRAME);
+    for (let i = 0; i < frames; i++) {
+        clock.advance(FRAME);
+        kitchen.update(FRAME);
+        finished.push(...kitchen.checkCollisions(handPositions));
+    }
+    return finished;
+}
+
+beforeEach(() => resetEnvironment());
+
+// ── Kitchen ───────────────────────────────────────────────────────
+
+test('a vegetable washed at the sink and put in the bowl is reported like a harvest', () => {
+    const kitchen = createKitchen({ pickItemType: () => 'carrot' });
+    const { produce, sink, bowl } = kitchen.zones.get('shared');
+
+    runFrames(kitchen, FRAME, [handAt(produce.x, produce.y)]);
+    assert.equal(produce.isBeingHeld, true);
+
+    runFrames(kitchen, 0.6, [handAt(sink.x, sink.y)]);
+    assert.equal(produce.isWashed, true);
+
+    const finished = runFrames(kitchen, FRAME, [handAt(bowl.x, bowl.y)]);
+    assert.equal(finished.length, 1);
+    assert.equal(finished[0].plantKey, 'carrot');
+    assert.equal(finished[0].playerId, 1);
+    assert.equal(finished[0].isTargetPlant, false);
+    assert.ok(finished[0].growTime > 0.6 && finished[0].growTime < 1);
+
+    // Next vegetable arrives in the crate
+    assert.equal(kitchen.zones.get('shared').produce, null);
+    runFrames(kitchen, 1, []);
+    assert.ok(kitchen.zones.get('shared').produce);
+});
+
+test('washing takes half a second under the tap, and starts over if taken away', () => {
+    const kitchen = createKitchen();
+    const { produce, sink } = kitchen.zones.get('shared');
+    runFrames(kitchen, FRAME, [handAt(produce.x, produce.y)]);
+
+    runFrames(kitchen, 0.4, [handAt(sink.x, sink.y)]);
+    assert.equal(produce.isWashed, false);
+    assert.equal(sink.isRunning, true);
+
+    runFrames(kitchen, FRAME, [handAt(sink.x, 300)]);
+    assert.equal(produce.washProgress, 0);
+    assert.equal(sink.isRunning, false);
+
+    runFrames(kitchen, 0.45, [handAt(sink.x, sink.y)]);
+    assert.equal(produce.isWashed, false, 'not after 0.45s');
+    runFrames(kitchen, 0.1, [handAt(sink.x, sink.y)]);
+    assert.equal(produce.isWashed, true, 'washed by 0.55s');
+});
+
+test('an unwashed vegetable does not count in the bowl', () => {
+    const kitchen = createKitchen();
+    const { produce, bowl } = kitchen.zones.get('shared');
+
+    runFrames(kitchen, FRAME, [handAt(produce.x, produce.y)]);
+    const finished = runFrames(kitchen, 0.5, [handAt(bowl.x, bowl.y)]);
+
+    assert.deepEqual(finished, []);
+    assert.equal(kitchen.zones.get('shared').produce, produce);
+});
+
+test('competitive kitchens give each player their own zone and credit', () => {
+    const kitchen = new KitchenCounter(createCanvas(1280, 720));
+    kitchen.configure({ playerCount: 2, gameMode: 'competitive', dividerX: 640 });
+
+    assert.deepEqual([...kitchen.zones.keys()], [1, 2]);
+    const p2 = kitchen.zones.get(2);
+    assert.ok(p2.sink.x < 640 && p2.bowl.x < 640);
+
+    const hand = (x, y) => handAt(x, y, { handId: 5, playerId: 2 });
+    runFrames(kitchen, FRAME, [hand(p2.produce.x, p2.produce.y)]);
+    runFrames(kitchen, 0.6, [hand(p2.sink.x, p2.sink.y)]);
+    const finished = runFrames(kitchen, FRAME, [hand(p2.bowl.x, p2.bowl.y)]);
+
+    assert.equal(finished.length, 1);
+    assert.equal(finished[0].playerId, 2);
+    assert.equal(kitchen.zones.get(1).produce.isWashed, false);
+});
+
+// ── Theme interface ───────────────────────────────────────────────
+
+test('every theme creates an activity with the full interface', () => {
+    const methods = ['configure', 'clear', 'setDifficulty', 'applyDDA', 'setPlayerIdleTime',
+        'determineHint', 'update', 'draw', 'checkCollisions', 'releaseItem'];
+
+    for (const theme of THEMES) {
+        const activity = theme.create(createCanvas(1280, 720), {});
+        for (const method of methods) {
+            assert.equal(typeof activity[method], 'function', `${theme.id}.${method}`);
+        }
+
+        activity.configure({ playerCount: 1, gameMode: 'solo' });
+        assert.equal(activity.playerCount, 1);
+        activity.update(FRAME);
+        assert.ok(Array.isArray(activity.checkCollisions([])));
+    }
+});
+
+test('an unknown theme falls back to the garden', () => {
+    assert.equal(getTheme('aquarium').id, 'garden');
+    assert.equal(getTheme('kitchen').id, 'kitchen');
+});
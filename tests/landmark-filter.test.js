@@ -0,0 +1,46 @@
+/**
+ * Landmark filter tests: smoothing strengths and bridging short tracking dropouts
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment } from './harness.js';
+import { LandmarkFilter } from '../js/landmark-filter.js';
+
+const FPS = 30;
+
+/** One hand with every landmark at (x, y) */
+function hand(x, y, handId = 1) {
+    return { handId, landmarks: Array.from({ length: 21 }, () => ({ x, y, z: 0 })) };
+}
+
+beforeEach(() => resetEnvironment());
+
+test('smoothing holds back a sudden jump', () => {
+    const filter = new LandmarkFilter();
+    filter.process([hand(0.5, 0.5)], 0);
+    const [smoothed] = filter.process([hand(0.6, 0.5)], 1 / FPS);
+
+    assert.ok(smoothed.landmarks[8].x > 0.5 && smoothed.landmarks[8].x < 0.6, `at ${smoothed.landmarks[8].x}`);
+    assert.equal(smoothed.rawLandmarks[8].x, 0.6);
+});
+
+test('with smoothing off, landmarks pass straight through but dropouts are still bridged', () => {
+    const filter = new LandmarkFilter();
+    filter.setStrength('off');
+
+    filter.process([hand(0.5, 0.5)], 0);
+    const [moved] = filter.process([hand(0.6, 0.5)], 1 / FPS);
+    assert.equal(moved.landmarks[8].x, 0.6);
+
+    // The hand flickers out for a few frames: it is still reported where it was
+    const missing = filter.process([], 4 / FPS);
+    assert.equal(missing.length, 1);
+    assert.equal(missing[0].handId, 1);
+    assert.equal(missing[0].landmarks[8].x, 0.6);
+    assert.equal(missing[0].rawLandmarks, null);
+
+    // Gone for longer than that, it is let go
+    assert.deepEqual(filter.process([], 1), []);
+});
@@ -0,0 +1,96 @@
+/**
+ * Plant catalogue tests: data/plants.json and per-plant growth and needs profiles
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { resetEnvironment, createCanvas, FRAME } from './harness.js';
+import { PLANT_TYPES, DEFAULT_PLANT_PROFILE, GrowthStage } from '../js/garden/constants.js';
+import { applyPlantCatalogue, normalizePlant } from '../js/garden/plant-catalogue.js';
+import { PlantPot } from '../js/garden/plant-pot.js';
+import { PlantNeeds } from '../js/garden/plant-needs.js';
+
+const BUILT_IN = structuredClone(PLANT_TYPES);
+const catalogue = JSON.parse(readFileSync(new URL('../data/plants.json', import.meta.url), 'utf8'));
+
+/**
+ * Seconds a freshly planted seed takes to become harvestable at full needs
+ */
+function secondsToHarvest(plantType) {
+    const pot = new PlantPot(640, 570, createCanvas());
+    pot.plantSeed(plantType);
+
+    let seconds = 0;
+    while (pot.growthStage !== GrowthStage.HARVESTABLE && seconds < 120) {
+        pot.updateGrowth(1, FRAME);
+        seconds += FRAME;
+    }
+    return seconds;
+}
+
+beforeEach(() => {
+    resetEnvironment();
+    applyPlantCatalogue({ plants: BUILT_IN });
+});
+
+test('the shipped catalogue is complete and matches the built-in plants', () => {
+    for (const [key, entry] of Object.entries(catalogue.plants)) {
+        assert.deepEqual(normalizePlant(entry), entry, `${key} relies on defaults or has bad values`);
+    }
+    assert.deepEqual(catalogue.plants, BUILT_IN);
+});
+
+test('each plant grows at its own pace through its own stages', () => {
+    const lettuce = secondsToHarvest('lettuce');
+    const sunflower = secondsToHarvest('sunflower');
+    assert.ok(lettuce > 11.9 && lettuce < 12.2, `lettuce took ${lettuce.toFixed(2)}s`);
+    assert.ok(sunflower > 19.9 && sunflower < 20.2, `sunflower took ${sunflower.toFixed(2)}s`);
+
+    // Lettuce has three stages: it never flowers
+    const pot = new PlantPot(640, 570, createCanvas());
+    pot.plantSeed('lettuce');
+    const seen = new Set();
+    while (pot.growthStage !== GrowthStage.HARVESTABLE) {
+        seen.add(pot.growthStage);
+        pot.advanceGrowthStage();
+    }
+    assert.deepEqual([...seen], [GrowthStage.SEED_PLANTED, GrowthStage.SPROUTING, GrowthStage.GROWING]);
+});
+
+test('needs run down at the plant\'s own rates, scaled by difficulty', () => {
+    const sunflower = new PlantNeeds(PLANT_TYPES.sunflower.needs);
+    const lettuce = new PlantNeeds(PLANT_TYPES.lettuce.needs);
+    assert.ok(sunflower.sunDepleteRate > sunflower.waterDepleteRate, 'sunflowers want sun');
+    assert.ok(lettuce.waterDepleteRate > lettuce.sunDepleteRate, 'lettuce wants water');
+
+    sunflower.scaleDepletion(0.5);
+    assert.ok(Math.abs(sunflower.sunDepleteRate - 0.0175) < 1e-9);
+    sunflower.scaleDepletion(1);
+    assert.equal(sunflower.sunDepleteRate, 0.035);
+});
+
+test('a seasonal plant added to the catalogue can be grown, with defaults filled in', () => {
+    const applied = applyPlantCatalogue({
+        plants: {
+            ...BUILT_IN,
+            pumpkin: { name: 'PUMPKIN', icon: '🎃', seedColor: '#F5DEB3', plantColor: '#FF7518', stemColor: '#228B22', growTime: 24 },
+            broken: { name: 'NO ICON' }
+        }
+    });
+
+    assert.equal(applied, true);
+    assert.equal(PLANT_TYPES.broken, undefined);
+    assert.equal(PLANT_TYPES.pumpkin.stages, DEFAULT_PLANT_PROFILE.stages);
+    assert.deepEqual(PLANT_TYPES.pumpkin.needs, DEFAULT_PLANT_PROFILE.needs);
+
+    const seconds = secondsToHarvest('pumpkin');
+    assert.ok(seconds > 23.9 && seconds < 24.2, `took ${seconds.toFixed(2)}s`);
+});
+
+test('a catalogue with no usable plants keeps the built-in ones', () => {
+    assert.equal(applyPlantCatalogue({ plants: { broken: {} } }), false);
+    assert.equal(applyPlantCatalogue(null), false);
+    assert.deepEqual(Object.keys(PLANT_TYPES), Object.keys(BUILT_IN));
+});
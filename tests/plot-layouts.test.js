@@ -0,0 +1,72 @@
+/**
+ * Plot layout tests: the shared garden growing with the story chapters
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment, createCanvas, createGarden, FRAME } from './harness.js';
+import { GardenBed } from '../js/garden/garden-bed.js';
+import { PLOT_LAYOUTS, getPlotLayout } from '../js/garden/plot-layouts.js';
+
+beforeEach(() => resetEnvironment());
+
+test('new beds, planters and then a greenhouse unlock chapter by chapter', () => {
+    const areaTypes = (garden) => garden.plotAreas.map(area => area.type).sort();
+
+    const chapter1 = createGarden({ chapter: 1 });
+    assert.equal(chapter1.plantPots.length, 3);
+    assert.deepEqual(areaTypes(chapter1), ['bed']);
+
+    const chapter2 = createGarden({ chapter: 2 });
+    assert.equal(chapter2.plantPots.length, 4);
+    assert.deepEqual(areaTypes(chapter2), ['bed', 'planter', 'planter']);
+
+    const chapter3 = createGarden({ chapter: 3 });
+    assert.deepEqual(areaTypes(chapter3), ['bed', 'greenhouse', 'planter', 'planter']);
+    assert.deepEqual(chapter3.plantPots.map(pot => pot.sheltered), [false, true, true, false]);
+
+    // Without a story (or past the last layout) the nearest layout is used
+    assert.equal(new GardenBed(createCanvas()).plantPots.length, 1);
+    assert.equal(getPlotLayout(0), PLOT_LAYOUTS[0]);
+    assert.equal(getPlotLayout(9), PLOT_LAYOUTS[2]);
+});
+
+test('every layout fits the screen without pots, suns or tools overlapping', () => {
+    for (const [width, height] of [[1280, 720], [1024, 768], [1920, 1080]]) {
+        for (const layout of PLOT_LAYOUTS) {
+            const garden = createGarden({ chapter: layout.chapter, canvas: createCanvas(width, height) });
+            const where = `chapter ${layout.chapter} at ${width}×${height}`;
+            const pots = garden.plantPots;
+            const tools = [garden.wateringCan, garden.fertilizerBag];
+
+            pots.forEach((pot, i) => {
+                assert.ok(pot.x - pot.potWidth / 2 > 0 && pot.x + pot.potWidth / 2 < width, `pot on screen, ${where}`);
+                if (i > 0) assert.ok(pot.x - pots[i - 1].x > pot.potWidth + 20, `pots apart, ${where}`);
+
+                const sun = garden.getPotSunArea(pot);
+                if (i > 0) {
+                    const previous = garden.getPotSunArea(pots[i - 1]);
+                    assert.ok(sun.x - previous.x > sun.radius + previous.radius, `suns apart, ${where}`);
+                }
+
+                for (const tool of tools) {
+                    assert.ok(Math.abs(tool.x - pot.x) > pot.potWidth / 2 + tool.width / 2, `tool clear of pot, ${where}`);
+                }
+            });
+        }
+    }
+});
+
+test('pots in the greenhouse are sheltered from the weather', () => {
+    const garden = createGarden({ chapter: 3, services: { getSeason: () => 'spring' } });
+    garden.plantPots.forEach(pot => pot.plantSeed('sunflower'));
+
+    // Spring: 20s of sun, then rain
+    for (let i = 0; i < Math.round(23.5 / FRAME); i++) garden.update(FRAME);
+    assert.equal(garden.weather.current.id, 'rain');
+
+    const [outside, inside] = garden.plantPots;
+    assert.ok(outside.needs.water > inside.needs.water, 'rain waters the pots outside');
+    assert.ok(Math.abs(inside.needs.water - (0.7 - 0.02 * 23.5)) < 0.01, 'the greenhouse runs at the plant\'s own rate');
+});
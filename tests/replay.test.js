@@ -0,0 +1,115 @@
+/**
+ * Recorded-hands tests: landmark recordings played through HandTracker into
+ * GardenBed.checkCollisions, the same path as the camera
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment, clock, createCanvas, handLandmarks } from './harness.js';
+import { GrowthStage } from '../js/garden/constants.js';
+import { GardenBed } from '../js/garden/garden-bed.js';
+import { HandTracker } from '../js/handTracking.js';
+import { LandmarkRecorder, LandmarkReplay } from '../js/landmark-recorder.js';
+
+const FPS = 30;
+
+/**
+ * Build a recording of one right hand visiting points in turn
+ * @param {Array} stops - [{ x, y, seconds }] in canvas pixels
+ */
+function recordPath(canvas, stops) {
+    const recorder = new LandmarkRecorder();
+    recorder.start(1, canvas);
+
+    let time = 0;
+    let from = stops[0];
+    stops.forEach(stop => {
+        const frames = Math.round(stop.seconds * FPS);
+        for (let i = 1; i <= frames; i++) {
+            // Glide over the first third of the stop, then hold still
+            const t = Math.min(1, i / (frames / 3));
+            const x = from.x + (stop.x - from.x) * t;
+            const y = from.y + (stop.y - from.y) * t;
+            recorder.record({
+                multiHandLandmarks: [handLandmarks(x / canvas.width, y / canvas.height)],
+                multiHandedness: [{ label: 'Left', score: 0.95 }]
+            }, time);
+            time += 1 / FPS;
+        }
+        from = stop;
+    });
+
+    // Through JSON, as a saved file would be
+    return JSON.parse(JSON.stringify(recorder.stop()));
+}
+
+/**
+ * Replay a recording into a solo garden, one game frame per recorded frame
+ */
+function replayIntoGarden(canvas, recording) {
+    const garden = new GardenBed(canvas);
+    garden.configure({ playerCount: 1, gameMode: 'coop' });
+
+    const tracker = new HandTracker();
+    tracker.canvas = canvas;
+
+    const replay = new LandmarkReplay();
+    assert.ok(replay.load(recording));
+
+    let lastTime = 0;
+    replay.runAll((results, time) => {
+        clock.advance(time - lastTime);
+        garden.update(Math.max(time - lastTime, 1 / FPS));
+        lastTime = time;
+
+        tracker.onResults(results, time);
+        garden.checkCollisions(tracker.handPositions);
+    });
+
+    return { garden, tracker };
+}
+
+beforeEach(() => resetEnvironment());
+
+test('a recording round-trips through JSON with its timing', () => {
+    const canvas = createCanvas(1280, 720);
+    const recording = recordPath(canvas, [{ x: 640, y: 100, seconds: 1 }]);
+
+    assert.equal(recording.version, 1);
+    assert.equal(recording.frames.length, FPS);
+    assert.equal(recording.frames[0].t, 0);
+    assert.ok(Math.abs(recording.frames[FPS - 1].t - (FPS - 1) / FPS) < 1e-4);
+    assert.deepEqual(recording.canvas, { width: 1280, height: 720 });
+});
+
+test('a replayed hand carries the seed to a pot and plants it', () => {
+    const canvas = createCanvas(1280, 720);
+
+    // Solo layout: seed at (640, 100), middle pot at (640, 570)
+    const recording = recordPath(canvas, [
+        { x: 640, y: 100, seconds: 1 },
+        { x: 640, y: 520, seconds: 2 }
+    ]);
+    const { garden, tracker } = replayIntoGarden(canvas, recording);
+
+    assert.equal(tracker.trackedHands.length, 1);
+    assert.equal(garden.plantPots[1].growthStage, GrowthStage.SEED_PLANTED);
+    assert.equal(garden.heldItem, null);
+});
+
+test('a hand that flickers out for a frame keeps hold of the watering can', () => {
+    const canvas = createCanvas(1280, 720);
+
+    // Solo layout: watering can at (1130, 570)
+    const recording = recordPath(canvas, [
+        { x: 1130, y: 570, seconds: 1 },
+        { x: 1000, y: 400, seconds: 1 }
+    ]);
+    // Drop two frames mid-carry, as MediaPipe sometimes does
+    recording.frames[40].multiHandLandmarks = [];
+    recording.frames[41].multiHandLandmarks = [];
+
+    const { garden } = replayIntoGarden(canvas, recording);
+    assert.equal(garden.heldItem, garden.getZoneWateringCan('shared'));
+});
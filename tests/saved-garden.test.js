@@ -0,0 +1,116 @@
+/**
+ * Saved garden tests: the Free Play garden between visits
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment, clock, createCanvas, createGarden, FRAME } from './harness.js';
+import { GrowthStage } from '../js/garden/constants.js';
+import { saveGarden, loadSavedGarden, clearSavedGarden, growWhileAway } from '../js/garden/garden-save.js';
+import { Game } from '../js/game.js';
+import { storyManager } from '../js/story.js';
+import { getTheme } from '../js/themes.js';
+
+const HOUR = 60 * 60;
+
+/**
+ * A fresh page load's game entering Free Play (no DOM, no game loop)
+ */
+function startFreePlayVisit() {
+    const game = new Game();
+    game.canvas = createCanvas(1280, 720);
+    game.theme = getTheme('garden');
+    game.gameMode = 'freeplay';
+    game.isRunning = true;
+    game.startFreePlay();
+    return game;
+}
+
+beforeEach(() => resetEnvironment());
+
+test('a saved garden comes back pot for pot on the next visit', () => {
+    const garden = createGarden({ gameMode: 'freeplay' });
+    garden.plantPots[0].plantSeed('carrot');
+    garden.plantPots[2].plantSeed('sunflower');
+    for (let i = 0; i < 480; i++) garden.update(FRAME);
+    saveGarden(garden.getSnapshot());
+
+    const next = createGarden({ gameMode: 'freeplay' });
+    next.restoreSnapshot(loadSavedGarden());
+
+    assert.deepEqual(next.plantPots.map(pot => pot.plantType), ['carrot', null, 'sunflower']);
+    assert.equal(next.plantPots[0].growthStage, GrowthStage.SPROUTING);
+    assert.ok(Math.abs(next.plantPots[0].growthProgress - garden.plantPots[0].growthProgress) < 1e-9);
+    assert.equal(next.plantPots[2].needs.sun, garden.plantPots[2].needs.sun);
+    assert.equal(next.plantPots[2].needs.sunDepleteRate, 0.035, 'needs run down at the plant\'s own rates');
+});
+
+test('plants grow gently while the resident is away, and never wilt', () => {
+    const garden = createGarden({ gameMode: 'freeplay' });
+    garden.plantPots[0].plantSeed('lettuce');
+    garden.plantPots[0].needs.water = 0.1;
+    saveGarden(garden.getSnapshot());
+
+    clock.advance(HOUR / 2);
+    let pot = loadSavedGarden().pots[0];
+    assert.equal(pot.growthStage, GrowthStage.SPROUTING, 'one stage per half hour');
+    assert.equal(pot.needs.water, 0.5, 'needs stop running down above the wilt line');
+
+    clock.advance(24 * HOUR);
+    pot = loadSavedGarden().pots[0];
+    assert.equal(pot.growthStage, GrowthStage.HARVESTABLE);
+    assert.equal(pot.growthProgress, 1);
+
+    const next = createGarden({ gameMode: 'freeplay' });
+    next.restoreSnapshot(loadSavedGarden());
+    assert.equal(next.plantPots[0].growthStage, GrowthStage.HARVESTABLE);
+    assert.equal(next.plantPots[0].isWilting, false);
+});
+
+test('plants no longer in the catalogue, or saved in a stage they do not have, come back as empty pots', () => {
+    assert.equal(growWhileAway({ plantType: 'dragonfruit', growthStage: GrowthStage.GROWING }, 0).growthStage, GrowthStage.EMPTY);
+    assert.equal(growWhileAway({ plantType: 'lettuce', growthStage: GrowthStage.MATURE }, 0).growthStage, GrowthStage.EMPTY);
+});
+
+test('nothing is restored once the saved garden is forgotten', () => {
+    const garden = createGarden({ gameMode: 'freeplay' });
+    garden.plantPots[0].plantSeed('tomato');
+    saveGarden(garden.getSnapshot());
+    clearSavedGarden();
+
+    assert.equal(loadSavedGarden(), null);
+});
+
+test('entering Free Play on a new visit brings the garden back rather than saving over it', () => {
+    const first = startFreePlayVisit();
+    first.activity.plantPots[0].plantSeed('tomato');
+    for (let i = 0; i < 480; i++) first.activity.update(FRAME);
+    first.saveGarden();
+
+    // Next page load: a new game with a new, empty Free Play garden
+    const second = startFreePlayVisit();
+    assert.equal(second.activity.plantPots[0].plantType, 'tomato');
+    assert.equal(second.activity.plantPots[0].growthStage, GrowthStage.SPROUTING);
+    assert.equal(loadSavedGarden().pots[0].plantType, 'tomato');
+
+    // Coming back to Free Play in the same visit keeps the same garden
+    second.startFreePlay();
+    assert.equal(second.activity.plantPots[0].plantType, 'tomato');
+    assert.equal(loadSavedGarden().pots[0].plantType, 'tomato');
+});
+
+test('Free Play is laid out again for a new chapter, keeping what is growing', () => {
+    const game = startFreePlayVisit();
+    assert.equal(game.activity.plantPots.length, 3);
+    game.activity.plantPots[0].plantSeed('tomato');
+
+    // A challenge round finishes chapter 1 before the resident comes back to Free Play
+    storyManager.currentChapter = 2;
+    game.startFreePlay();
+    storyManager.reset();
+
+    assert.equal(game.activity.plantPots.length, 4);
+    assert.deepEqual(game.activity.plotAreas.map(area => area.type).sort(), ['bed', 'planter', 'planter']);
+    assert.equal(game.activity.plantPots[0].plantType, 'tomato');
+});
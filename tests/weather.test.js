@@ -0,0 +1,109 @@
+/**
+ * Weather tests: the spell cycle, seasons and what weather does to plant needs
+ * Run with: node --test tests/*.test.js
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetEnvironment, createCanvas, FRAME, createGarden } from './harness.js';
+import { Weather, WEATHER_TYPES, getCalendarSeason } from '../js/garden/weather.js';
+
+/**
+ * Run the weather on its own for a while
+ */
+function runWeather(weather, seconds) {
+    for (let i = 0; i < Math.round(seconds / FRAME); i++) weather.update(FRAME);
+}
+
+beforeEach(() => resetEnvironment());
+
+test('weather changes every 20 seconds, cycling back to the start', () => {
+    const weather = new Weather(createCanvas());
+    const seen = [weather.current.id];
+    for (let i = 0; i < 4; i++) {
+        runWeather(weather, 20);
+        seen.push(weather.current.id);
+    }
+    assert.deepEqual(seen, ['sunny', 'cloudy', 'rain', 'breezy', 'sunny']);
+});
+
+test('following the calendar, each season brings its own weather', () => {
+    assert.equal(getCalendarSeason(new Date(2025, 3, 10)), 'spring');
+    assert.equal(getCalendarSeason(new Date(2025, 6, 1)), 'summer');
+    assert.equal(getCalendarSeason(new Date(2025, 9, 31)), 'autumn');
+    assert.equal(getCalendarSeason(new Date(2025, 0, 5)), 'winter');
+
+    const weather = new Weather(createCanvas());
+    weather.reset('autumn');
+    assert.equal(weather.current.id, 'breezy');
+    weather.reset('monsoon');
+    assert.equal(weather.season, null);
+    assert.equal(weather.current.id, 'sunny');
+});
+
+test('clouds make sun run down faster, fading in over a few seconds', () => {
+    const weather = new Weather(createCanvas());
+    assert.equal(weather.getDepletion().sun, 0.6, 'sunny');
+
+    runWeather(weather, 20 + 1.5);
+    const midway = weather.getDepletion().sun;
+    assert.ok(midway > 0.6 && midway < 1.2, `halfway through the fade: ${midway}`);
+
+    runWeather(weather, 2);
+    assert.equal(weather.current.id, 'cloudy');
+    assert.equal(weather.getDepletion().sun, 1.2);
+});
+
+test('no season\'s weather makes any need run down faster over a whole cycle', () => {
+    const weather = new Weather(createCanvas());
+    for (const season of [null, 'spring', 'summer', 'autumn', 'winter']) {
+        weather.reset(season);
+        for (const need of ['water', 'sun', 'food']) {
+            const total = weather.cycle.reduce((sum, id) => sum + WEATHER_TYPES[id].depletion[need], 0);
+            const average = total / weather.cycle.length;
+            assert.ok(average <= 1 + 1e-9, `${season || 'no season'}: ${need} averages ×${average.toFixed(3)}`);
+        }
+    }
+});
+
+test('gentle rain tops up every growing pot, and keeps them from drying out', () => {
+    const logged = [];
+    const garden = createGarden({
+        services: {
+            logger: { log: (type, data) => logged.push({ type, ...data }) },
+            getSeason: () => 'spring'
+        }
+    });
+    garden.plantPots[0].plantSeed('lettuce');
+    garden.plantPots[1].plantSeed('carrot');
+
+    // Spring: sunny, then rain
+    for (let i = 0; i < Math.round(20 / FRAME); i++) garden.update(FRAME);
+    assert.equal(garden.weather.current.id, 'rain');
+    assert.deepEqual(logged.filter(e => e.type === 'weather').map(e => e.weather), ['rain']);
+
+    const before = garden.plantPots.map(pot => pot.needs.water);
+    for (let i = 0; i < Math.round(9 / FRAME); i++) garden.update(FRAME);
+    assert.ok(garden.plantPots[0].needs.water > before[0], 'lettuce watered by the rain');
+    assert.ok(garden.plantPots[1].needs.water > before[1], 'carrot watered by the rain');
+    assert.equal(garden.plantPots[2].needs.water, 0.7, 'no plant, nothing to water');
+});
+
+test('rain is seen to land, the same way a rain shower is', () => {
+    const garden = createGarden({ services: { getSeason: () => 'spring' } });
+    garden.plantPots[0].plantSeed('lettuce');
+    const needs = garden.plantPots[0].needs;
+
+    // Spring: sunny, then rain — wait for the first drops to land
+    for (let i = 0; i < Math.round(20 / FRAME); i++) garden.update(FRAME);
+    let landed = false;
+    for (let i = 0; i < Math.round(10 / FRAME) && !landed; i++) {
+        const before = needs.water;
+        garden.update(FRAME);
+        landed = needs.water > before;
+    }
+
+    assert.ok(landed, 'the rain watered the lettuce');
+    assert.equal(needs.displayWater, needs.water, 'the water bar shows it straight away');
+    assert.equal(needs.feedbackEffects.at(-1).icon, '+💧');
+});